@@ -10,6 +10,9 @@
  * 6. Execute as: Your account
  * 7. Who has access: Anyone
  * 8. Copy deployment URL and paste in config.js
+ * 9. Set a password in setupAdmin() below, run it once from the editor, then clear it again
+ * 10. When upgrading a sheet whose students have no Public Token yet, run
+ *     backfillPublicTokens() once from the editor
  */
 
 // IMPORTANT: Replace this with your Google Sheet ID
@@ -20,6 +23,10 @@ const SPREADSHEET_ID = '1jAcF3m43_X5sLOB0qwtUsRDAxduOLgAZ1WjpYjmIB90';
 const SHEET_NAMES = {
     STUDENTS: 'Students',
     LOGS: 'Logs',
+    USERS: 'Users',
+    VERIFICATIONS: 'Verifications',
+    CARDS: 'Cards',
+    TEMPLATES: 'Templates',
 };
 
 // Map sheet headers to object keys
@@ -32,8 +39,238 @@ const HEADER_TO_KEY_MAP = {
     'Course': 'course',
     'Semester': 'semester',
     'Roll Number': 'rollNo',
+    'Date of Birth': 'dob',
+    'Blood Group': 'bloodGroup',
+    'Address': 'address',
+    'Admission Date': 'admissionDate',
+    'Guardian Phone': 'guardianPhone',
+    'Emergency Contact': 'emergencyContact',
     'Created At': 'createdAt',
     'Updated At': 'updatedAt',
+    'Public Token': 'publicToken',
+    'Card File ID': 'cardFileId',
+    'Card Issued At': 'cardIssuedAt',
+    'Cards Revoked At': 'cardsRevokedAt',
+    'Card Valid Until': 'cardValidUntil',
+    'Card Serial': 'cardSerial',
+    'Photo File ID': 'photoFileId',
+    'Status': 'status',
+    'Status Reason': 'statusReason',
+    'Status Changed At': 'statusChangedAt',
+};
+
+// Date-only student fields, kept as yyyy-MM-dd text
+const STUDENT_DATE_FIELDS = ['dob', 'admissionDate'];
+
+// Student fields returned by the public card lookup (no login)
+const PUBLIC_STUDENT_FIELDS = ['id', 'name', 'rollNo', 'course', 'semester', 'status'];
+
+// Student fields managed by the backend (never taken from client updates)
+const STUDENT_SERVER_FIELDS = [
+    'id',
+    'createdAt',
+    'updatedAt',
+    'publicToken',
+    'cardFileId',
+    'cardIssuedAt',
+    'cardsRevokedAt',
+    'cardValidUntil',
+    'cardSerial',
+    'photoFileId',
+    'status',
+    'statusReason',
+    'statusChangedAt',
+];
+
+// Student status (blank in sheets written before statuses existed means active);
+// only active students hold a valid card
+const STUDENT_STATUS = {
+    ACTIVE: 'active',
+    SUSPENDED: 'suspended',
+    GRADUATED: 'graduated',
+    WITHDRAWN: 'withdrawn',
+};
+
+// Statuses each status may change to (keep in sync with CONFIG.STUDENT_STATUSES)
+const STUDENT_STATUS_TRANSITIONS = {
+    active: ['suspended', 'graduated', 'withdrawn'],
+    suspended: ['active', 'withdrawn'],
+    graduated: [],
+    withdrawn: ['active'],
+};
+
+// Map Users sheet headers to object keys
+const USER_HEADER_TO_KEY_MAP = {
+    'Username': 'username',
+    'Password Hash': 'passwordHash',
+    'Salt': 'salt',
+    'Role': 'role',
+    'Created At': 'createdAt',
+    'Last Login': 'lastLogin',
+    'Active': 'active',
+    'Failed Attempts': 'failedAttempts',
+    'Locked Until': 'lockedUntil',
+    'TOTP Secret': 'totpSecret',
+    'TOTP Enabled': 'totpEnabled',
+    'TOTP Last Step': 'totpLastStep',
+    'Recovery Codes': 'recoveryCodes',
+    'Session Version': 'sessionVersion',
+};
+
+// Map Cards sheet headers to object keys (one row per issued card serial)
+const CARD_HEADER_TO_KEY_MAP = {
+    'Serial': 'serial',
+    'Student ID': 'studentId',
+    'Issued At': 'issuedAt',
+    'Valid Until': 'validUntil',
+    'Status': 'status',
+    'Issue Reason': 'issueReason',
+    'Issued By': 'issuedBy',
+    'File ID': 'fileId',
+    'Revoked At': 'revokedAt',
+    'Revoke Reason': 'revokeReason',
+};
+
+// Map Templates sheet headers to object keys (one row per card template;
+// Fields and Courses hold comma-separated lists)
+const TEMPLATE_HEADER_TO_KEY_MAP = {
+    'Template ID': 'id',
+    'Name': 'name',
+    'Layout': 'layout',
+    'Header Text': 'headerText',
+    'Subtitle': 'subtitle',
+    'Primary Color': 'primaryColor',
+    'Accent Color': 'accentColor',
+    'Fields': 'fields',
+    'Courses': 'courses',
+    'Default': 'isDefault',
+    'Updated At': 'updatedAt',
+    'Updated By': 'updatedBy',
+};
+
+// Sheets whose columns follow a header map (missing columns are added on access)
+const SHEET_KEY_MAPS = {
+    [SHEET_NAMES.STUDENTS]: HEADER_TO_KEY_MAP,
+    [SHEET_NAMES.USERS]: USER_HEADER_TO_KEY_MAP,
+    [SHEET_NAMES.CARDS]: CARD_HEADER_TO_KEY_MAP,
+    [SHEET_NAMES.TEMPLATES]: TEMPLATE_HEADER_TO_KEY_MAP,
+};
+
+// Drive folder holding one sub-folder of archived ID cards per student
+const CARD_ARCHIVE_FOLDER_NAME = 'Student ID Cards';
+const MAX_CARD_FILE_BYTES = 10 * 1024 * 1024; // 10 MB
+// Students table paging (getStudents)
+const MAX_PAGE_SIZE = 100; // Keep in sync with CONFIG.STUDENTS_TABLE.PAGE_SIZES
+const STUDENT_SORT_FIELDS = ['name', 'rollNo', 'course', 'semester', 'status', 'id', 'cardValidUntil', 'createdAt'];
+const STUDENT_SEARCH_FIELDS = ['name', 'rollNo', 'email', 'id'];
+const RENEWAL_WINDOW_DAYS = 30; // Keep in sync with CONFIG.ID_CARD.RENEWAL_WINDOW_DAYS
+
+const MAX_BULK_IMPORT_ROWS = 1000; // Keep in sync with CONFIG.IMPORT.MAX_ROWS
+const MAX_BULK_ACTION_STUDENTS = 1000; // Keep in sync with CONFIG.STUDENTS_TABLE.MAX_SELECTION
+// Full records carry photos; keep in sync with CONFIG.STUDENTS_TABLE.RECORD_BATCH_SIZE
+const MAX_STUDENT_RECORDS_PER_REQUEST = 50;
+const BULK_UPDATE_FIELDS = ['course', 'semester'];
+const MAX_PHOTO_BYTES = 2 * 1024 * 1024; // 2 MB (the dashboard sends ~50 KB JPEGs)
+
+// Card validity: cards run to the end of the academic session in which the
+// student's course ends (or the current session when the course is unknown)
+const ACADEMIC_SESSION_END = { MONTH: 6, DAY: 31 }; // 31 July (month is 0-based)
+const COURSE_DURATION_SEMESTERS = {
+    'B.Tech (Computer Science)': 8,
+    'B.Tech (Electronics)': 8,
+    'B.Tech (Mechanical)': 8,
+    'B.Tech (Civil)': 8,
+    'B.Com': 6,
+    'B.A': 6,
+    'B.Sc': 6,
+    'LLB': 6,
+};
+
+// Why a card was issued; issuing for any reason but 'new' revokes the previous serial
+const CARD_ISSUE_REASONS = {
+    new: 'New card',
+    renewal: 'Renewal',
+    lost: 'Lost card',
+    damaged: 'Damaged card',
+    name_change: 'Name change',
+};
+const CARD_SERIAL_DIGITS = 6;
+
+// Card templates (keep in sync with CONFIG.CARD_TEMPLATES)
+const CARD_TEMPLATE_LAYOUTS = ['landscape', 'portrait', 'bands'];
+const CARD_TEMPLATE_FIELDS = ['name', 'rollNo', 'fatherName', 'course', 'semester', 'email', 'phone', 'dob', 'bloodGroup'];
+const CARD_TEMPLATE_TEXT_MAX = 40;
+
+// Signed card verification codes: ID-SERIAL-ISSUED-EXPIRES-SIGNATURE
+const CARD_SIGNATURE_BYTES = 10; // 80-bit truncated HMAC, 16 base32 characters
+const CARD_STATUS = {
+    VALID: 'VALID',
+    EXPIRED: 'EXPIRED',
+    REVOKED: 'REVOKED',
+    INACTIVE: 'INACTIVE', // Genuine card of a student who is no longer active
+    UNKNOWN: 'UNKNOWN',
+};
+
+// Authentication settings
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_HASH_ITERATIONS = 1000;
+// Hashed against for unknown usernames, so they take as long to reject as wrong passwords
+const DUMMY_PASSWORD_SALT = 'unknown-user';
+const PASSWORD_MIN_LENGTH = 8;
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000; // 15 minutes
+
+// Two-factor (TOTP, RFC 6238) settings
+const TOTP_ISSUER = 'St Soldier ID Portal';
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+const TOTP_WINDOW = 1; // Accept codes one step either side for clock drift
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Actions that can be called without a session token
+const PUBLIC_ACTIONS = ['login', 'getStudentByUniqueId', 'verifyCard'];
+
+// Permissions granted to each staff role
+const ROLE_PERMISSIONS = {
+    admin: ['view', 'add', 'update', 'delete', 'export', 'print', 'settings', 'users', 'account'],
+    registrar: ['view', 'add', 'export', 'account'],
+    staff: ['view', 'print', 'account'],
+};
+
+// Permission required by each protected action
+const ACTION_PERMISSIONS = {
+    getStudents: 'view',
+    getStudent: 'view',
+    getStudentsByIds: 'view',
+    addStudent: 'add',
+    bulkAddStudents: 'add',
+    generateStudentId: 'add',
+    updateStudent: 'update',
+    deleteStudent: 'delete',
+    bulkUpdateStudents: 'update',
+    bulkDeleteStudents: 'delete',
+    promoteStudents: 'update',
+    setStudentStatus: 'update',
+    saveIdCard: 'print',
+    uploadPhoto: 'add',
+    // Issuing revokes the student's current serial, so it needs more than print
+    renewCard: 'update',
+    issueCard: 'update',
+    getCardHistory: 'view',
+    revokeCard: 'update',
+    getCardTemplates: 'view',
+    saveCardTemplate: 'settings',
+    deleteCardTemplate: 'settings',
+    getUsers: 'users',
+    createUser: 'users',
+    setUserActive: 'users',
+    resetUserPassword: 'users',
+    resetUserTotp: 'users',
+    changePassword: 'account',
+    startTotpEnrollment: 'account',
+    confirmTotpEnrollment: 'account',
+    disableTotp: 'account',
 };
 
 // Get spreadsheet by ID
@@ -76,6 +313,8 @@ function getSheet(sheetName) {
             Logger.log(`Creating new sheet: ${sheetName}`);
             sheet = ss.insertSheet(sheetName);
             initializeSheet(sheet, sheetName);
+        } else if (SHEET_KEY_MAPS[sheetName]) {
+            ensureHeaders(sheet, Object.keys(SHEET_KEY_MAPS[sheetName]));
         }
 
         return sheet;
@@ -88,18 +327,7 @@ function getSheet(sheetName) {
 // Initialize sheet with headers
 function initializeSheet(sheet, sheetName) {
     if (sheetName === SHEET_NAMES.STUDENTS) {
-        const headers = [
-            'ID',
-            'Name',
-            'Father Name',
-            'Email',
-            'Phone',
-            'Course',
-            'Semester',
-            'Roll Number',
-            'Created At',
-            'Updated At',
-        ];
+        const headers = Object.keys(HEADER_TO_KEY_MAP);
         sheet.appendRow(headers);
         sheet.setFrozenRows(1);
 
@@ -112,7 +340,58 @@ function initializeSheet(sheet, sheetName) {
         const headers = ['Timestamp', 'Action', 'Student ID', 'Details'];
         sheet.appendRow(headers);
         sheet.setFrozenRows(1);
+    } else if (sheetName === SHEET_NAMES.USERS) {
+        const headers = Object.keys(USER_HEADER_TO_KEY_MAP);
+        sheet.appendRow(headers);
+        sheet.setFrozenRows(1);
+    } else if (sheetName === SHEET_NAMES.CARDS) {
+        const headers = Object.keys(CARD_HEADER_TO_KEY_MAP);
+        sheet.appendRow(headers);
+        sheet.setFrozenRows(1);
+    } else if (sheetName === SHEET_NAMES.TEMPLATES) {
+        const headers = Object.keys(TEMPLATE_HEADER_TO_KEY_MAP);
+        sheet.appendRow(headers);
+        sheet.setFrozenRows(1);
+    } else if (sheetName === SHEET_NAMES.VERIFICATIONS) {
+        const headers = ['Timestamp', 'Outcome', 'Student ID', 'Card Issued At', 'Source'];
+        sheet.appendRow(headers);
+        sheet.setFrozenRows(1);
+    }
+}
+
+// Append headers added in later versions to an existing sheet
+function ensureHeaders(sheet, headers) {
+    const lastColumn = sheet.getLastColumn();
+    const existing = lastColumn > 0 ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0] : [];
+    const missing = headers.filter(h => existing.indexOf(h) === -1);
+
+    if (missing.length > 0) {
+        sheet.getRange(1, existing.length + 1, 1, missing.length).setValues([missing]);
+    }
+}
+
+// Build a row in the sheet's column order from a record keyed by the header map
+function buildRow(headers, keyMap, record) {
+    return headers.map(header => {
+        const key = keyMap[header];
+        return key && record[key] !== undefined ? toSheetValue(record[key]) : '';
+    });
+}
+
+// Store text that starts like a formula (=, +, -, @) as plain text: the leading
+// apostrophe tells Sheets not to evaluate it and is not part of the cell's value
+function toSheetValue(value) {
+    return typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : value;
+}
+
+// Find the sheet header mapped to an object key
+function getHeaderForKey(keyMap, key) {
+    for (const [header, mappedKey] of Object.entries(keyMap)) {
+        if (mappedKey === key) {
+            return header;
+        }
     }
+    return null;
 }
 
 // Main request handler
@@ -121,271 +400,2762 @@ function doPost(e) {
         const data = JSON.parse(e.postData.contents);
         const action = data.action;
 
+        // Every action except the public ones needs a valid session token
+        // and a role that grants the action's permission
+        let session = null;
+        if (PUBLIC_ACTIONS.indexOf(action) === -1) {
+            session = getActiveSession(data.token);
+            if (!session) {
+                return jsonResponse({
+                    success: false,
+                    code: 'AUTH_REQUIRED',
+                    message: 'Session expired or invalid. Please login again.',
+                });
+            }
+
+            if (!hasPermission(session.role, ACTION_PERMISSIONS[action])) {
+                return jsonResponse({
+                    success: false,
+                    code: 'FORBIDDEN',
+                    message: 'You do not have permission to perform this action',
+                });
+            }
+        }
+
         let response = {};
 
         switch (action) {
+            case 'login':
+                response = login(data.username, data.password, data.otp);
+                break;
             case 'addStudent':
                 response = addStudent(data.student);
                 break;
+            case 'bulkAddStudents':
+                response = bulkAddStudents(data.students, session);
+                break;
             case 'getStudents':
-                response = getStudents();
+                response = getStudents(data);
                 break;
             case 'getStudent':
                 response = getStudent(data.studentId);
                 break;
+            case 'getStudentsByIds':
+                response = getStudentsByIds(data.studentIds);
+                break;
             case 'updateStudent':
                 response = updateStudent(data.studentId, data.updates);
                 break;
             case 'deleteStudent':
                 response = deleteStudent(data.studentId);
                 break;
+
+            case 'bulkUpdateStudents':
+                response = bulkUpdateStudents(data.studentIds, data.updates, session);
+                break;
+
+            case 'bulkDeleteStudents':
+                response = bulkDeleteStudents(data.studentIds, session);
+                break;
+
+            case 'promoteStudents':
+                response = promoteStudents(data.promotion, session);
+                break;
+
+            case 'setStudentStatus':
+                response = setStudentStatus(data.studentId, data.status, data.reason, session);
+                break;
+            case 'saveIdCard':
+                response = saveIdCard(data.studentId, data.cardData, data.cardCode, session);
+                break;
+            case 'uploadPhoto':
+                response = uploadPhoto(data.studentId, data.photoData, session);
+                break;
+            case 'getStudentByUniqueId':
+                response = getStudentByUniqueId(data.uniqueId);
+                break;
+            case 'verifyCard':
+                response = verifyCard(data.code, data.source);
+                break;
+            case 'renewCard':
+                response = renewCard(data.studentId, session);
+                break;
+            case 'issueCard':
+                response = issueCard(data.studentId, data.reason, session);
+                break;
+            case 'getCardHistory':
+                response = getCardHistory(data.studentId);
+                break;
+            case 'revokeCard':
+                response = revokeCard(data.studentId, data.reason, session);
+                break;
+            case 'getCardTemplates':
+                response = getCardTemplates();
+                break;
+            case 'saveCardTemplate':
+                response = saveCardTemplate(data.template, session);
+                break;
+            case 'deleteCardTemplate':
+                response = deleteCardTemplate(data.templateId, session);
+                break;
             case 'generateStudentId':
                 response = { success: true, studentId: generateUniqueId() };
                 break;
+            case 'getUsers':
+                response = getUsers();
+                break;
+            case 'createUser':
+                response = createUser(data.user, session);
+                break;
+            case 'setUserActive':
+                response = setUserActive(data.username, data.active, session);
+                break;
+            case 'resetUserPassword':
+                response = resetUserPassword(data.username, session);
+                break;
+            case 'resetUserTotp':
+                response = resetUserTotp(data.username, session);
+                break;
+            case 'changePassword':
+                response = changePassword(data.currentPassword, data.newPassword, session);
+                break;
+            case 'startTotpEnrollment':
+                response = startTotpEnrollment(session);
+                break;
+            case 'confirmTotpEnrollment':
+                response = confirmTotpEnrollment(data.code, session);
+                break;
+            case 'disableTotp':
+                response = disableTotp(data.password, data.code, session);
+                break;
             default:
                 response = { success: false, message: 'Invalid action' };
         }
 
-        return ContentService.createTextOutput(JSON.stringify(response)).setMimeType(
-            ContentService.MimeType.JSON
-        );
+        return jsonResponse(response);
     } catch (error) {
-        const errorResponse = {
+        return jsonResponse({
             success: false,
             message: error.toString(),
-        };
-
-        return ContentService.createTextOutput(JSON.stringify(errorResponse)).setMimeType(
-            ContentService.MimeType.JSON
-        );
+        });
     }
 }
 
+// Serialize response object as JSON output
+function jsonResponse(response) {
+    return ContentService.createTextOutput(JSON.stringify(response)).setMimeType(
+        ContentService.MimeType.JSON
+    );
+}
+
 /**
- * Add new student
+ * Authenticate staff user and issue a session token
+ * Failed attempts are counted per user; the account locks after MAX_FAILED_LOGINS.
+ * Users with TOTP enabled must also send a 6-digit code (or a recovery code) as otp.
  */
-function addStudent(student) {
+function login(username, password, otp) {
     try {
-        // Validate required fields
-        if (!student.name || !student.rollNo) {
-            return { success: false, message: 'Missing required fields' };
+        if (!username || !password) {
+            return { success: false, message: 'Username and password are required' };
         }
 
-        // Check for duplicate roll number
-        const students = getAllStudents();
-        if (students.some(s => s.rollNo === student.rollNo)) {
-            return { success: false, message: 'Student with this roll number already exists' };
+        const user = findUser(username);
+
+        if (user && isUserLocked(user)) {
+            logAction('LOGIN_LOCKED', '', `Login attempt on locked account: ${user.username}`);
+            return { success: false, message: getLockedMessage(user) };
         }
 
-        const sheet = getSheet(SHEET_NAMES.STUDENTS);
-        const timestamp = new Date().toISOString();
+        if (!user || !verifyPassword(password, user.salt, user.passwordHash)) {
+            if (user) {
+                return registerFailedLogin(user);
+            }
+            hashPassword(password, DUMMY_PASSWORD_SALT);
+            logAction('LOGIN_FAILED', '', `Failed login for unknown user: ${username}`);
+            return { success: false, message: 'Invalid username or password' };
+        }
+
+        if (!isUserActive(user)) {
+            logAction('LOGIN_DISABLED', '', `Login attempt on disabled account: ${user.username}`);
+            return { success: false, message: 'This account has been disabled' };
+        }
+
+        if (isTotpEnabled(user)) {
+            if (!otp) {
+                return {
+                    success: false,
+                    code: 'OTP_REQUIRED',
+                    message: 'Enter the 6-digit code from your authenticator app',
+                };
+            }
+            if (!verifySecondFactor(user, otp, Date.now())) {
+                return registerFailedLogin(user, 'Invalid authentication code');
+            }
+        }
 
-        const rowData = [
-            student.id,
-            student.name,
-            student.fatherName,
-            student.email,
-            student.phone,
-            student.course,
-            student.semester,
-            student.rollNo,
-            timestamp,
-            timestamp,
-        ];
-
-        sheet.appendRow(rowData);
+        const session = createUserSession(user);
 
-        // Log action
-        logAction('ADD_STUDENT', student.id, `Added student: ${student.name}`);
+        updateUserFields(user, {
+            lastLogin: new Date().toISOString(),
+            failedAttempts: 0,
+            lockedUntil: '',
+        });
+        logAction('LOGIN', '', `User logged in: ${user.username}`);
 
         return {
             success: true,
-            message: 'Student added successfully',
-            studentId: student.id,
+            token: session.token,
+            expiresAt: session.expiresAt,
+            user: {
+                username: user.username,
+                role: user.role,
+                permissions: ROLE_PERMISSIONS[user.role] || [],
+                totpEnabled: isTotpEnabled(user),
+            },
         };
     } catch (error) {
-        Logger.log('Error in addStudent:', error);
+        Logger.log('Error in login:', error);
         return { success: false, message: error.toString() };
     }
 }
 
 /**
- * Get all students
+ * Issue a session token for a user, stamped with their current session version
+ * @returns {object} - { token, expiresAt }
  */
-function getStudents() {
-    try {
-        const students = getAllStudents();
-        return {
-            success: true,
-            students: students,
-            count: students.length,
-        };
-    } catch (error) {
-        Logger.log('Error in getStudents:', error);
-        return { success: false, message: error.toString() };
-    }
+function createUserSession(user) {
+    const expiresAt = Date.now() + SESSION_TTL_MS;
+    const token = createSessionToken({
+        username: user.username,
+        role: user.role,
+        sessionVersion: getSessionVersion(user),
+        expiresAt: expiresAt,
+    });
+    return { token: token, expiresAt: expiresAt };
+}
+
+// Blank cells (rows created before the Session Version column existed) count as 0
+function getSessionVersion(user) {
+    return Number(user.sessionVersion) || 0;
 }
 
 /**
- * Get all students (helper function)
- * FIXED: Properly maps sheet headers to object keys
+ * Count failed login and lock the account once the limit is reached
  */
-function getAllStudents() {
-    const sheet = getSheet(SHEET_NAMES.STUDENTS);
-    const data = sheet.getDataRange().getValues();
+function registerFailedLogin(user, message) {
+    const attempts = (Number(user.failedAttempts) || 0) + 1;
 
-    if (data.length <= 1) {
-        return [];
+    if (attempts >= MAX_FAILED_LOGINS) {
+        updateUserFields(user, {
+            failedAttempts: 0,
+            lockedUntil: new Date(Date.now() + LOCKOUT_MS).toISOString(),
+        });
+        logAction('ACCOUNT_LOCKED', '', `Locked ${user.username} after ${attempts} failed logins`);
+        return { success: false, message: getLockedMessage(user) };
     }
 
-    const headers = data[0];
-    const students = [];
-
-    for (let i = 1; i < data.length; i++) {
-        const row = data[i];
-        if (!row[0]) continue; // Skip empty rows
+    updateUserFields(user, { failedAttempts: attempts });
+    logAction('LOGIN_FAILED', '', `Failed login for ${user.username} (${attempts}/${MAX_FAILED_LOGINS})`);
+    return { success: false, message: message || 'Invalid username or password' };
+}
 
-        const student = {};
-        
-        // Use the header mapping to properly convert field names
-        headers.forEach((header, index) => {
-            const key = HEADER_TO_KEY_MAP[header] || header.toLowerCase().replace(' ', '_');
-            student[key] = row[index];
-        });
+function isUserLocked(user) {
+    return !!user.lockedUntil && new Date(user.lockedUntil).getTime() > Date.now();
+}
 
-        students.push(student);
-    }
+// Blank cells (rows created before the Active column existed) count as active
+function isUserActive(user) {
+    return user.active !== false && String(user.active).toUpperCase() !== 'FALSE';
+}
 
-    Logger.log('Student data retrieved:', students);
-    return students;
+function getLockedMessage(user) {
+    const minutes = Math.ceil((new Date(user.lockedUntil).getTime() - Date.now()) / 60000);
+    return `Account locked after too many failed attempts. Try again in ${minutes} minute(s).`;
 }
 
 /**
- * Get single student by ID
+ * Resolve session token to an active user
+ * Uses the role currently stored in the Users sheet, so role changes and
+ * disabled accounts take effect without waiting for the token to expire.
+ * Tokens issued before the user's last password change or reset are rejected.
+ * @returns {object|null} - { username, role }, or null when not authenticated
  */
-function getStudent(studentId) {
-    try {
-        const students = getAllStudents();
-        const student = students.find(s => s.id === studentId);
+function getActiveSession(token) {
+    const session = verifySessionToken(token);
+    if (!session) return null;
 
-        if (!student) {
-            return { success: false, message: 'Student not found' };
-        }
+    const user = findUser(session.username);
+    if (!user || !isUserActive(user)) return null;
+    if ((Number(session.sessionVersion) || 0) !== getSessionVersion(user)) return null;
 
-        Logger.log('Retrieved student:', student);
-        return { success: true, student: student };
+    return { username: user.username, role: user.role };
+}
+
+/**
+ * Get all staff users without password data
+ */
+function getUsers() {
+    try {
+        const users = getAllUsers().map(user => ({
+            username: user.username,
+            role: user.role,
+            active: isUserActive(user),
+            locked: isUserLocked(user),
+            totpEnabled: isTotpEnabled(user),
+            createdAt: user.createdAt,
+            lastLogin: user.lastLogin,
+        }));
+        return { success: true, users: users, count: users.length };
     } catch (error) {
-        Logger.log('Error in getStudent:', error);
+        Logger.log('Error in getUsers:', error);
         return { success: false, message: error.toString() };
     }
 }
 
 /**
- * Update student
+ * Create staff user
  */
-function updateStudent(studentId, updates) {
+function createUser(user, session) {
     try {
-        const sheet = getSheet(SHEET_NAMES.STUDENTS);
-        const data = sheet.getDataRange().getValues();
-        const headers = data[0];
-
-        let found = false;
-
-        for (let i = 1; i < data.length; i++) {
-            if (data[i][0] === studentId) {
-                found = true;
-
-                // Update fields using reverse mapping
-                Object.keys(updates).forEach(key => {
-                    // Find the header that maps to this key
-                    let headerName = null;
-                    for (const [header, mappedKey] of Object.entries(HEADER_TO_KEY_MAP)) {
-                        if (mappedKey === key) {
-                            headerName = header;
-                            break;
-                        }
-                    }
-
-                    if (headerName) {
-                        const colIndex = headers.indexOf(headerName);
-                        if (colIndex !== -1) {
-                            sheet.getRange(i + 1, colIndex + 1).setValue(updates[key]);
-                        }
-                    }
-                });
-
-                // Update timestamp
-                const updatedAtIndex = headers.indexOf('Updated At');
-                if (updatedAtIndex !== -1) {
-                    sheet.getRange(i + 1, updatedAtIndex + 1).setValue(
-                        new Date().toISOString()
-                    );
-                }
-
-                logAction('UPDATE_STUDENT', studentId, 'Updated student details');
-                break;
-            }
+        if (!user || !user.username || !user.password || !user.role) {
+            return { success: false, message: 'Missing required fields' };
         }
-
-        if (!found) {
-            return { success: false, message: 'Student not found' };
+        if (String(user.password).length < PASSWORD_MIN_LENGTH) {
+            return {
+                success: false,
+                message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters`,
+            };
         }
 
-        return { success: true, message: 'Student updated successfully' };
+        const record = createUserAccount(user.username, user.password, user.role, session.username);
+        return { success: true, message: 'User created successfully', username: record.username };
     } catch (error) {
-        Logger.log('Error in updateStudent:', error);
-        return { success: false, message: error.toString() };
+        Logger.log('Error in createUser:', error);
+        return { success: false, message: error.message || error.toString() };
     }
 }
 
 /**
- * Delete student
+ * Enable or disable staff user (enabling also clears any lockout)
  */
-function deleteStudent(studentId) {
+function setUserActive(username, active, session) {
     try {
-        const sheet = getSheet(SHEET_NAMES.STUDENTS);
-        const data = sheet.getDataRange().getValues();
+        const user = findUser(username);
+        if (!user) {
+            return { success: false, message: 'User not found' };
+        }
+        if (!active && user.username === session.username) {
+            return { success: false, message: 'You cannot disable your own account' };
+        }
 
-        for (let i = 1; i < data.length; i++) {
-            if (data[i][0] === studentId) {
-                sheet.deleteRow(i + 1);
-                logAction('DELETE_STUDENT', studentId, 'Deleted student');
-                return { success: true, message: 'Student deleted successfully' };
-            }
+        const updates = { active: !!active };
+        if (active) {
+            updates.failedAttempts = 0;
+            updates.lockedUntil = '';
         }
+        updateUserFields(user, updates);
 
-        return { success: false, message: 'Student not found' };
+        logAction(
+            active ? 'ENABLE_USER' : 'DISABLE_USER',
+            '',
+            `${active ? 'Enabled' : 'Disabled'} ${user.username} by ${session.username}`
+        );
+        return { success: true, message: `User ${active ? 'enabled' : 'disabled'} successfully` };
     } catch (error) {
-        Logger.log('Error in deleteStudent:', error);
+        Logger.log('Error in setUserActive:', error);
         return { success: false, message: error.toString() };
     }
 }
 
 /**
- * Generate unique student ID
+ * Reset staff user's password to a random temporary one and clear lockout
+ * (signs the user out of every existing session)
  */
-function generateUniqueId() {
-    const timestamp = Date.now().toString(36).toUpperCase();
-    const random = Math.random()
-        .toString(36)
-        .substr(2, 5)
-        .toUpperCase();
-    return `STU${timestamp}${random}`;
+function resetUserPassword(username, session) {
+    try {
+        const user = findUser(username);
+        if (!user) {
+            return { success: false, message: 'User not found' };
+        }
+
+        const temporaryPassword = Utilities.getUuid().replace(/-/g, '').substr(0, 12);
+        const salt = Utilities.getUuid().replace(/-/g, '');
+        updateUserFields(user, {
+            salt: salt,
+            passwordHash: hashPassword(temporaryPassword, salt),
+            failedAttempts: 0,
+            lockedUntil: '',
+            sessionVersion: getSessionVersion(user) + 1,
+        });
+
+        logAction('RESET_PASSWORD', '', `Password reset for ${user.username} by ${session.username}`);
+        return {
+            success: true,
+            message: 'Password reset successfully',
+            temporaryPassword: temporaryPassword,
+        };
+    } catch (error) {
+        Logger.log('Error in resetUserPassword:', error);
+        return { success: false, message: error.toString() };
+    }
 }
 
 /**
- * Log action to audit sheet
+ * Change the current user's own password
+ * Signs out every other session and returns a new token for this one
  */
-function logAction(action, studentId, details) {
+function changePassword(currentPassword, newPassword, session) {
     try {
-        const sheet = getSheet(SHEET_NAMES.LOGS);
-        const timestamp = new Date().toISOString();
-        sheet.appendRow([timestamp, action, studentId, details]);
+        const user = findUser(session.username);
+        if (!user || !verifyPassword(currentPassword || '', user.salt, user.passwordHash)) {
+            logAction('CHANGE_PASSWORD_FAILED', '', `Wrong current password for ${session.username}`);
+            return { success: false, message: 'Current password is incorrect' };
+        }
+        if (!newPassword || String(newPassword).length < PASSWORD_MIN_LENGTH) {
+            return {
+                success: false,
+                message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters`,
+            };
+        }
+
+        const salt = Utilities.getUuid().replace(/-/g, '');
+        updateUserFields(user, {
+            salt: salt,
+            passwordHash: hashPassword(newPassword, salt),
+            sessionVersion: getSessionVersion(user) + 1,
+        });
+        const newSession = createUserSession(user);
+
+        logAction('CHANGE_PASSWORD', '', `Password changed by ${user.username}`);
+        return {
+            success: true,
+            message: 'Password changed successfully',
+            token: newSession.token,
+            expiresAt: newSession.expiresAt,
+        };
+    } catch (error) {
+        Logger.log('Error in changePassword:', error);
+        return { success: false, message: error.toString() };
+    }
+}
+
+/**
+ * Begin TOTP enrollment: store a new (not yet active) secret for the current user
+ */
+function startTotpEnrollment(session) {
+    try {
+        const user = findUser(session.username);
+        if (isTotpEnabled(user)) {
+            return { success: false, message: 'Two-factor authentication is already enabled' };
+        }
+
+        const secret = generateTotpSecret();
+        updateUserFields(user, { totpSecret: secret, totpEnabled: false, totpLastStep: '' });
+
+        const label = encodeURIComponent(`${TOTP_ISSUER}:${user.username}`);
+        const otpauthUrl =
+            `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}` +
+            `&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+
+        return { success: true, secret: secret, otpauthUrl: otpauthUrl };
+    } catch (error) {
+        Logger.log('Error in startTotpEnrollment:', error);
+        return { success: false, message: error.toString() };
+    }
+}
+
+/**
+ * Finish TOTP enrollment once the user proves their authenticator works
+ * Returns the recovery codes in plain text; only their hashes are stored
+ */
+function confirmTotpEnrollment(code, session) {
+    try {
+        const user = findUser(session.username);
+        if (!user.totpSecret || isTotpEnabled(user)) {
+            return { success: false, message: 'Start enrollment first' };
+        }
+
+        const step = findTotpStep(user.totpSecret, String(code || '').replace(/\s/g, ''), Date.now());
+        if (step === null) {
+            return { success: false, message: 'Invalid authentication code' };
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        updateUserFields(user, {
+            totpEnabled: true,
+            totpLastStep: step,
+            recoveryCodes: recoveryCodes.map(hashRecoveryCode).join(','),
+        });
+
+        logAction('TOTP_ENABLED', '', `Two-factor enabled by ${user.username}`);
+        return { success: true, message: 'Two-factor authentication enabled', recoveryCodes: recoveryCodes };
+    } catch (error) {
+        Logger.log('Error in confirmTotpEnrollment:', error);
+        return { success: false, message: error.toString() };
+    }
+}
+
+/**
+ * Turn off TOTP for the current user (requires password and a current code)
+ */
+function disableTotp(password, code, session) {
+    try {
+        const user = findUser(session.username);
+        if (!verifyPassword(password || '', user.salt, user.passwordHash)) {
+            return { success: false, message: 'Current password is incorrect' };
+        }
+        if (!isTotpEnabled(user) || !verifySecondFactor(user, code || '', Date.now())) {
+            return { success: false, message: 'Invalid authentication code' };
+        }
+
+        clearTotp(user);
+        logAction('TOTP_DISABLED', '', `Two-factor disabled by ${user.username}`);
+        return { success: true, message: 'Two-factor authentication disabled' };
+    } catch (error) {
+        Logger.log('Error in disableTotp:', error);
+        return { success: false, message: error.toString() };
+    }
+}
+
+/**
+ * Remove TOTP from a staff user who lost their authenticator and recovery codes
+ */
+function resetUserTotp(username, session) {
+    try {
+        const user = findUser(username);
+        if (!user) {
+            return { success: false, message: 'User not found' };
+        }
+
+        clearTotp(user);
+        logAction('TOTP_RESET', '', `Two-factor reset for ${user.username} by ${session.username}`);
+        return { success: true, message: 'Two-factor authentication reset' };
+    } catch (error) {
+        Logger.log('Error in resetUserTotp:', error);
+        return { success: false, message: error.toString() };
+    }
+}
+
+/**
+ * Add new student (the ID is generated here, never taken from the client)
+ */
+function addStudent(student) {
+    const lock = LockService.getScriptLock();
+    try {
+        // Validate required fields
+        if (!student.name || !student.rollNo) {
+            return { success: false, message: 'Missing required fields' };
+        }
+
+        // Checked and appended under the lock bulkAddStudents holds, so neither can
+        // add a roll number the other is adding
+        lock.waitLock(30000);
+
+        // Check for duplicate roll number
+        const rollNo = normalizeRollNo(student.rollNo);
+        const students = getAllStudents();
+        if (students.some(s => normalizeRollNo(s.rollNo) === rollNo)) {
+            return { success: false, message: 'Student with this roll number already exists' };
+        }
+
+        const ids = {};
+        students.forEach(s => {
+            ids[s.id] = true;
+        });
+        let id = generateUniqueId();
+        while (ids[id]) {
+            id = generateUniqueId();
+        }
+
+        const sheet = getSheet(SHEET_NAMES.STUDENTS);
+        const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+        const timestamp = new Date().toISOString();
+
+        const record = Object.assign({}, student);
+        STUDENT_SERVER_FIELDS.forEach(key => delete record[key]);
+        record.id = id;
+        record.rollNo = rollNo;
+        record.createdAt = timestamp;
+        record.updatedAt = timestamp;
+        record.publicToken = generatePublicToken();
+
+        sheet.appendRow(buildRow(headers, HEADER_TO_KEY_MAP, record));
+
+        // Log action
+        logAction('ADD_STUDENT', id, `Added student: ${student.name}`);
+
+        return {
+            success: true,
+            message: 'Student added successfully',
+            studentId: id,
+        };
+    } catch (error) {
+        Logger.log('Error in addStudent:', error);
+        return { success: false, message: error.toString() };
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+// Roll numbers compare and are stored trimmed and upper-case
+function normalizeRollNo(rollNo) {
+    return String(rollNo || '').trim().toUpperCase();
+}
+
+/**
+ * Add many students (from the dashboard import) in a single sheet write.
+ * Rows missing a required field or repeating a roll number are rejected;
+ * the rest are appended.
+ * @returns {object} - { success, added, rejected: [{ index, rollNo, message }] }
+ */
+function bulkAddStudents(students, session) {
+    const lock = LockService.getScriptLock();
+    try {
+        if (!Array.isArray(students) || students.length === 0) {
+            return { success: false, message: 'No students to import' };
+        }
+        if (students.length > MAX_BULK_IMPORT_ROWS) {
+            return { success: false, message: `Import at most ${MAX_BULK_IMPORT_ROWS} students at a time` };
+        }
+
+        // Roll numbers are checked and rows appended under one lock so
+        // concurrent imports cannot both add the same student
+        lock.waitLock(30000);
+
+        const existing = getAllStudents();
+        const rollNos = {};
+        const ids = {};
+        existing.forEach(s => {
+            rollNos[normalizeRollNo(s.rollNo)] = true;
+            ids[s.id] = true;
+        });
+
+        const sheet = getSheet(SHEET_NAMES.STUDENTS);
+        const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+        const timestamp = new Date().toISOString();
+        const required = ['name', 'fatherName', 'email', 'phone', 'course', 'semester', 'rollNo'];
+
+        const rows = [];
+        const rejected = [];
+        students.forEach((student, index) => {
+            const rollNo = normalizeRollNo(student && student.rollNo);
+            const missing = required.filter(key => !student || !String(student[key] || '').trim());
+
+            if (missing.length > 0) {
+                rejected.push({ index: index, rollNo: rollNo, message: `Missing ${missing.join(', ')}` });
+                return;
+            }
+            if (rollNos[rollNo]) {
+                rejected.push({ index: index, rollNo: rollNo, message: 'Roll number already exists' });
+                return;
+            }
+
+            const record = Object.assign({}, student);
+            STUDENT_SERVER_FIELDS.forEach(key => delete record[key]);
+
+            let id = generateUniqueId();
+            while (ids[id]) {
+                id = generateUniqueId();
+            }
+            ids[id] = true;
+            rollNos[rollNo] = true;
+
+            record.id = id;
+            record.rollNo = rollNo;
+            record.createdAt = timestamp;
+            record.updatedAt = timestamp;
+            record.publicToken = generatePublicToken();
+            rows.push(buildRow(headers, HEADER_TO_KEY_MAP, record));
+        });
+
+        if (rows.length > 0) {
+            sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, headers.length).setValues(rows);
+            logAction(
+                'BULK_ADD_STUDENTS',
+                '',
+                `Imported ${rows.length} student(s), rejected ${rejected.length}, by ${session.username}`
+            );
+        }
+
+        return {
+            success: true,
+            message: `Imported ${rows.length} student(s)`,
+            added: rows.length,
+            rejected: rejected,
+        };
+    } catch (error) {
+        Logger.log('Error in bulkAddStudents:', error);
+        return { success: false, message: error.toString() };
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * Get students matching a search and filters, sorted, optionally one page at a time
+ * @param {object} params - { q, filters: { course, semester, card }, sort, order, page, pageSize };
+ *     without pageSize every matching student is returned
+ * @returns {object} - { success, students, total (matching), count (all students), page, pageSize, pages }
+ */
+function getStudents(params) {
+    try {
+        params = params || {};
+
+        const students = getAllStudents();
+        const matching = sortStudentRecords(
+            filterStudentRecords(students, params.q, params.filters || {}),
+            params.sort,
+            params.order
+        );
+
+        const response = {
+            success: true,
+            total: matching.length,
+            count: students.length,
+        };
+
+        const pageSize = Math.min(parseInt(params.pageSize, 10) || 0, MAX_PAGE_SIZE);
+        if (pageSize > 0) {
+            const pages = Math.max(1, Math.ceil(matching.length / pageSize));
+            const page = Math.min(Math.max(parseInt(params.page, 10) || 1, 1), pages);
+            response.students = matching.slice((page - 1) * pageSize, page * pageSize);
+            response.page = page;
+            response.pageSize = pageSize;
+            response.pages = pages;
+        } else {
+            response.students = matching;
+        }
+
+        return response;
+    } catch (error) {
+        Logger.log('Error in getStudents:', error);
+        return { success: false, message: error.toString() };
+    }
+}
+
+/**
+ * Apply the students table search (q) and filters
+ */
+function filterStudentRecords(students, q, filters) {
+    const query = String(q || '').trim().toLowerCase();
+    const renewBefore = Date.now() + RENEWAL_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+    return students.filter(student => {
+        if (query && !STUDENT_SEARCH_FIELDS.some(key => String(student[key] || '').toLowerCase().indexOf(query) !== -1)) {
+            return false;
+        }
+        if (filters.course && student.course !== filters.course) {
+            return false;
+        }
+        if (filters.semester && String(student.semester) !== String(filters.semester)) {
+            return false;
+        }
+        if (filters.status && getStudentStatus(student) !== filters.status) {
+            return false;
+        }
+        if (filters.card === 'renewal') {
+            // Due within the renewal window or already expired
+            if (!student.cardIssuedAt || !student.cardValidUntil || toTime(student.cardValidUntil) > renewBefore) {
+                return false;
+            }
+        }
+        return true;
+    });
+}
+
+/**
+ * Sort students by one of STUDENT_SORT_FIELDS (sheet order when none)
+ */
+function sortStudentRecords(students, field, order) {
+    if (STUDENT_SORT_FIELDS.indexOf(field) === -1) return students;
+
+    const direction = order === 'asc' ? 1 : -1;
+    return students.slice().sort((a, b) => {
+        const aValue = a[field] instanceof Date ? a[field].toISOString() : String(a[field] === undefined ? '' : a[field]);
+        const bValue = b[field] instanceof Date ? b[field].toISOString() : String(b[field] === undefined ? '' : b[field]);
+        return aValue.localeCompare(bValue, undefined, { numeric: true }) * direction;
+    });
+}
+
+/**
+ * Get all students (helper function)
+ * FIXED: Properly maps sheet headers to object keys
+ */
+function getAllStudents() {
+    const sheet = getSheet(SHEET_NAMES.STUDENTS);
+    const data = sheet.getDataRange().getValues();
+
+    if (data.length <= 1) {
+        return [];
+    }
+
+    const headers = data[0];
+    const students = [];
+
+    for (let i = 1; i < data.length; i++) {
+        const row = data[i];
+        if (!row[0]) continue; // Skip empty rows
+
+        const student = {};
+        
+        // Use the header mapping to properly convert field names
+        headers.forEach((header, index) => {
+            const key = HEADER_TO_KEY_MAP[header] || header.toLowerCase().replace(' ', '_');
+            student[key] = readStudentCell(key, row[index]);
+        });
+
+        students.push(student);
+    }
+
+    Logger.log(`Student data retrieved: ${students.length} rows`);
+    return students;
+}
+
+/**
+ * Get single student by ID
+ */
+function getStudent(studentId) {
+    try {
+        const students = getAllStudents();
+        const student = students.find(s => s.id === studentId);
+
+        if (!student) {
+            return { success: false, message: 'Student not found' };
+        }
+
+        addCardDetails(student);
+
+        Logger.log('Retrieved student:', student.id);
+        return { success: true, student: student };
+    } catch (error) {
+        Logger.log('Error in getStudent:', error);
+        return { success: false, message: error.toString() };
+    }
+}
+
+/**
+ * Get full student records, as getStudent returns them, for many students at once (batch card printing)
+ * @param {array} studentIds - Student IDs
+ * @returns {object} - { success, students (in the order asked), missing (IDs not found) }
+ */
+function getStudentsByIds(studentIds) {
+    try {
+        const invalid = checkBulkStudentIds(studentIds);
+        if (invalid) return invalid;
+        if (studentIds.length > MAX_STUDENT_RECORDS_PER_REQUEST) {
+            return {
+                success: false,
+                message: `Request at most ${MAX_STUDENT_RECORDS_PER_REQUEST} student records at a time`,
+            };
+        }
+
+        const byId = {};
+        getAllStudents().forEach(student => {
+            byId[student.id] = student;
+        });
+
+        const students = [];
+        const missing = [];
+        studentIds.forEach(studentId => {
+            const student = byId[studentId];
+            if (student) {
+                students.push(addCardDetails(student));
+            } else {
+                missing.push(studentId);
+            }
+        });
+
+        Logger.log(`Retrieved ${students.length} students by ID`);
+        return { success: true, students: students, missing: missing };
+    } catch (error) {
+        Logger.log('Error in getStudentsByIds:', error);
+        return { success: false, message: error.toString() };
+    }
+}
+
+/**
+ * Add what printing a student's card needs: the current card's code (none until issued) and the photo
+ * @returns {object} - The same student
+ */
+function addCardDetails(student) {
+    const card = getIssuedCard(student);
+    if (card) {
+        setCardFields(student, card);
+    }
+    student.photo = getPhotoDataUrl(student.photoFileId);
+    return student;
+}
+
+/**
+ * Update student
+ */
+function updateStudent(studentId, updates) {
+    const lock = LockService.getScriptLock();
+    try {
+        // Same lock as addStudent and bulkAddStudents, so a roll number cannot be
+        // taken between the duplicate check and the write
+        lock.waitLock(30000);
+
+        const sheet = getSheet(SHEET_NAMES.STUDENTS);
+        const data = sheet.getDataRange().getValues();
+        const headers = data[0];
+
+        if (updates.rollNo !== undefined) {
+            const rollNo = normalizeRollNo(updates.rollNo);
+            if (!rollNo) {
+                return { success: false, message: 'Roll number is required' };
+            }
+
+            const rollNoIndex = headers.indexOf(getHeaderForKey(HEADER_TO_KEY_MAP, 'rollNo'));
+            const taken = data
+                .slice(1)
+                .some(row => row[0] !== studentId && normalizeRollNo(row[rollNoIndex]) === rollNo);
+            if (taken) {
+                return { success: false, message: 'Student with this roll number already exists' };
+            }
+            updates = Object.assign({}, updates, { rollNo: rollNo });
+        }
+
+        let found = false;
+
+        for (let i = 1; i < data.length; i++) {
+            if (data[i][0] === studentId) {
+                found = true;
+
+                // Update fields using reverse mapping
+                Object.keys(updates).forEach(key => {
+                    if (STUDENT_SERVER_FIELDS.indexOf(key) !== -1) return;
+
+                    // Find the header that maps to this key
+                    const headerName = getHeaderForKey(HEADER_TO_KEY_MAP, key);
+
+                    if (headerName) {
+                        const colIndex = headers.indexOf(headerName);
+                        if (colIndex !== -1) {
+                            sheet.getRange(i + 1, colIndex + 1).setValue(toSheetValue(updates[key]));
+                        }
+                    }
+                });
+
+                // Update timestamp
+                const updatedAtIndex = headers.indexOf('Updated At');
+                if (updatedAtIndex !== -1) {
+                    sheet.getRange(i + 1, updatedAtIndex + 1).setValue(
+                        new Date().toISOString()
+                    );
+                }
+
+                logAction('UPDATE_STUDENT', studentId, 'Updated student details');
+                break;
+            }
+        }
+
+        if (!found) {
+            return { success: false, message: 'Student not found' };
+        }
+
+        return { success: true, message: 'Student updated successfully' };
+    } catch (error) {
+        Logger.log('Error in updateStudent:', error);
+        return { success: false, message: error.toString() };
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * Delete student
+ */
+function deleteStudent(studentId) {
+    const lock = LockService.getScriptLock();
+    try {
+        // Deleting shifts rows, so wait for any write that holds a row number
+        lock.waitLock(30000);
+
+        const sheet = getSheet(SHEET_NAMES.STUDENTS);
+        const data = sheet.getDataRange().getValues();
+
+        for (let i = 1; i < data.length; i++) {
+            if (data[i][0] === studentId) {
+                sheet.deleteRow(i + 1);
+                logAction('DELETE_STUDENT', studentId, 'Deleted student');
+                return { success: true, message: 'Student deleted successfully' };
+            }
+        }
+
+        return { success: false, message: 'Student not found' };
+    } catch (error) {
+        Logger.log('Error in deleteStudent:', error);
+        return { success: false, message: error.toString() };
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * Set the same course and/or semester on many students
+ * @returns {object} - { success, message, updated, results: [{ id, success, message }] }
+ */
+function bulkUpdateStudents(studentIds, updates, session) {
+    const lock = LockService.getScriptLock();
+    try {
+        const check = checkBulkStudentIds(studentIds);
+        if (check) return check;
+
+        const fields = {};
+        BULK_UPDATE_FIELDS.forEach(key => {
+            if (updates && updates[key] !== undefined && String(updates[key]).trim() !== '') {
+                fields[key] = String(updates[key]).trim();
+            }
+        });
+        if (Object.keys(fields).length === 0) {
+            return { success: false, message: `Nothing to change (allowed: ${BULK_UPDATE_FIELDS.join(', ')})` };
+        }
+
+        lock.waitLock(30000);
+
+        const sheet = getSheet(SHEET_NAMES.STUDENTS);
+        const data = sheet.getDataRange().getValues();
+        const headers = data[0];
+        const rowsById = getStudentRowNumbers(data);
+        fields.updatedAt = new Date().toISOString();
+
+        const results = studentIds.map(studentId => {
+            const rowNumber = rowsById[studentId];
+            if (!rowNumber) {
+                return { id: studentId, success: false, message: 'Student not found' };
+            }
+
+            Object.keys(fields).forEach(key => {
+                const colIndex = headers.indexOf(getHeaderForKey(HEADER_TO_KEY_MAP, key));
+                if (colIndex !== -1) {
+                    sheet.getRange(rowNumber, colIndex + 1).setValue(toSheetValue(fields[key]));
+                }
+            });
+            return { id: studentId, success: true, message: '' };
+        });
+
+        const updated = results.filter(result => result.success).length;
+        if (updated > 0) {
+            const changes = BULK_UPDATE_FIELDS.filter(key => fields[key] !== undefined)
+                .map(key => `${key} = ${fields[key]}`)
+                .join(', ');
+            logAction('BULK_UPDATE_STUDENTS', '', `Set ${changes} on ${updated} student(s) by ${session.username}`);
+        }
+
+        return {
+            success: true,
+            message: `Updated ${updated} student(s)`,
+            updated: updated,
+            results: results,
+        };
+    } catch (error) {
+        Logger.log('Error in bulkUpdateStudents:', error);
+        return { success: false, message: error.toString() };
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * Delete many students in one request
+ * @returns {object} - { success, message, deleted, results: [{ id, success, message }] }
+ */
+function bulkDeleteStudents(studentIds, session) {
+    const lock = LockService.getScriptLock();
+    try {
+        const check = checkBulkStudentIds(studentIds);
+        if (check) return check;
+
+        lock.waitLock(30000);
+
+        const sheet = getSheet(SHEET_NAMES.STUDENTS);
+        const rowsById = getStudentRowNumbers(sheet.getDataRange().getValues());
+
+        const results = studentIds.map(studentId =>
+            rowsById[studentId]
+                ? { id: studentId, success: true, message: '' }
+                : { id: studentId, success: false, message: 'Student not found' }
+        );
+
+        // Bottom-up so earlier deletions do not shift the rows still to delete
+        results
+            .filter(result => result.success)
+            .map(result => rowsById[result.id])
+            .sort((a, b) => b - a)
+            .forEach(rowNumber => sheet.deleteRow(rowNumber));
+
+        const deleted = results.filter(result => result.success).length;
+        if (deleted > 0) {
+            logAction('BULK_DELETE_STUDENTS', '', `Deleted ${deleted} student(s) by ${session.username}`);
+        }
+
+        return {
+            success: true,
+            message: `Deleted ${deleted} student(s)`,
+            deleted: deleted,
+            results: results,
+        };
+    } catch (error) {
+        Logger.log('Error in bulkDeleteStudents:', error);
+        return { success: false, message: error.toString() };
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * End-of-term promotion: move students of one course and semester to the next
+ * semester, or graduate them from the final one. Every student is checked before
+ * anything is written, so a missing or changed student stops the whole promotion.
+ * Students whose own semester does not lead to toSemester (the next semester,
+ * within the course's length) are skipped rather than promoted.
+ * @param {object} promotion - { course, semester, toSemester ('' to graduate), studentIds }
+ * @returns {object} - { success, message, promoted, skipped: [{ id, message }] }
+ */
+function promoteStudents(promotion, session) {
+    const lock = LockService.getScriptLock();
+    try {
+        promotion = promotion || {};
+        const course = String(promotion.course || '');
+        const semester = String(promotion.semester || '');
+        const toSemester = String(promotion.toSemester || '');
+        const studentIds = promotion.studentIds;
+
+        if (!course || !semester) {
+            return { success: false, message: 'Choose a course and semester' };
+        }
+        const check = checkBulkStudentIds(studentIds);
+        if (check) return check;
+
+        // Only the course's final semester graduates
+        const finalSemester = COURSE_DURATION_SEMESTERS[course];
+        const isFinal = Number(semester) >= finalSemester;
+        if (finalSemester && isFinal !== !toSemester) {
+            return {
+                success: false,
+                message: `Semester ${semester} is ${toSemester ? '' : 'not '}the final semester of ${course}`,
+            };
+        }
+
+        lock.waitLock(30000);
+
+        const sheet = getSheet(SHEET_NAMES.STUDENTS);
+        const data = sheet.getDataRange().getValues();
+        const headers = data[0];
+        const column = key => headers.indexOf(getHeaderForKey(HEADER_TO_KEY_MAP, key));
+        const rowsById = getStudentRowNumbers(data);
+
+        const problems = [];
+        const skipped = [];
+        studentIds.forEach(studentId => {
+            const row = rowsById[studentId] ? data[rowsById[studentId] - 1] : null;
+            if (!row) {
+                problems.push(`${studentId} not found`);
+            } else if (row[column('course')] !== course || String(row[column('semester')]) !== semester) {
+                problems.push(`${studentId} is no longer in ${course} semester ${semester}`);
+            } else if ((row[column('status')] || STUDENT_STATUS.ACTIVE) !== STUDENT_STATUS.ACTIVE) {
+                problems.push(`${studentId} is ${row[column('status')]}`);
+            } else {
+                const reason = checkPromotionTarget(course, row[column('semester')], toSemester);
+                if (reason) skipped.push({ id: studentId, message: reason });
+            }
+        });
+        if (problems.length > 0) {
+            return { success: false, message: `Nothing was changed: ${problems.join('; ')}` };
+        }
+
+        const skippedIds = skipped.map(item => item.id);
+        const promotedIds = studentIds.filter(studentId => skippedIds.indexOf(studentId) === -1);
+        if (promotedIds.length === 0) {
+            return {
+                success: false,
+                message: `Nothing was changed: ${skipped.map(item => `${item.id} ${item.message}`).join('; ')}`,
+                skipped: skipped,
+            };
+        }
+
+        const now = new Date().toISOString();
+        const fields = toSemester
+            ? { semester: toSemester }
+            : { status: STUDENT_STATUS.GRADUATED, statusReason: 'End-of-term promotion', statusChangedAt: now };
+        fields.updatedAt = now;
+
+        promotedIds.forEach(studentId => {
+            const row = data[rowsById[studentId] - 1];
+            Object.keys(fields).forEach(key => {
+                row[column(key)] = fields[key];
+            });
+        });
+
+        // One write per changed column
+        Object.keys(fields).forEach(key => {
+            const colIndex = column(key);
+            sheet
+                .getRange(2, colIndex + 1, data.length - 1, 1)
+                .setValues(data.slice(1).map(row => [row[colIndex]]));
+        });
+
+        const outcome = toSemester ? `promoted to semester ${toSemester}` : 'graduated';
+        logAction(
+            'PROMOTE_STUDENTS',
+            '',
+            `${course} semester ${semester}: ${promotedIds.length} student(s) ${outcome} by ${session.username}: ${promotedIds.join(', ')}` +
+                (skipped.length ? `; skipped: ${skippedIds.join(', ')}` : '')
+        );
+
+        const message = toSemester
+            ? `Promoted ${promotedIds.length} student(s) to semester ${toSemester}`
+            : `Graduated ${promotedIds.length} student(s)`;
+        return {
+            success: true,
+            message: skipped.length ? `${message}; skipped ${skipped.length}` : message,
+            promoted: promotedIds.length,
+            skipped: skipped,
+        };
+    } catch (error) {
+        Logger.log('Error in promoteStudents:', error);
+        return { success: false, message: error.toString() };
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * Check that a student in a semester can move to toSemester: the next semester within
+ * the course's length, or graduation ('') from its final semester
+ * @returns {string} - Why the student cannot move, or '' when they can
+ */
+function checkPromotionTarget(course, currentSemester, toSemester) {
+    const current = parseInt(currentSemester, 10);
+    const finalSemester = COURSE_DURATION_SEMESTERS[course];
+
+    if (!(current >= 1)) {
+        return `has no valid semester (${currentSemester})`;
+    }
+    if (!toSemester) {
+        return finalSemester && current < finalSemester ? `is not in the final semester of ${course}` : '';
+    }
+    if (Number(toSemester) !== current + 1) {
+        return `cannot move from semester ${current} to ${toSemester}`;
+    }
+    if (finalSemester && Number(toSemester) > finalSemester) {
+        return `${course} has only ${finalSemester} semesters`;
+    }
+    return '';
+}
+
+/**
+ * Move a student to another status (see STUDENT_STATUS_TRANSITIONS), with a reason
+ * @returns {object} - { success, message, student: { status, statusReason, statusChangedAt } }
+ */
+function setStudentStatus(studentId, status, reason, session) {
+    try {
+        if (!STUDENT_STATUS_TRANSITIONS[status]) {
+            return { success: false, message: 'Unknown status' };
+        }
+
+        reason = String(reason || '').trim();
+        if (!reason) {
+            return { success: false, message: 'Give a reason for the status change' };
+        }
+
+        const ref = findStudentRow(studentId);
+        if (!ref) {
+            return { success: false, message: 'Student not found' };
+        }
+
+        const current = getStudentStatus(ref.student);
+        if (STUDENT_STATUS_TRANSITIONS[current].indexOf(status) === -1) {
+            return { success: false, message: `A ${current} student cannot be made ${status}` };
+        }
+
+        const now = new Date().toISOString();
+        const fields = { status: status, statusReason: reason, statusChangedAt: now };
+        setStudentFields(ref, Object.assign({ updatedAt: now }, fields));
+        logAction('SET_STATUS', studentId, `${current} -> ${status} by ${session.username}: ${reason}`);
+
+        return { success: true, message: `Student is now ${status}`, student: fields };
+    } catch (error) {
+        Logger.log('Error in setStudentStatus:', error);
+        return { success: false, message: error.toString() };
+    }
+}
+
+/**
+ * Get a student's status (blank means active)
+ */
+function getStudentStatus(student) {
+    return student.status || STUDENT_STATUS.ACTIVE;
+}
+
+/**
+ * Validate the student IDs of a bulk action
+ * @returns {object|null} - Error response, or null when valid
+ */
+function checkBulkStudentIds(studentIds) {
+    if (!Array.isArray(studentIds) || studentIds.length === 0) {
+        return { success: false, message: 'No students selected' };
+    }
+    if (studentIds.length > MAX_BULK_ACTION_STUDENTS) {
+        return { success: false, message: `Select at most ${MAX_BULK_ACTION_STUDENTS} students at a time` };
+    }
+    return null;
+}
+
+/**
+ * Map student IDs to sheet row numbers
+ * @param {array} data - Students sheet values, header row first
+ * @returns {object} - Student ID -> row number
+ */
+function getStudentRowNumbers(data) {
+    const rows = {};
+    for (let i = 1; i < data.length; i++) {
+        rows[data[i][0]] = i + 1;
+    }
+    return rows;
+}
+
+/**
+ * Read a Students sheet cell. Sheets turns yyyy-MM-dd text into a Date at midnight
+ * in its own time zone, so date-only fields are formatted back in that zone.
+ */
+function readStudentCell(key, value) {
+    if (value instanceof Date && STUDENT_DATE_FIELDS.indexOf(key) !== -1) {
+        return Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+    }
+    return value;
+}
+
+/**
+ * Find a student's sheet row
+ * @returns {object|null} - { sheet, headers, rowNumber, student }
+ */
+function findStudentRow(studentId) {
+    const sheet = getSheet(SHEET_NAMES.STUDENTS);
+    const data = sheet.getDataRange().getValues();
+    const headers = data[0];
+
+    for (let i = 1; i < data.length; i++) {
+        if (data[i][0] === studentId) {
+            const student = {};
+            headers.forEach((header, index) => {
+                const key = HEADER_TO_KEY_MAP[header];
+                if (key) {
+                    student[key] = readStudentCell(key, data[i][index]);
+                }
+            });
+            return { sheet: sheet, headers: headers, rowNumber: i + 1, student: student };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Write backend-managed fields to a student row found by findStudentRow
+ */
+function setStudentFields(ref, fields) {
+    Object.keys(fields).forEach(key => {
+        const colIndex = ref.headers.indexOf(getHeaderForKey(HEADER_TO_KEY_MAP, key));
+        if (colIndex !== -1) {
+            ref.sheet.getRange(ref.rowNumber, colIndex + 1).setValue(toSheetValue(fields[key]));
+        }
+        ref.student[key] = fields[key];
+    });
+}
+
+/**
+ * Archive a rendered ID card (PDF or PNG data URL) in the student's Drive folder
+ * and record the file plus the issue and valid-until dates signed into its card code
+ */
+function saveIdCard(studentId, cardData, cardCode, session) {
+    try {
+        const match = /^data:(application\/pdf|image\/png)(?:;[^,]*)?;base64,(.+)$/.exec(cardData || '');
+        if (!match) {
+            return { success: false, message: 'Card must be a PDF or PNG data URL' };
+        }
+
+        const bytes = Utilities.base64Decode(match[2]);
+        if (bytes.length > MAX_CARD_FILE_BYTES) {
+            return { success: false, message: 'Card file is too large' };
+        }
+
+        const ref = findStudentRow(studentId);
+        if (!ref) {
+            return { success: false, message: 'Student not found' };
+        }
+
+        // Only the student's current card can be archived
+        const card = parseCardCode(cardCode);
+        if (
+            !card ||
+            card.studentId !== studentId ||
+            !card.serial ||
+            card.serial !== formatCardSerial(ref.student.cardSerial) ||
+            !safeEquals(signCardFields(card), card.signature)
+        ) {
+            return { success: false, message: 'Card code is missing, invalid or not the current card' };
+        }
+
+        const issuedAt = new Date(card.issuedAt).toISOString();
+        const extension = match[1] === 'application/pdf' ? 'pdf' : 'png';
+        const fileName = `ID-${studentId}-${card.serial}.${extension}`;
+        const file = getStudentCardFolder(ref.student).createFile(
+            Utilities.newBlob(bytes, match[1], fileName)
+        );
+
+        setStudentFields(ref, {
+            cardFileId: file.getId(),
+            publicToken: ref.student.publicToken || generatePublicToken(),
+        });
+        updateCardRecord(card.serial, { fileId: file.getId() });
+
+        logAction(
+            'SAVE_ID_CARD',
+            studentId,
+            `Archived ${extension.toUpperCase()} of card ${card.serial} as ${file.getId()} by ${session.username}`
+        );
+
+        return {
+            success: true,
+            message: 'ID card archived',
+            fileId: file.getId(),
+            fileUrl: file.getUrl(),
+            issuedAt: issuedAt,
+            publicToken: ref.student.publicToken,
+        };
+    } catch (error) {
+        Logger.log('Error in saveIdCard:', error);
+        return { success: false, message: error.toString() };
+    }
+}
+
+/**
+ * Store a student's photo (JPEG data URL cropped by the dashboard) in their
+ * Drive folder, replacing any previous photo
+ */
+function uploadPhoto(studentId, photoData, session) {
+    try {
+        const match = /^data:image\/jpeg(?:;[^,]*)?;base64,(.+)$/.exec(photoData || '');
+        if (!match) {
+            return { success: false, message: 'Photo must be a JPEG data URL' };
+        }
+
+        const bytes = Utilities.base64Decode(match[1]);
+        if (bytes.length > MAX_PHOTO_BYTES) {
+            return { success: false, message: 'Photo is too large' };
+        }
+
+        const ref = findStudentRow(studentId);
+        if (!ref) {
+            return { success: false, message: 'Student not found' };
+        }
+
+        const file = getStudentCardFolder(ref.student).createFile(
+            Utilities.newBlob(bytes, 'image/jpeg', `Photo-${studentId}.jpg`)
+        );
+
+        const previousId = ref.student.photoFileId;
+        setStudentFields(ref, { photoFileId: file.getId() });
+
+        if (previousId) {
+            try {
+                DriveApp.getFileById(previousId).setTrashed(true);
+            } catch (error) {
+                Logger.log('Previous photo could not be removed:', error);
+            }
+        }
+
+        logAction('UPLOAD_PHOTO', studentId, `Uploaded photo ${file.getId()} by ${session.username}`);
+
+        return { success: true, message: 'Photo uploaded', photoFileId: file.getId() };
+    } catch (error) {
+        Logger.log('Error in uploadPhoto:', error);
+        return { success: false, message: error.toString() };
+    }
+}
+
+/**
+ * Read a stored photo as a data URL (empty when missing, so cards show the placeholder)
+ */
+function getPhotoDataUrl(fileId) {
+    if (!fileId) return '';
+
+    try {
+        const blob = DriveApp.getFileById(fileId).getBlob();
+        return `data:${blob.getContentType()};base64,${Utilities.base64Encode(blob.getBytes())}`;
+    } catch (error) {
+        Logger.log('Photo could not be read:', error);
+        return '';
+    }
+}
+
+/**
+ * Get student by public card token (no login required)
+ */
+function getStudentByUniqueId(uniqueId) {
+    try {
+        if (!uniqueId || !/^[a-f0-9]{32}$/i.test(uniqueId)) {
+            return { success: false, message: 'Student not found' };
+        }
+
+        const student = getAllStudents().find(
+            s => s.publicToken && safeEquals(String(s.publicToken), String(uniqueId))
+        );
+
+        if (!student) {
+            return { success: false, message: 'Student not found' };
+        }
+
+        // Only the card actually issued gets a code; viewers must not mint new ones
+        const publicStudent = toPublicStudent(student);
+        const card = getIssuedCard(student);
+        if (card) {
+            setCardFields(publicStudent, card);
+        }
+        publicStudent.photo = getPhotoDataUrl(student.photoFileId);
+
+        return { success: true, student: publicStudent, template: getTemplateForCourse(student.course) };
+    } catch (error) {
+        Logger.log('Error in getStudentByUniqueId:', error);
+        return { success: false, message: error.toString() };
+    }
+}
+
+/**
+ * Verify a signed card code (from the QR or typed at the gate) and record the outcome
+ * @returns {object} - { success, status, student?, issuedAt?, expiresAt? }
+ */
+function verifyCard(code, source) {
+    try {
+        const result = checkCardCode(code, Date.now());
+
+        recordVerification(
+            result.status,
+            result.studentId || '',
+            result.issuedAt ? new Date(result.issuedAt).toISOString() : '',
+            source === 'qr' ? 'qr' : 'manual'
+        );
+
+        const response = { success: true, status: result.status };
+        if (result.student) {
+            response.serial = result.serial;
+            response.student = toPublicStudent(result.student);
+            response.student.photo = getPhotoDataUrl(result.student.photoFileId);
+            response.issuedAt = new Date(result.issuedAt).toISOString();
+            response.expiresAt = new Date(result.expiresAt).toISOString();
+        }
+        return response;
+    } catch (error) {
+        Logger.log('Error in verifyCard:', error);
+        return { success: false, message: error.toString() };
+    }
+}
+
+/**
+ * Work out the status of a card code without recording it
+ * @returns {object} - { status, studentId?, student?, issuedAt?, expiresAt? }
+ */
+function checkCardCode(code, now) {
+    const parsed = parseCardCode(code);
+    if (!parsed) {
+        return { status: CARD_STATUS.UNKNOWN };
+    }
+
+    if (!safeEquals(signCardFields(parsed), parsed.signature)) {
+        return { status: CARD_STATUS.UNKNOWN };
+    }
+
+    const student = getAllStudents().find(s => s.id === parsed.studentId);
+    if (!student) {
+        return { status: CARD_STATUS.UNKNOWN, studentId: parsed.studentId };
+    }
+
+    const record = getCardRecords().find(c => c.serial === parsed.serial);
+    if (!record || record.studentId !== student.id) {
+        return { status: CARD_STATUS.UNKNOWN, studentId: parsed.studentId };
+    }
+    const revoked = record.status === 'REVOKED' || isCardRevoked(student, parsed.issuedAt);
+
+    let status = CARD_STATUS.VALID;
+    if (revoked) {
+        status = CARD_STATUS.REVOKED;
+    } else if (getStudentStatus(student) !== STUDENT_STATUS.ACTIVE) {
+        status = CARD_STATUS.INACTIVE;
+    } else if (now > parsed.expiresAt) {
+        status = CARD_STATUS.EXPIRED;
+    }
+
+    return {
+        status: status,
+        studentId: student.id,
+        serial: parsed.serial,
+        student: student,
+        issuedAt: parsed.issuedAt,
+        expiresAt: parsed.expiresAt,
+    };
+}
+
+/**
+ * Re-issue a student's card from today with a freshly derived valid-until date
+ * @returns {object} - { success, student } with the new card dates and code
+ */
+function renewCard(studentId, session) {
+    return issueCard(studentId, 'renewal', session);
+}
+
+/**
+ * Issue a card with the next serial number, revoking the student's older serials
+ * @param {string} reason - Key of CARD_ISSUE_REASONS
+ * @returns {object} - { success, student } with the new card serial, dates and code
+ */
+function issueCard(studentId, reason, session) {
+    const lock = LockService.getScriptLock();
+    try {
+        if (!CARD_ISSUE_REASONS[reason]) {
+            return { success: false, message: 'Invalid reason for issuing a card' };
+        }
+
+        // Read the student and their current card under the lock, so concurrent issues
+        // cannot both pass the checks and the row cannot move before it is written
+        lock.waitLock(10000);
+
+        const ref = findStudentRow(studentId);
+        if (!ref) {
+            return { success: false, message: 'Student not found' };
+        }
+
+        if (getStudentStatus(ref.student) !== STUDENT_STATUS.ACTIVE) {
+            return { success: false, message: `Cards cannot be issued to a ${ref.student.status} student` };
+        }
+
+        const current = getIssuedCard(ref.student);
+        if (reason === 'new' && current) {
+            return {
+                success: false,
+                message: `Card ${current.serial} is still active. Choose why it is being replaced.`,
+            };
+        }
+
+        const sheet = getSheet(SHEET_NAMES.CARDS);
+        const records = getCardRecords();
+        const serial = formatCardSerial(
+            records.reduce((max, c) => Math.max(max, parseInt(c.serial, 10) || 0), 0) + 1
+        );
+        const card = {
+            serial: serial,
+            issuedAt: Date.now(),
+        };
+        card.validUntil = getCardValidUntil(ref.student, card.issuedAt);
+        const now = new Date(card.issuedAt).toISOString();
+
+        // A student has at most one active card
+        const replaced = records.filter(c => c.studentId === studentId && c.status === 'ACTIVE');
+        replaced.forEach(c => {
+            updateCardRecord(c.serial, {
+                status: 'REVOKED',
+                revokedAt: now,
+                revokeReason: `Replaced by ${serial} (${CARD_ISSUE_REASONS[reason]})`,
+            });
+        });
+
+        const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+        sheet.appendRow(
+            buildRow(headers, CARD_HEADER_TO_KEY_MAP, {
+                serial: serial,
+                studentId: studentId,
+                issuedAt: now,
+                validUntil: new Date(card.validUntil).toISOString(),
+                status: 'ACTIVE',
+                issueReason: CARD_ISSUE_REASONS[reason],
+                issuedBy: session.username,
+            })
+        );
+        // Keep leading zeros: serials are text, not numbers
+        sheet.getRange(sheet.getLastRow(), headers.indexOf('Serial') + 1).setNumberFormat('@').setValue(serial);
+
+        setStudentFields(ref, {
+            cardSerial: serial,
+            cardIssuedAt: now,
+            cardValidUntil: new Date(card.validUntil).toISOString(),
+            // The card's QR code links to the public token
+            publicToken: ref.student.publicToken || generatePublicToken(),
+        });
+
+        logAction(
+            reason === 'renewal' ? 'RENEW_CARD' : 'ISSUE_CARD',
+            studentId,
+            `Issued card ${serial} (${CARD_ISSUE_REASONS[reason]}) valid until ${toDateString(card.validUntil)}` +
+                (replaced.length ? `, revoked ${replaced.map(c => c.serial).join(', ')}` : '') +
+                ` by ${session.username}`
+        );
+
+        setCardFields(ref.student, card);
+        ref.student.photo = getPhotoDataUrl(ref.student.photoFileId);
+        return { success: true, message: `Card ${serial} issued`, student: ref.student };
+    } catch (error) {
+        Logger.log('Error in issueCard:', error);
+        return { success: false, message: error.toString() };
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * Get every card issued to a student, newest first
+ */
+function getCardHistory(studentId) {
+    try {
+        const cards = getCardRecords()
+            .filter(c => c.studentId === studentId)
+            .map(c => {
+                delete c.rowNumber;
+                return c;
+            })
+            .reverse();
+
+        return { success: true, cards: cards };
+    } catch (error) {
+        Logger.log('Error in getCardHistory:', error);
+        return { success: false, message: error.toString() };
+    }
+}
+
+/**
+ * Read all rows of the Cards sheet
+ * @returns {array} - Card records with rowNumber
+ */
+function getCardRecords() {
+    const sheet = getSheet(SHEET_NAMES.CARDS);
+    const data = sheet.getDataRange().getValues();
+    const headers = data[0];
+    const cards = [];
+
+    for (let i = 1; i < data.length; i++) {
+        if (!data[i][0]) continue;
+
+        const card = { rowNumber: i + 1 };
+        headers.forEach((header, index) => {
+            const key = CARD_HEADER_TO_KEY_MAP[header];
+            if (key) {
+                card[key] = data[i][index];
+            }
+        });
+        card.serial = formatCardSerial(card.serial);
+        cards.push(card);
+    }
+
+    return cards;
+}
+
+/**
+ * Update fields of the Cards sheet row for a serial
+ */
+function updateCardRecord(serial, fields) {
+    const record = getCardRecords().find(c => c.serial === serial);
+    if (!record) return;
+
+    const sheet = getSheet(SHEET_NAMES.CARDS);
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    Object.keys(fields).forEach(key => {
+        const colIndex = headers.indexOf(getHeaderForKey(CARD_HEADER_TO_KEY_MAP, key));
+        if (colIndex !== -1) {
+            sheet.getRange(record.rowNumber, colIndex + 1).setValue(fields[key]);
+        }
+    });
+}
+
+/**
+ * Zero-pad a card serial (sheets may hand it back as a number)
+ */
+function formatCardSerial(serial) {
+    if (serial === '' || serial === null || serial === undefined) return '';
+    return String(serial).padStart(CARD_SERIAL_DIGITS, '0');
+}
+
+/**
+ * Get the student's current (issued, unrevoked) card
+ * @returns {object|null} - { serial, issuedAt, validUntil } with dates in ms
+ */
+function getIssuedCard(student) {
+    const serial = formatCardSerial(student.cardSerial);
+    const issuedAt = toTime(student.cardIssuedAt);
+    const validUntil = toTime(student.cardValidUntil);
+    if (!serial || !issuedAt || !validUntil || isCardRevoked(student, issuedAt)) return null;
+    return { serial: serial, issuedAt: issuedAt, validUntil: validUntil };
+}
+
+/**
+ * Copy card serial, dates and the matching signed code onto a student object
+ */
+function setCardFields(student, card) {
+    student.cardSerial = card.serial;
+    student.cardIssuedAt = new Date(card.issuedAt).toISOString();
+    student.cardValidUntil = new Date(card.validUntil).toISOString();
+    student.cardCode = createCardCode({
+        studentId: student.id,
+        serial: card.serial,
+        issuedAt: card.issuedAt,
+        expiresAt: card.validUntil,
+    });
+}
+
+/**
+ * End of the academic session in which the student's course finishes
+ * Two semesters per session; unknown courses get the current session only.
+ * @returns {number} - ms
+ */
+function getCardValidUntil(student, issuedAt) {
+    const issued = new Date(issuedAt);
+    let endYear = issued.getFullYear();
+    const sessionEnd = new Date(endYear, ACADEMIC_SESSION_END.MONTH, ACADEMIC_SESSION_END.DAY, 23, 59, 59);
+    if (issued > sessionEnd) endYear++;
+
+    const duration = COURSE_DURATION_SEMESTERS[student.course];
+    const semester = parseInt(student.semester, 10);
+    if (duration && semester >= 1 && semester <= duration) {
+        const remainingSemesters = duration - semester + 1;
+        // The current session covers this semester and, if odd, the next one
+        const currentSessionSemesters = semester % 2 === 1 ? 2 : 1;
+        endYear += Math.ceil(Math.max(0, remainingSemesters - currentSessionSemesters) / 2);
+    }
+
+    return new Date(endYear, ACADEMIC_SESSION_END.MONTH, ACADEMIC_SESSION_END.DAY, 23, 59, 59).getTime();
+}
+
+/**
+ * Format a date value as yyyy-MM-dd for log messages
+ */
+function toDateString(value) {
+    const time = toTime(value);
+    return time ? new Date(time).toISOString().substring(0, 10) : String(value);
+}
+
+/**
+ * Revoke every card issued to a student so far; cards issued later are unaffected.
+ * The student is left with no current card, so status and renewal checks see none.
+ */
+function revokeCard(studentId, reason, session) {
+    const lock = LockService.getScriptLock();
+    try {
+        // Same lock as issueCard, so a card cannot be issued halfway through a revoke
+        lock.waitLock(10000);
+
+        const ref = findStudentRow(studentId);
+        if (!ref) {
+            return { success: false, message: 'Student not found' };
+        }
+
+        const revokedAt = new Date().toISOString();
+        setStudentFields(ref, {
+            cardsRevokedAt: revokedAt,
+            cardSerial: '',
+            cardIssuedAt: '',
+            cardValidUntil: '',
+        });
+
+        getCardRecords()
+            .filter(c => c.studentId === studentId && c.status === 'ACTIVE')
+            .forEach(c => {
+                updateCardRecord(c.serial, {
+                    status: 'REVOKED',
+                    revokedAt: revokedAt,
+                    revokeReason: reason ? String(reason).substring(0, 200) : 'Revoked',
+                });
+            });
+
+        logAction(
+            'REVOKE_CARD',
+            studentId,
+            `Revoked cards issued before ${revokedAt} by ${session.username}` +
+                (reason ? `: ${String(reason).substring(0, 200)}` : '')
+        );
+
+        return { success: true, message: 'Card revoked', revokedAt: revokedAt };
+    } catch (error) {
+        Logger.log('Error in revokeCard:', error);
+        return { success: false, message: error.toString() };
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * Get every card template
+ */
+function getCardTemplates() {
+    try {
+        const templates = getTemplateRecords().map(t => {
+            delete t.rowNumber;
+            return t;
+        });
+        return { success: true, templates: templates };
+    } catch (error) {
+        Logger.log('Error in getCardTemplates:', error);
+        return { success: false, message: error.toString() };
+    }
+}
+
+/**
+ * Create or update a card template. A course uses one template, so courses
+ * assigned here are taken off other templates; likewise only one is the default.
+ * @param {object} template - { id ('' for new), name, layout, headerText, subtitle,
+ *     primaryColor, accentColor, fields, courses, isDefault }
+ */
+function saveCardTemplate(template, session) {
+    const lock = LockService.getScriptLock();
+    try {
+        const error = validateCardTemplate(template);
+        if (error) {
+            return { success: false, message: error };
+        }
+
+        lock.waitLock(30000);
+
+        const records = getTemplateRecords();
+        const existing = template.id ? records.find(t => t.id === template.id) : null;
+        if (template.id && !existing) {
+            return { success: false, message: 'Template not found' };
+        }
+
+        const record = {
+            id: existing ? existing.id : 'TPL' + Utilities.getUuid().replace(/-/g, '').substring(0, 8).toUpperCase(),
+            name: String(template.name).trim(),
+            layout: template.layout,
+            headerText: String(template.headerText).trim(),
+            subtitle: String(template.subtitle || '').trim(),
+            primaryColor: template.primaryColor,
+            accentColor: template.accentColor,
+            fields: template.fields.join(', '),
+            courses: template.courses.join(', '),
+            isDefault: !!template.isDefault,
+            updatedAt: new Date().toISOString(),
+            updatedBy: session.username,
+        };
+
+        records.forEach(other => {
+            if (other.id === record.id) return;
+
+            const updates = {};
+            const courses = other.courses.filter(c => template.courses.indexOf(c) === -1);
+            if (courses.length !== other.courses.length) {
+                updates.courses = courses.join(', ');
+            }
+            if (record.isDefault && other.isDefault) {
+                updates.isDefault = false;
+            }
+            if (Object.keys(updates).length > 0) {
+                updateTemplateRecord(other.rowNumber, updates);
+            }
+        });
+
+        if (existing) {
+            updateTemplateRecord(existing.rowNumber, record);
+        } else {
+            const sheet = getSheet(SHEET_NAMES.TEMPLATES);
+            const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+            sheet.appendRow(buildRow(headers, TEMPLATE_HEADER_TO_KEY_MAP, record));
+        }
+
+        logAction(
+            'SAVE_TEMPLATE',
+            '',
+            `${existing ? 'Updated' : 'Created'} card template ${record.name} (${record.id})` +
+                (record.courses ? ` for ${record.courses}` : '') +
+                ` by ${session.username}`
+        );
+
+        return {
+            success: true,
+            message: 'Template saved',
+            template: toTemplate(record),
+        };
+    } catch (error) {
+        Logger.log('Error in saveCardTemplate:', error);
+        return { success: false, message: error.toString() };
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * Delete a card template (its courses fall back to the default template)
+ */
+function deleteCardTemplate(templateId, session) {
+    const lock = LockService.getScriptLock();
+    try {
+        lock.waitLock(30000);
+
+        const template = getTemplateRecords().find(t => t.id === templateId);
+        if (!template) {
+            return { success: false, message: 'Template not found' };
+        }
+
+        getSheet(SHEET_NAMES.TEMPLATES).deleteRow(template.rowNumber);
+        logAction('DELETE_TEMPLATE', '', `Deleted card template ${template.name} (${template.id}) by ${session.username}`);
+
+        return { success: true, message: 'Template deleted' };
+    } catch (error) {
+        Logger.log('Error in deleteCardTemplate:', error);
+        return { success: false, message: error.toString() };
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * Check a template sent by the designer
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateCardTemplate(template) {
+    if (!template || !String(template.name || '').trim() || !String(template.headerText || '').trim()) {
+        return 'Template name and header text are required';
+    }
+    if (
+        String(template.name).trim().length > CARD_TEMPLATE_TEXT_MAX ||
+        String(template.headerText).trim().length > CARD_TEMPLATE_TEXT_MAX ||
+        String(template.subtitle || '').trim().length > CARD_TEMPLATE_TEXT_MAX
+    ) {
+        return `Name, header text and subtitle must be at most ${CARD_TEMPLATE_TEXT_MAX} characters`;
+    }
+    if (CARD_TEMPLATE_LAYOUTS.indexOf(template.layout) === -1) {
+        return 'Unknown layout';
+    }
+    if (!/^#[0-9a-f]{6}$/i.test(template.primaryColor) || !/^#[0-9a-f]{6}$/i.test(template.accentColor)) {
+        return 'Colours must be hex values such as #2d5016';
+    }
+    if (!Array.isArray(template.fields) || template.fields.length === 0) {
+        return 'Choose at least one field';
+    }
+    if (template.fields.some(f => CARD_TEMPLATE_FIELDS.indexOf(f) === -1)) {
+        return 'Unknown field';
+    }
+    if (!Array.isArray(template.courses) || template.courses.some(c => !COURSE_DURATION_SEMESTERS[c])) {
+        return 'Unknown course';
+    }
+    return null;
+}
+
+/**
+ * Get the template a course's cards use: the one assigned to it, else the default
+ * @returns {object|null} - Template, or null to use the built-in layout
+ */
+function getTemplateForCourse(course) {
+    const templates = getTemplateRecords();
+    const template =
+        templates.find(t => t.courses.indexOf(course) !== -1) || templates.find(t => t.isDefault);
+    if (!template) return null;
+
+    delete template.rowNumber;
+    return template;
+}
+
+/**
+ * Read all rows of the Templates sheet
+ * @returns {array} - Templates with rowNumber
+ */
+function getTemplateRecords() {
+    const sheet = getSheet(SHEET_NAMES.TEMPLATES);
+    const data = sheet.getDataRange().getValues();
+    const headers = data[0];
+    const templates = [];
+
+    for (let i = 1; i < data.length; i++) {
+        if (!data[i][0]) continue;
+
+        const record = {};
+        headers.forEach((header, index) => {
+            const key = TEMPLATE_HEADER_TO_KEY_MAP[header];
+            if (key) {
+                record[key] = data[i][index];
+            }
+        });
+        const template = toTemplate(record);
+        template.rowNumber = i + 1;
+        templates.push(template);
+    }
+
+    return templates;
+}
+
+/**
+ * Turn a Templates sheet record into a template (lists split, flag as boolean)
+ */
+function toTemplate(record) {
+    const split = value =>
+        String(value || '')
+            .split(',')
+            .map(item => item.trim())
+            .filter(Boolean);
+
+    return {
+        id: record.id,
+        name: record.name,
+        layout: record.layout,
+        headerText: record.headerText,
+        subtitle: record.subtitle,
+        primaryColor: record.primaryColor,
+        accentColor: record.accentColor,
+        fields: split(record.fields),
+        courses: split(record.courses),
+        isDefault: record.isDefault === true || record.isDefault === 'TRUE',
+        updatedAt: record.updatedAt,
+        updatedBy: record.updatedBy,
+    };
+}
+
+/**
+ * Update fields of a Templates sheet row
+ */
+function updateTemplateRecord(rowNumber, fields) {
+    const sheet = getSheet(SHEET_NAMES.TEMPLATES);
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    Object.keys(fields).forEach(key => {
+        const colIndex = headers.indexOf(getHeaderForKey(TEMPLATE_HEADER_TO_KEY_MAP, key));
+        if (colIndex !== -1) {
+            sheet.getRange(rowNumber, colIndex + 1).setValue(toSheetValue(fields[key]));
+        }
+    });
+}
+
+/**
+ * Append one verification attempt to the Verifications sheet
+ */
+function recordVerification(outcome, studentId, issuedAt, source) {
+    try {
+        const sheet = getSheet(SHEET_NAMES.VERIFICATIONS);
+        sheet.appendRow([new Date().toISOString(), outcome, studentId, issuedAt, source]);
+    } catch (error) {
+        Logger.log('Error recording verification:', error);
+    }
+}
+
+/**
+ * Create a signed card code
+ * @param {object} card - { studentId, serial, issuedAt, expiresAt } with dates in ms
+ */
+function createCardCode(card) {
+    return [
+        card.studentId,
+        card.serial,
+        card.issuedAt.toString(36).toUpperCase(),
+        card.expiresAt.toString(36).toUpperCase(),
+        signCardFields(card),
+    ].join('-');
+}
+
+/**
+ * Split a card code into its fields (codes are case-insensitive when typed)
+ * @returns {object|null} - { studentId, serial, issuedAt, expiresAt, signature }
+ */
+function parseCardCode(code) {
+    const parts = String(code || '')
+        .trim()
+        .toUpperCase()
+        .split('-');
+    if (parts.length !== 5) return null;
+
+    const [studentId, serial, issued, expires, signature] = parts;
+    if (!/^STU[A-Z0-9]+$/.test(studentId)) return null;
+    if (!/^[0-9]+$/.test(serial)) return null;
+    if (!/^[A-Z0-9]{1,12}$/.test(issued) || !/^[A-Z0-9]{1,12}$/.test(expires)) return null;
+    if (!/^[A-Z2-7]+$/.test(signature)) return null;
+
+    return {
+        studentId: studentId,
+        serial: serial,
+        issuedAt: parseInt(issued, 36),
+        expiresAt: parseInt(expires, 36),
+        signature: signature,
+    };
+}
+
+/**
+ * Truncated HMAC over the card fields, base32 so it can be typed
+ * @param {object} card - { studentId, serial, issuedAt, expiresAt }
+ */
+function signCardFields(card) {
+    const fields = [card.studentId, card.serial, card.issuedAt, card.expiresAt];
+    const signature = Utilities.computeHmacSha256Signature(fields.join('|'), getSecret('CARD_SECRET'));
+    return base32Encode(signature.slice(0, CARD_SIGNATURE_BYTES));
+}
+
+/**
+ * Check whether a card issued at issuedAt (ms) has been revoked
+ */
+function isCardRevoked(student, issuedAt) {
+    const revokedAt = toTime(student.cardsRevokedAt);
+    return revokedAt !== null && issuedAt <= revokedAt;
+}
+
+/**
+ * Convert a sheet date value (Date or ISO string) to milliseconds
+ * @returns {number|null}
+ */
+function toTime(value) {
+    if (!value) return null;
+    const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+    return isNaN(time) ? null : time;
+}
+
+/**
+ * Reduce a student record to the fields safe to show without login
+ */
+function toPublicStudent(student) {
+    const result = {};
+    PUBLIC_STUDENT_FIELDS.forEach(key => {
+        result[key] = student[key];
+    });
+    return result;
+}
+
+/**
+ * Give every student without a public token a new one (run once from the editor
+ * after upgrading; students added since then get a token when they are added).
+ * Holds the script lock so no row moves between the read and the column write.
+ */
+function backfillPublicTokens() {
+    const lock = LockService.getScriptLock();
+    try {
+        lock.waitLock(30000);
+
+        const sheet = getSheet(SHEET_NAMES.STUDENTS);
+        const lastRow = sheet.getLastRow();
+        if (lastRow <= 1) return;
+
+        const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+        const column = headers.indexOf(getHeaderForKey(HEADER_TO_KEY_MAP, 'publicToken')) + 1;
+        if (column === 0) return;
+
+        const ids = sheet.getRange(2, 1, lastRow - 1, 1).getValues();
+        const range = sheet.getRange(2, column, lastRow - 1, 1);
+        const tokens = range.getValues();
+
+        let changed = 0;
+        tokens.forEach((row, index) => {
+            if (ids[index][0] && !row[0]) {
+                row[0] = generatePublicToken();
+                changed++;
+            }
+        });
+
+        if (changed > 0) {
+            range.setValues(tokens);
+            logAction('BACKFILL_PUBLIC_TOKENS', '', `Issued public tokens to ${changed} student(s)`);
+        }
+        Logger.log(`Issued public tokens to ${changed} student(s)`);
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * Get (or create) the Drive folder for one student's archived cards
+ */
+function getStudentCardFolder(student) {
+    const root = getCardArchiveFolder();
+    const name = `${student.rollNo} - ${student.id}`;
+    const existing = root.getFoldersByName(name);
+    return existing.hasNext() ? existing.next() : root.createFolder(name);
+}
+
+/**
+ * Get (or create) the root card archive folder; its ID is kept in script properties
+ */
+function getCardArchiveFolder() {
+    const props = PropertiesService.getScriptProperties();
+    const folderId = props.getProperty('CARD_ARCHIVE_FOLDER_ID');
+
+    if (folderId) {
+        try {
+            return DriveApp.getFolderById(folderId);
+        } catch (error) {
+            Logger.log('Card archive folder missing, creating a new one:', error);
+        }
+    }
+
+    const folder = DriveApp.createFolder(CARD_ARCHIVE_FOLDER_NAME);
+    props.setProperty('CARD_ARCHIVE_FOLDER_ID', folder.getId());
+    return folder;
+}
+
+/**
+ * Generate a random, non-guessable public card token (128-bit hex)
+ */
+function generatePublicToken() {
+    return Utilities.getUuid().replace(/-/g, '');
+}
+
+/**
+ * Generate unique student ID
+ */
+function generateUniqueId() {
+    const timestamp = Date.now().toString(36).toUpperCase();
+    const random = Math.random()
+        .toString(36)
+        .substr(2, 5)
+        .toUpperCase();
+    return `STU${timestamp}${random}`;
+}
+
+/**
+ * Log action to audit sheet
+ */
+function logAction(action, studentId, details) {
+    try {
+        const sheet = getSheet(SHEET_NAMES.LOGS);
+        const timestamp = new Date().toISOString();
+        sheet.appendRow([timestamp, action, studentId, details]);
     } catch (error) {
         Logger.log('Error logging action:', error);
     }
 }
 
+/**
+ * Check if role grants a permission (unknown roles/permissions are denied)
+ */
+function hasPermission(role, permission) {
+    const permissions = ROLE_PERMISSIONS[role];
+    return !!permission && !!permissions && permissions.indexOf(permission) !== -1;
+}
+
+/**
+ * Get all staff users (helper function)
+ */
+function getAllUsers() {
+    const sheet = getSheet(SHEET_NAMES.USERS);
+    const data = sheet.getDataRange().getValues();
+
+    if (data.length <= 1) {
+        return [];
+    }
+
+    const headers = data[0];
+    const users = [];
+
+    for (let i = 1; i < data.length; i++) {
+        const row = data[i];
+        if (!row[0]) continue; // Skip empty rows
+
+        // Keep the sheet row so the record can be updated in place
+        const user = { rowNumber: i + 1 };
+        headers.forEach((header, index) => {
+            const key = USER_HEADER_TO_KEY_MAP[header];
+            if (key) {
+                user[key] = row[index];
+            }
+        });
+
+        users.push(user);
+    }
+
+    return users;
+}
+
+/**
+ * Find user by username (case-insensitive)
+ */
+function findUser(username) {
+    const target = String(username).trim().toLowerCase();
+    return getAllUsers().find(u => String(u.username).toLowerCase() === target) || null;
+}
+
+/**
+ * Write changed fields back to a user's row
+ */
+function updateUserFields(user, updates) {
+    const sheet = getSheet(SHEET_NAMES.USERS);
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+
+    Object.keys(updates).forEach(key => {
+        const colIndex = headers.indexOf(getHeaderForKey(USER_HEADER_TO_KEY_MAP, key));
+        if (colIndex !== -1) {
+            sheet.getRange(user.rowNumber, colIndex + 1).setValue(updates[key]);
+        }
+        user[key] = updates[key];
+    });
+}
+
+/**
+ * Create a staff user with a salted password hash
+ */
+function createUserAccount(username, password, role, createdBy) {
+    if (!username || !password) {
+        throw new Error('Username and password are required');
+    }
+    if (findUser(username)) {
+        throw new Error('User already exists: ' + username);
+    }
+    if (!ROLE_PERMISSIONS[role]) {
+        throw new Error('Unknown role: ' + role);
+    }
+
+    const salt = Utilities.getUuid().replace(/-/g, '');
+    const record = {
+        username: String(username).trim(),
+        passwordHash: hashPassword(password, salt),
+        salt: salt,
+        role: role,
+        createdAt: new Date().toISOString(),
+        lastLogin: '',
+        active: true,
+        failedAttempts: 0,
+        lockedUntil: '',
+        sessionVersion: 0,
+    };
+
+    // Follow the sheet's actual column order
+    const sheet = getSheet(SHEET_NAMES.USERS);
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    sheet.appendRow(buildRow(headers, USER_HEADER_TO_KEY_MAP, record));
+    logAction(
+        'CREATE_USER',
+        '',
+        `Created ${record.role} user: ${record.username}` + (createdBy ? ` by ${createdBy}` : '')
+    );
+    return record;
+}
+
+/**
+ * Hash password with salt using iterated HMAC-SHA256
+ */
+function hashPassword(password, salt) {
+    const key = Utilities.newBlob(String(password)).getBytes();
+    let digest = Utilities.computeHmacSha256Signature(
+        Utilities.newBlob(String(salt)).getBytes(),
+        key
+    );
+    for (let i = 1; i < PASSWORD_HASH_ITERATIONS; i++) {
+        digest = Utilities.computeHmacSha256Signature(digest, key);
+    }
+    return Utilities.base64Encode(digest);
+}
+
+/**
+ * Check password against stored salt and hash
+ */
+function verifyPassword(password, salt, expectedHash) {
+    if (!salt || !expectedHash) return false;
+    return safeEquals(hashPassword(password, salt), String(expectedHash));
+}
+
+/**
+ * Compare two strings in constant time
+ */
+function safeEquals(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+function isTotpEnabled(user) {
+    return !!user.totpSecret && (user.totpEnabled === true || String(user.totpEnabled).toUpperCase() === 'TRUE');
+}
+
+function clearTotp(user) {
+    updateUserFields(user, { totpSecret: '', totpEnabled: false, totpLastStep: '', recoveryCodes: '' });
+}
+
+/**
+ * Check a login second factor: a TOTP code or an unused recovery code
+ * Each TOTP time step is accepted only once to stop replayed codes
+ * @param {number} now - Current time in ms (injectable for tests)
+ */
+function verifySecondFactor(user, code, now) {
+    const cleaned = String(code).replace(/[\s-]/g, '');
+
+    if (/^\d+$/.test(cleaned) && cleaned.length === TOTP_DIGITS) {
+        const step = findTotpStep(user.totpSecret, cleaned, now);
+        if (step === null || step <= (Number(user.totpLastStep) || 0)) {
+            return false;
+        }
+        updateUserFields(user, { totpLastStep: step });
+        return true;
+    }
+
+    return consumeRecoveryCode(user, cleaned);
+}
+
+/**
+ * Find the time step (within TOTP_WINDOW) whose code matches
+ * @returns {number|null}
+ */
+function findTotpStep(secret, code, now) {
+    const currentStep = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+        if (safeEquals(generateHotp(secret, currentStep + offset, TOTP_DIGITS), code)) {
+            return currentStep + offset;
+        }
+    }
+    return null;
+}
+
+/**
+ * TOTP code for a point in time (RFC 6238)
+ */
+function generateTotp(secret, now, digits) {
+    return generateHotp(secret, Math.floor(now / 1000 / TOTP_STEP_SECONDS), digits || TOTP_DIGITS);
+}
+
+/**
+ * HOTP code for a counter value (RFC 4226, HMAC-SHA1)
+ */
+function generateHotp(secret, counter, digits) {
+    // 8-byte big-endian counter; Apps Script byte arrays are signed
+    const counterBytes = [];
+    let value = counter;
+    for (let i = 7; i >= 0; i--) {
+        counterBytes[i] = toSignedByte(value % 256);
+        value = Math.floor(value / 256);
+    }
+
+    const hmac = Utilities.computeHmacSignature(
+        Utilities.MacAlgorithm.HMAC_SHA_1,
+        counterBytes,
+        base32Decode(secret)
+    );
+
+    // Dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary =
+        ((hmac[offset] & 0x7f) << 24) |
+        ((hmac[offset + 1] & 0xff) << 16) |
+        ((hmac[offset + 2] & 0xff) << 8) |
+        (hmac[offset + 3] & 0xff);
+
+    return String(binary % Math.pow(10, digits)).padStart(digits, '0');
+}
+
+function toSignedByte(value) {
+    return value > 127 ? value - 256 : value;
+}
+
+function base32Encode(bytes) {
+    let bits = 0;
+    let buffer = 0;
+    let output = '';
+
+    for (let i = 0; i < bytes.length; i++) {
+        buffer = (buffer << 8) | (bytes[i] & 0xff);
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const cleaned = String(text).toUpperCase().replace(/[^A-Z2-7]/g, '');
+    let bits = 0;
+    let buffer = 0;
+    const bytes = [];
+
+    for (let i = 0; i < cleaned.length; i++) {
+        buffer = ((buffer << 5) | BASE32_ALPHABET.indexOf(cleaned[i])) & 0xffff;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push(toSignedByte((buffer >>> (bits - 8)) & 0xff));
+            bits -= 8;
+        }
+    }
+    return bytes;
+}
+
+/**
+ * Random 160-bit TOTP secret, base32 encoded
+ */
+function generateTotpSecret() {
+    const digest = Utilities.computeDigest(
+        Utilities.DigestAlgorithm.SHA_256,
+        Utilities.getUuid() + Utilities.getUuid()
+    );
+    return base32Encode(digest.slice(0, 20));
+}
+
+function generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const hex = Utilities.getUuid().replace(/-/g, '');
+        codes.push(`${hex.substr(0, 5)}-${hex.substr(5, 5)}`);
+    }
+    return codes;
+}
+
+function hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+    return Utilities.base64Encode(
+        Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, normalized, Utilities.Charset.UTF_8)
+    );
+}
+
+/**
+ * Use up a recovery code if it matches one of the user's stored hashes
+ */
+function consumeRecoveryCode(user, code) {
+    const hashes = String(user.recoveryCodes || '').split(',').filter(h => h);
+    const index = hashes.indexOf(hashRecoveryCode(code));
+    if (index === -1) return false;
+
+    hashes.splice(index, 1);
+    updateUserFields(user, { recoveryCodes: hashes.join(',') });
+    logAction('RECOVERY_CODE_USED', '', `${user.username} used a recovery code (${hashes.length} left)`);
+    return true;
+}
+
+/**
+ * Get (or lazily create) a random secret stored in script properties
+ */
+function getSecret(propertyName) {
+    const props = PropertiesService.getScriptProperties();
+    let secret = props.getProperty(propertyName);
+    if (!secret) {
+        secret = Utilities.getUuid() + Utilities.getUuid();
+        props.setProperty(propertyName, secret);
+    }
+    return secret;
+}
+
+/**
+ * HMAC-SHA256 a string and return it web-safe base64 encoded
+ */
+function signValue(value, secretName) {
+    const signature = Utilities.computeHmacSha256Signature(value, getSecret(secretName));
+    return Utilities.base64EncodeWebSafe(signature);
+}
+
+/**
+ * Create signed session token: base64(payload).signature
+ */
+function createSessionToken(session) {
+    const payload = Utilities.base64EncodeWebSafe(JSON.stringify(session), Utilities.Charset.UTF_8);
+    return payload + '.' + signValue(payload, 'SESSION_SECRET');
+}
+
+/**
+ * Verify session token signature and expiry
+ * @returns {object|null} - Session payload, or null when invalid
+ */
+function verifySessionToken(token) {
+    if (!token || typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 2) return null;
+    if (!safeEquals(signValue(parts[0], 'SESSION_SECRET'), parts[1])) return null;
+
+    try {
+        const json = Utilities.newBlob(Utilities.base64DecodeWebSafe(parts[0])).getDataAsString();
+        const session = JSON.parse(json);
+        if (!session.expiresAt || session.expiresAt < Date.now()) return null;
+        return session;
+    } catch (error) {
+        Logger.log('Malformed session token:', error);
+        return null;
+    }
+}
+
+/**
+ * Create the first admin account (run once from the editor)
+ */
+function setupAdmin() {
+    const username = 'admin';
+    const password = ''; // Set a strong password before running, then clear it again
+
+    if (!password) {
+        throw new Error('Set a password in setupAdmin() before running it');
+    }
+
+    createUserAccount(username, password, 'admin');
+    Logger.log('Admin user created:', username);
+}
+
+/**
+ * Test TOTP against the RFC 6238 SHA-1 vectors with a fixed clock (runs offline)
+ */
+function testTotp() {
+    const secret = base32Encode(Utilities.newBlob('12345678901234567890').getBytes());
+    const vectors = [
+        [59, '94287082'],
+        [1111111109, '07081804'],
+        [1111111111, '14050471'],
+        [1234567890, '89005924'],
+        [2000000000, '69279037'],
+        [20000000000, '65353130'],
+    ];
+
+    vectors.forEach(([seconds, expected]) => {
+        const actual = generateTotp(secret, seconds * 1000, 8);
+        if (actual !== expected) {
+            throw new Error(`TOTP mismatch at T=${seconds}: expected ${expected}, got ${actual}`);
+        }
+    });
+
+    const fixedNow = 1234567890 * 1000;
+    const code = generateTotp(secret, fixedNow);
+    if (findTotpStep(secret, code, fixedNow + TOTP_STEP_SECONDS * 1000) === null) {
+        throw new Error('TOTP window did not accept previous step');
+    }
+    if (findTotpStep(secret, code, fixedNow + 3 * TOTP_STEP_SECONDS * 1000) !== null) {
+        throw new Error('TOTP window accepted an expired code');
+    }
+
+    Logger.log('TOTP test vectors passed');
+}
+
+/**
+ * Test card code signing and parsing with a fixed clock (no sheet access)
+ */
+function testCardCode() {
+    const issuedAt = Date.UTC(2025, 0, 1);
+    const code = createCardCode({
+        studentId: 'STUTEST123',
+        serial: '000042',
+        issuedAt: issuedAt,
+        expiresAt: Date.UTC(2026, 6, 31),
+    });
+    const parsed = parseCardCode(code.toLowerCase());
+
+    if (!parsed || parsed.studentId !== 'STUTEST123' || parsed.serial !== '000042' || parsed.issuedAt !== issuedAt) {
+        throw new Error(`Card code did not round-trip: ${code}`);
+    }
+    if (signCardFields(parsed) !== parsed.signature) {
+        throw new Error('Card code signature mismatch');
+    }
+
+    const forged = parseCardCode(code.replace('-000042-', '-000043-'));
+    if (signCardFields(forged) === forged.signature) {
+        throw new Error('Altered card code was accepted');
+    }
+
+    if (parseCardCode(code.replace('-000042', '')) !== null) {
+        throw new Error('Card code without a serial was accepted');
+    }
+
+    const validity = [
+        [{ course: 'B.Tech (Civil)', semester: '1' }, new Date(2025, 7, 20), 2029],
+        [{ course: 'B.Tech (Civil)', semester: '2' }, new Date(2026, 1, 10), 2029],
+        [{ course: 'B.Tech (Civil)', semester: '8' }, new Date(2026, 1, 10), 2026],
+        [{ course: 'B.Com', semester: '3' }, new Date(2025, 8, 1), 2027],
+        [{ course: 'Unknown', semester: '3' }, new Date(2025, 8, 1), 2026],
+    ];
+    validity.forEach(([student, issued, expectedYear]) => {
+        const year = new Date(getCardValidUntil(student, issued.getTime())).getFullYear();
+        if (year !== expectedYear) {
+            throw new Error(`Valid-until for ${student.course} sem ${student.semester}: expected ${expectedYear}, got ${year}`);
+        }
+    });
+
+    Logger.log('Card code test passed: ' + code);
+}
+
 /**
  * Test function (remove in production)
  */
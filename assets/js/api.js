@@ -33,9 +33,16 @@ class APIManager {
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), this.timeout);
 
+            // Attach session token when logged in
+            const payload = { ...data };
+            const token = typeof Auth !== 'undefined' ? Auth.getToken() : null;
+            if (token) {
+                payload.token = token;
+            }
+
             const response = await fetch(this.baseUrl, {
                 method: 'POST',
-                body: JSON.stringify(data),
+                body: JSON.stringify(payload),
                 signal: controller.signal,
             });
 
@@ -48,6 +55,13 @@ class APIManager {
             const result = await response.json();
             Logger.debug('API response:', result);
 
+            if (result.code === 'AUTH_REQUIRED') {
+                this.handleSessionExpired();
+                const authError = new Error(CONFIG.ERRORS.SESSION_EXPIRED);
+                authError.code = result.code;
+                throw authError;
+            }
+
             return result;
         } catch (error) {
             if (error.name === 'AbortError') {
@@ -55,6 +69,11 @@ class APIManager {
                 throw new Error(CONFIG.ERRORS.NETWORK_ERROR);
             }
 
+            // Rejected sessions are not worth retrying
+            if (error.code === 'AUTH_REQUIRED') {
+                throw error;
+            }
+
             if (retries > 0) {
                 Logger.warn(`API request failed, retrying... (${retries} left)`, error.message);
                 await this.delay(1000 * (4 - retries)); // Exponential backoff
@@ -66,14 +85,45 @@ class APIManager {
         }
     }
 
+    /**
+     * Handle backend rejecting the session token
+     * @private
+     */
+    handleSessionExpired() {
+        Logger.warn('Session rejected by backend');
+
+        if (typeof Auth !== 'undefined') {
+            Auth.logout();
+        }
+
+        if (!window.location.pathname.endsWith(CONFIG.AUTH.LOGIN_PAGE)) {
+            window.location.href = CONFIG.AUTH.LOGIN_PAGE;
+        }
+    }
+
+    /**
+     * Login with username and password
+     * @param {string} username - Username
+     * @param {string} password - Password
+     * @param {string} [otp] - Authenticator or recovery code (when two-factor is enabled)
+     * @returns {Promise} - Raw backend response with token on success
+     */
+    async login(username, password, otp) {
+        return this.request({
+            action: 'login',
+            username: username,
+            password: password,
+            otp: otp,
+        });
+    }
+
     /**
      * Add student via API
      * @param {object} student - Student data
-     * @returns {Promise}
+     * @returns {Promise} - { studentId } assigned by the backend
      */
     async addStudent(student) {
-        const cacheKey = 'students_list';
-        Cache.remove(cacheKey);
+        this.clearStudentListCache();
 
         const response = await this.request({
             action: 'addStudent',
@@ -89,27 +139,76 @@ class APIManager {
     }
 
     /**
-     * Get all students with caching
-     * @returns {Promise}
+     * Add many students in one request (import)
+     * @param {array} students - Student data
+     * @returns {Promise} - { added, rejected }
      */
-    async getStudents() {
-        const cacheKey = 'students_list';
+    async bulkAddStudents(students) {
+        this.clearStudentListCache();
+
+        const response = await this.request({
+            action: 'bulkAddStudents',
+            students: students,
+        });
+
+        if (response.success) {
+            Logger.info(`Imported ${response.added} students`);
+            return response;
+        } else {
+            throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
+        }
+    }
+
+    /**
+     * Get students with caching (one cache entry per query)
+     * @param {object} params - { q, filters, sort, order, page, pageSize }; no pageSize returns every match
+     * @returns {Promise} - { students, total, count, page, pageSize, pages }
+     */
+    async getStudents(params = {}) {
+        const cacheKey = `students_list_${JSON.stringify(params)}`;
 
         // Try to get from cache first
         const cached = Cache.get(cacheKey);
         if (cached) {
             Logger.debug('Returning cached students');
-            return { success: true, students: cached };
+            return cached;
         }
 
         const response = await this.request({
             action: 'getStudents',
+            ...params,
         });
 
         if (response.success && response.students) {
             // Cache the result
-            Cache.set(cacheKey, response.students, CONFIG.CACHE.DURATION.STUDENTS);
-            Logger.info('Students fetched and cached', response);
+            Cache.set(cacheKey, response, CONFIG.CACHE.DURATION.STUDENTS);
+            Logger.info(`Students fetched and cached: ${response.students.length} of ${response.total}`);
+            return response;
+        } else {
+            throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
+        }
+    }
+
+    /**
+     * Drop every cached students list (all queries and pages)
+     * @private
+     */
+    clearStudentListCache() {
+        Cache.invalidatePattern(/^students_list/);
+    }
+
+    /**
+     * Get full student records (card code and photo included) for many students; not cached
+     * @param {array} studentIds - Student IDs
+     * @returns {Promise} - { students, missing }
+     */
+    async getStudentsByIds(studentIds) {
+        const response = await this.request({
+            action: 'getStudentsByIds',
+            studentIds: studentIds,
+        });
+
+        if (response.success && response.students) {
             return response;
         } else {
             throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
@@ -150,7 +249,7 @@ class APIManager {
      */
     async updateStudent(studentId, updates) {
         Cache.remove(`student_${studentId}`);
-        Cache.remove('students_list');
+        this.clearStudentListCache();
 
         const response = await this.request({
             action: 'updateStudent',
@@ -173,7 +272,7 @@ class APIManager {
      */
     async deleteStudent(studentId) {
         Cache.remove(`student_${studentId}`);
-        Cache.remove('students_list');
+        this.clearStudentListCache();
 
         const response = await this.request({
             action: 'deleteStudent',
@@ -188,6 +287,162 @@ class APIManager {
         }
     }
 
+    /**
+     * Set the same course and/or semester on many students
+     * @param {array} studentIds - Student IDs
+     * @param {object} updates - { course, semester }
+     * @returns {Promise} - { updated, results: [{ id, success, message }] }
+     */
+    async bulkUpdateStudents(studentIds, updates) {
+        studentIds.forEach(studentId => Cache.remove(`student_${studentId}`));
+        this.clearStudentListCache();
+
+        const response = await this.request({
+            action: 'bulkUpdateStudents',
+            studentIds: studentIds,
+            updates: updates,
+        });
+
+        if (response.success) {
+            Logger.info(`Updated ${response.updated} students`);
+            return response;
+        } else {
+            throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
+        }
+    }
+
+    /**
+     * Delete many students
+     * @param {array} studentIds - Student IDs
+     * @returns {Promise} - { deleted, results: [{ id, success, message }] }
+     */
+    async bulkDeleteStudents(studentIds) {
+        studentIds.forEach(studentId => Cache.remove(`student_${studentId}`));
+        this.clearStudentListCache();
+
+        const response = await this.request({
+            action: 'bulkDeleteStudents',
+            studentIds: studentIds,
+        });
+
+        if (response.success) {
+            Logger.info(`Deleted ${response.deleted} students`);
+            return response;
+        } else {
+            throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
+        }
+    }
+
+    /**
+     * Promote (or graduate) students of one course and semester in one atomic action
+     * @param {object} promotion - { course, semester, toSemester ('' to graduate), studentIds }
+     * @returns {Promise} - { promoted, skipped: [{ id, message }] }
+     */
+    async promoteStudents(promotion) {
+        promotion.studentIds.forEach(studentId => Cache.remove(`student_${studentId}`));
+        this.clearStudentListCache();
+
+        const response = await this.request({
+            action: 'promoteStudents',
+            promotion: promotion,
+        });
+
+        if (response.success) {
+            Logger.info(`Promoted ${response.promoted} students`);
+            return response;
+        } else {
+            throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
+        }
+    }
+
+    /**
+     * Change a student's lifecycle status
+     * @param {string} studentId - Student ID
+     * @param {string} status - New status (see CONFIG.STUDENT_STATUSES)
+     * @param {string} reason - Why the status changes
+     * @returns {Promise} - { student: { status, statusReason, statusChangedAt } }
+     */
+    async setStudentStatus(studentId, status, reason) {
+        Cache.remove(`student_${studentId}`);
+        this.clearStudentListCache();
+
+        const response = await this.request({
+            action: 'setStudentStatus',
+            studentId: studentId,
+            status: status,
+            reason: reason,
+        });
+
+        if (response.success) {
+            Logger.info(`Student ${studentId} is now ${status}`);
+            return response;
+        } else {
+            throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
+        }
+    }
+
+    /**
+     * Get saved card templates
+     * @returns {Promise} - { templates }
+     */
+    async getCardTemplates() {
+        const cached = Cache.get('card_templates');
+        if (cached) {
+            return { success: true, templates: cached };
+        }
+
+        const response = await this.request({ action: 'getCardTemplates' });
+
+        if (response.success) {
+            Cache.set('card_templates', response.templates, CONFIG.CACHE.DURATION.TEMPLATES);
+            return response;
+        } else {
+            throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
+        }
+    }
+
+    /**
+     * Create or update a card template
+     * @param {object} template - Template ('' id for a new one)
+     * @returns {Promise} - { template }
+     */
+    async saveCardTemplate(template) {
+        Cache.remove('card_templates');
+
+        const response = await this.request({
+            action: 'saveCardTemplate',
+            template: template,
+        });
+
+        if (response.success) {
+            Logger.info('Card template saved', response.template.id);
+            return response;
+        } else {
+            throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
+        }
+    }
+
+    /**
+     * Delete a card template
+     * @param {string} templateId - Template ID
+     * @returns {Promise}
+     */
+    async deleteCardTemplate(templateId) {
+        Cache.remove('card_templates');
+
+        const response = await this.request({
+            action: 'deleteCardTemplate',
+            templateId: templateId,
+        });
+
+        if (response.success) {
+            Logger.info('Card template deleted', templateId);
+            return response;
+        } else {
+            throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
+        }
+    }
+
     /**
      * Generate unique student ID
      * @returns {Promise}
@@ -205,16 +460,21 @@ class APIManager {
     }
 
     /**
-     * Save student ID card (as PDF)
+     * Archive rendered student ID card in Drive
      * @param {string} studentId - Student ID
-     * @param {string} cardData - Card HTML/Data
-     * @returns {Promise}
+     * @param {string} cardData - Card as a PDF or PNG data URL
+     * @param {string} cardCode - Signed card code printed on the card (carries its dates)
+     * @returns {Promise} - Response includes fileId, fileUrl and issuedAt
      */
-    async saveIdCard(studentId, cardData) {
+    async saveIdCard(studentId, cardData, cardCode) {
+        Cache.remove(`student_${studentId}`);
+        this.clearStudentListCache();
+
         const response = await this.request({
             action: 'saveIdCard',
             studentId: studentId,
             cardData: cardData,
+            cardCode: cardCode,
         });
 
         if (response.success) {
@@ -226,28 +486,271 @@ class APIManager {
     }
 
     /**
-     * Get student by unique ID (for public access)
-     * @param {string} uniqueId - Unique ID
+     * Upload student's photo
+     * @param {string} studentId - Student ID
+     * @param {string} photoData - JPEG data URL
      * @returns {Promise}
      */
-    async getStudentByUniqueId(uniqueId) {
-        const cacheKey = `student_unique_${uniqueId}`;
+    async uploadPhoto(studentId, photoData) {
+        Cache.remove(`student_${studentId}`);
 
-        const cached = Cache.get(cacheKey);
-        if (cached) {
-            return { success: true, student: cached };
+        const response = await this.request({
+            action: 'uploadPhoto',
+            studentId: studentId,
+            photoData: photoData,
+        });
+
+        if (response.success) {
+            Logger.info('Photo uploaded successfully');
+            return response;
+        } else {
+            throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
         }
+    }
+
+    /**
+     * Re-issue a student's card from today
+     * @param {string} studentId - Student ID
+     * @returns {Promise} - Response includes the student with new card dates and code
+     */
+    async renewCard(studentId) {
+        Cache.remove(`student_${studentId}`);
+        this.clearStudentListCache();
 
         const response = await this.request({
-            action: 'getStudentByUniqueId',
-            uniqueId: uniqueId,
+            action: 'renewCard',
+            studentId: studentId,
         });
 
-        if (response.success && response.student) {
-            Cache.set(cacheKey, response.student, CONFIG.CACHE.DURATION.STUDENTS);
+        if (response.success) {
+            return response;
+        } else {
+            throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
+        }
+    }
+
+    /**
+     * Issue a card with a new serial number (older serials are revoked)
+     * @param {string} studentId - Student ID
+     * @param {string} reason - 'new', 'renewal', 'lost', 'damaged' or 'name_change'
+     * @returns {Promise} - Response includes the student with the new card
+     */
+    async issueCard(studentId, reason) {
+        Cache.remove(`student_${studentId}`);
+        this.clearStudentListCache();
+
+        const response = await this.request({
+            action: 'issueCard',
+            studentId: studentId,
+            reason: reason,
+        });
+
+        if (response.success) {
             return response;
         } else {
-            throw new Error(CONFIG.ERRORS.STUDENT_NOT_FOUND);
+            throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
+        }
+    }
+
+    /**
+     * Get every card issued to a student
+     * @param {string} studentId - Student ID
+     * @returns {Promise} - Response includes cards, newest first
+     */
+    async getCardHistory(studentId) {
+        const response = await this.request({
+            action: 'getCardHistory',
+            studentId: studentId,
+        });
+
+        if (response.success) {
+            return response;
+        } else {
+            throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
+        }
+    }
+
+    /**
+     * Revoke every card issued to a student so far
+     * @param {string} studentId - Student ID
+     * @param {string} reason - Reason recorded in the audit log
+     * @returns {Promise}
+     */
+    async revokeCard(studentId, reason) {
+        Cache.remove(`student_${studentId}`);
+        this.clearStudentListCache();
+
+        const response = await this.request({
+            action: 'revokeCard',
+            studentId: studentId,
+            reason: reason,
+        });
+
+        if (response.success) {
+            return response;
+        } else {
+            throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
+        }
+    }
+
+    /**
+     * Get all staff users
+     * @returns {Promise}
+     */
+    async getUsers() {
+        const response = await this.request({ action: 'getUsers' });
+
+        if (response.success) {
+            return response;
+        } else {
+            throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
+        }
+    }
+
+    /**
+     * Create staff user
+     * @param {object} user - { username, password, role }
+     * @returns {Promise}
+     */
+    async createUser(user) {
+        const response = await this.request({
+            action: 'createUser',
+            user: user,
+        });
+
+        if (response.success) {
+            Logger.info('User created successfully', response.username);
+            return response;
+        } else {
+            throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
+        }
+    }
+
+    /**
+     * Enable or disable staff user
+     * @param {string} username - Username
+     * @param {boolean} active - New state
+     * @returns {Promise}
+     */
+    async setUserActive(username, active) {
+        const response = await this.request({
+            action: 'setUserActive',
+            username: username,
+            active: active,
+        });
+
+        if (response.success) {
+            return response;
+        } else {
+            throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
+        }
+    }
+
+    /**
+     * Reset staff user's password
+     * @param {string} username - Username
+     * @returns {Promise} - Response includes temporaryPassword
+     */
+    async resetUserPassword(username) {
+        const response = await this.request({
+            action: 'resetUserPassword',
+            username: username,
+        });
+
+        if (response.success) {
+            return response;
+        } else {
+            throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
+        }
+    }
+
+    /**
+     * Change current user's password
+     * @param {string} currentPassword - Current password
+     * @param {string} newPassword - New password
+     * @returns {Promise<object>} - { token, expiresAt } replacing the current session token
+     */
+    async changePassword(currentPassword, newPassword) {
+        const response = await this.request({
+            action: 'changePassword',
+            currentPassword: currentPassword,
+            newPassword: newPassword,
+        });
+
+        if (response.success) {
+            return response;
+        } else {
+            throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
+        }
+    }
+
+    /**
+     * Begin two-factor enrollment for current user
+     * @returns {Promise} - Response includes secret and otpauthUrl
+     */
+    async startTotpEnrollment() {
+        const response = await this.request({ action: 'startTotpEnrollment' });
+
+        if (response.success) {
+            return response;
+        } else {
+            throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
+        }
+    }
+
+    /**
+     * Confirm two-factor enrollment with a code from the authenticator
+     * @param {string} code - 6-digit code
+     * @returns {Promise} - Response includes recoveryCodes
+     */
+    async confirmTotpEnrollment(code) {
+        const response = await this.request({
+            action: 'confirmTotpEnrollment',
+            code: code,
+        });
+
+        if (response.success) {
+            return response;
+        } else {
+            throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
+        }
+    }
+
+    /**
+     * Disable two-factor authentication for current user
+     * @param {string} password - Current password
+     * @param {string} code - Authenticator or recovery code
+     * @returns {Promise}
+     */
+    async disableTotp(password, code) {
+        const response = await this.request({
+            action: 'disableTotp',
+            password: password,
+            code: code,
+        });
+
+        if (response.success) {
+            return response;
+        } else {
+            throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
+        }
+    }
+
+    /**
+     * Remove two-factor authentication from a staff user
+     * @param {string} username - Username
+     * @returns {Promise}
+     */
+    async resetUserTotp(username) {
+        const response = await this.request({
+            action: 'resetUserTotp',
+            username: username,
+        });
+
+        if (response.success) {
+            return response;
+        } else {
+            throw new Error(response.message || CONFIG.ERRORS.GENERAL_ERROR);
         }
     }
 
@@ -6,7 +6,19 @@
 class App {
     constructor() {
         this.students = [];
+        this.query = this.readQuery(); // Students table search, filters, sort and page
+        this.studentPage = null; // Last page from the backend { total, count, page, pageSize, pages }
+        this.selection = new Map(); // Selected students by ID, kept across pages
         this.currentEditingStudent = null;
+        this.pendingPhotos = { student: null, edit: null }; // Cropped photos awaiting form submit
+        this.photoImport = []; // Items of the ZIP being imported
+        this.studentImport = null; // { fileName, headers, rows, mapping, items } of the file being imported
+        this.promotion = null; // { course, semester, target, students, heldBack } being previewed
+        this.printOptions = null; // Last options of the print dialog
+        this.printStudents = []; // Full records of the students the print dialog is open for
+        this.printQRModules = 0; // Modules across the largest QR code of the cards being printed
+        this.cardTemplates = []; // Saved card templates
+        this.templateDraft = null; // Template open in the designer
         this.init();
     }
 
@@ -23,15 +35,19 @@ class App {
             );
         }
 
+        // Dashboard requires a session; login happens on the login page
+        if (!Auth.isAuthenticated()) {
+            window.location.href = CONFIG.AUTH.LOGIN_PAGE;
+            return;
+        }
+
         // Setup event listeners
         this.setupEventListeners();
 
-        // Check authentication
-        if (Auth.isAuthenticated()) {
-            this.showDashboard();
+        this.applyPermissions();
+        this.showDashboard();
+        if (Auth.can('VIEW_STUDENTS')) {
             this.loadStudents();
-        } else {
-            this.showLoginPage();
         }
 
         Logger.info('Application initialized successfully');
@@ -41,11 +57,6 @@ class App {
      * Setup event listeners
      */
     setupEventListeners() {
-        // Login form
-        document.getElementById('loginForm').addEventListener('submit', e =>
-            this.handleLogin(e)
-        );
-
         // Student form
         document.getElementById('studentForm').addEventListener('submit', e =>
             this.handleAddStudent(e)
@@ -56,6 +67,138 @@ class App {
             this.handleEditStudent(e)
         );
 
+        // Blood group choices (add and edit forms)
+        ['bloodGroup', 'editBloodGroup'].forEach(id => {
+            const select = document.getElementById(id);
+            CONFIG.BLOOD_GROUPS.forEach(group => select.add(new Option(group, group)));
+        });
+
+        // Photo pickers (add and edit forms)
+        ['student', 'edit'].forEach(form => {
+            this.setPhotoPreview(form, null);
+            document.getElementById(`${form}PhotoInput`).addEventListener('change', e =>
+                this.handlePhotoSelected(form, e)
+            );
+        });
+
+        // Student import
+        document.getElementById('importFileInput').addEventListener('change', e => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.handleImportFile(file);
+            }
+        });
+        document.getElementById('importMapping').addEventListener('change', e => {
+            const field = e.target.getAttribute('data-field');
+            if (field && this.studentImport) {
+                this.studentImport.mapping[field] = parseInt(e.target.value, 10);
+                this.studentImport.items = null;
+                this.renderStudentImport();
+            }
+        });
+        document.getElementById('checkImportBtn').addEventListener('click', () => this.checkImport());
+        document.getElementById('runImportBtn').addEventListener('click', () => this.runImport());
+        document.getElementById('clearImportBtn').addEventListener('click', () => this.clearImport());
+
+        // Bulk photo import
+        document.getElementById('photoZipInput').addEventListener('change', e => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.handlePhotoZip(file);
+            }
+        });
+        const dropZone = document.getElementById('photoDropZone');
+        ['dragenter', 'dragover'].forEach(type =>
+            dropZone.addEventListener(type, e => {
+                e.preventDefault();
+                Utils.addClass(dropZone, 'drag-over');
+            })
+        );
+        ['dragleave', 'drop'].forEach(type =>
+            dropZone.addEventListener(type, () => Utils.removeClass(dropZone, 'drag-over'))
+        );
+        dropZone.addEventListener('drop', e => {
+            e.preventDefault();
+            const file = e.dataTransfer.files[0];
+            if (file) {
+                this.handlePhotoZip(file);
+            }
+        });
+        document.getElementById('startPhotoImportBtn').addEventListener('click', () =>
+            this.startPhotoImport()
+        );
+        document.getElementById('clearPhotoImportBtn').addEventListener('click', () =>
+            this.clearPhotoImport()
+        );
+
+        // Semester promotion
+        const promotionCourse = document.getElementById('promotionCourse');
+        CONFIG.COURSES.forEach(course => promotionCourse.add(new Option(course, course)));
+        const promotionSemester = document.getElementById('promotionSemester');
+        CONFIG.SEMESTERS.forEach(semester => promotionSemester.add(new Option(semester.label, semester.value)));
+        [promotionCourse, promotionSemester].forEach(select =>
+            select.addEventListener('change', () => this.clearPromotion())
+        );
+        document.getElementById('previewPromotionBtn').addEventListener('click', () => this.previewPromotion());
+        document.getElementById('promotionPreview').addEventListener('change', e => {
+            if (!this.promotion) return;
+            const heldBack = this.promotion.heldBack;
+            if (e.target.id === 'promotionIncludeAll') {
+                this.promotion.students.forEach(student => {
+                    if (e.target.checked) {
+                        heldBack.delete(student.id);
+                    } else {
+                        heldBack.add(student.id);
+                    }
+                });
+            } else if (e.target.classList.contains('promotion-include')) {
+                if (e.target.checked) {
+                    heldBack.delete(e.target.value);
+                } else {
+                    heldBack.add(e.target.value);
+                }
+            }
+            this.renderPromotion();
+        });
+        document.getElementById('runPromotionBtn').addEventListener('click', () => this.runPromotion());
+        document.getElementById('clearPromotionBtn').addEventListener('click', () => this.clearPromotion());
+
+        // Card template designer
+        const templateLayout = document.getElementById('templateLayout');
+        CONFIG.CARD_TEMPLATES.LAYOUTS.forEach(layout => templateLayout.add(new Option(layout.label, layout.value)));
+        document.getElementById('templateSelect').addEventListener('change', e => this.editTemplate(e.target.value));
+        document.getElementById('newTemplateBtn').addEventListener('click', () => this.editTemplate(''));
+        document.getElementById('deleteTemplateBtn').addEventListener('click', () => this.deleteTemplate());
+        document.getElementById('templateForm').addEventListener('input', () => this.readTemplateForm());
+        document.getElementById('templateFields').addEventListener('click', e => {
+            const button = e.target.closest('[data-move]');
+            if (button) {
+                this.moveTemplateField(button.getAttribute('data-field'), parseInt(button.getAttribute('data-move'), 10));
+            }
+        });
+        document.getElementById('templateForm').addEventListener('submit', e => this.handleSaveTemplate(e));
+
+        // Create user form
+        document.getElementById('userForm').addEventListener('submit', e =>
+            this.handleCreateUser(e)
+        );
+
+        // Change password
+        document.getElementById('changePasswordBtn').addEventListener('click', () => {
+            UIManager.showModal('changePasswordModal');
+        });
+        document.getElementById('changePasswordForm').addEventListener('submit', e =>
+            this.handleChangePassword(e)
+        );
+        document.getElementById('cancelPasswordBtn').addEventListener('click', () => {
+            UIManager.hideModal('changePasswordModal');
+        });
+
+        // Two-factor authentication
+        document.getElementById('twoFactorBtn').addEventListener('click', () => this.showTwoFactor());
+
         // Sidebar navigation
         document.querySelectorAll('.sidebar-item').forEach(item => {
             item.addEventListener('click', () => {
@@ -63,6 +206,10 @@ class App {
                 UIManager.switchTab(tab);
                 if (tab === 'viewStudents') {
                     this.loadStudents();
+                } else if (tab === 'users') {
+                    this.loadUsers();
+                } else if (tab === 'templates') {
+                    this.loadTemplates();
                 }
             });
         });
@@ -85,6 +232,77 @@ class App {
             UIManager.hideModal('idCardModal');
         });
 
+        // Revoke issued cards
+        document.getElementById('revokeCardBtn').addEventListener('click', async () => {
+            if (this.currentStudent && (await IDCardManager.revokeCard(this.currentStudent))) {
+                UIManager.hideModal('idCardModal');
+                this.loadStudents();
+            }
+        });
+
+        // Students table search, filters and sort
+        this.setupTableControls();
+
+        // Export students
+        document.getElementById('exportStudentsBtn').addEventListener('click', () => this.showExport());
+        document.getElementById('exportForm').addEventListener('submit', e => this.handleExport(e));
+        document.getElementById('cancelExportBtn').addEventListener('click', () => {
+            UIManager.hideModal('exportModal');
+        });
+
+        // Batch card printing
+        const printLayout = Utils.getElement('printLayout');
+        CONFIG.PRINT_SHEET.LAYOUTS.forEach(layout => printLayout.add(new Option(layout.label, layout.value)));
+        const printPaper = Utils.getElement('printPaper');
+        CONFIG.PRINT_SHEET.PAPERS.forEach(paper => printPaper.add(new Option(paper.label, paper.value)));
+        Utils.getElement('printBleed').max = CONFIG.PRINT_SHEET.MAX_BLEED;
+        const printCardSize = Utils.getElement('printCardSize');
+        CONFIG.ID_CARD.SIZES.forEach(size => printCardSize.add(new Option(size.label, size.value)));
+        printCardSize.add(new Option('Custom size', 'custom'));
+        printCardSize.addEventListener('change', () => {
+            const size = CONFIG.ID_CARD.SIZES.find(s => s.value === printCardSize.value);
+            if (size) {
+                Utils.getElement('printCardWidth').value = size.width;
+                Utils.getElement('printCardHeight').value = size.height;
+                this.renderPrintWarnings();
+            }
+        });
+        ['printCardWidth', 'printCardHeight'].forEach(id => {
+            Utils.getElement(id).addEventListener('input', () => {
+                printCardSize.value = PrintSheetManager.getCardSize(
+                    parseFloat(Utils.getElement('printCardWidth').value),
+                    parseFloat(Utils.getElement('printCardHeight').value)
+                );
+            });
+        });
+        Utils.getElement('printDpi').min = CONFIG.PRINT_SHEET.MIN_DPI;
+        Utils.getElement('printDpi').max = CONFIG.PRINT_SHEET.MAX_DPI;
+        document.getElementById('printSheetForm').addEventListener('input', () => this.renderPrintWarnings());
+        document.getElementById('printSheetForm').addEventListener('submit', e => this.handlePrintSheet(e));
+        document.getElementById('cancelPrintSheetBtn').addEventListener('click', () => {
+            UIManager.hideModal('printSheetModal');
+        });
+
+        document.getElementById('closeBulkResultBtn').addEventListener('click', () => {
+            UIManager.hideModal('bulkResultModal');
+        });
+
+        // Student status
+        document.getElementById('statusForm').addEventListener('submit', e => this.handleStatusChange(e));
+        document.getElementById('cancelStatusBtn').addEventListener('click', () => {
+            UIManager.hideModal('statusModal');
+        });
+
+        // Share public card link
+        document.getElementById('shareCardBtn').addEventListener('click', () => {
+            if (this.currentStudent) {
+                IDCardManager.shareCard(this.currentStudent);
+            }
+        });
+
+        // Turn the preview card over
+        document.getElementById('flipCardBtn').addEventListener('click', () => IDCardManager.flipCard());
+
         // Download PDF button
         document.getElementById('downloadCardBtn').addEventListener('click', () => {
             if (this.currentStudent) {
@@ -110,11 +328,57 @@ class App {
             }
         });
 
+        document.getElementById('exportModal').addEventListener('click', e => {
+            if (e.target.id === 'exportModal') {
+                UIManager.hideModal('exportModal');
+            }
+        });
+
+        document.getElementById('bulkResultModal').addEventListener('click', e => {
+            if (e.target.id === 'bulkResultModal') {
+                UIManager.hideModal('bulkResultModal');
+            }
+        });
+
+        document.getElementById('printSheetModal').addEventListener('click', e => {
+            if (e.target.id === 'printSheetModal') {
+                UIManager.hideModal('printSheetModal');
+            }
+        });
+
+        document.getElementById('statusModal').addEventListener('click', e => {
+            if (e.target.id === 'statusModal') {
+                UIManager.hideModal('statusModal');
+            }
+        });
+
+        document.getElementById('changePasswordModal').addEventListener('click', e => {
+            if (e.target.id === 'changePasswordModal') {
+                UIManager.hideModal('changePasswordModal');
+            }
+        });
+
+        document.getElementById('twoFactorModal').addEventListener('click', e => {
+            if (e.target.id === 'twoFactorModal') {
+                UIManager.hideModal('twoFactorModal');
+            }
+        });
+
         // Keyboard shortcuts
         document.addEventListener('keydown', e => {
             if (e.key === 'Escape') {
+                if (PhotoEditor.resolve) {
+                    PhotoEditor.close(null);
+                    return;
+                }
                 UIManager.hideModal('idCardModal');
                 UIManager.hideModal('editStudentModal');
+                UIManager.hideModal('exportModal');
+                UIManager.hideModal('printSheetModal');
+                UIManager.hideModal('bulkResultModal');
+                UIManager.hideModal('statusModal');
+                UIManager.hideModal('changePasswordModal');
+                UIManager.hideModal('twoFactorModal');
             }
         });
 
@@ -122,43 +386,60 @@ class App {
     }
 
     /**
-     * Handle login
+     * Handle logout
      */
-    async handleLogin(e) {
-        e.preventDefault();
+    handleLogout() {
+        Auth.logout();
+        Logger.info('User logged out');
+        window.location.href = CONFIG.AUTH.LOGIN_PAGE;
+    }
 
-        const username = Utils.getElement('username').value.trim();
-        const password = Utils.getElement('password').value.trim();
+    /**
+     * Hide sidebar tabs the current role cannot use
+     */
+    applyPermissions() {
+        document.querySelectorAll('.sidebar-item[data-feature]').forEach(item => {
+            if (!Auth.can(item.getAttribute('data-feature'))) {
+                Utils.hide(item);
+            }
+        });
 
-        if (!username || !password) {
-            UIManager.showError('Please enter username and password');
-            return;
+        if (!Auth.can('DOWNLOAD_ID_CARD')) {
+            Utils.hide('downloadCardBtn');
         }
 
-        try {
-            const user = Auth.login(username, password);
+        if (!Auth.can('REVOKE_CARD')) {
+            Utils.hide('revokeCardBtn');
+        }
 
-            if (user) {
-                UIManager.clearFormErrors(e.target);
-                document.getElementById('loginForm').reset();
-                this.showDashboard();
-                this.loadStudents();
-            } else {
-                UIManager.showError(CONFIG.ERRORS.INVALID_CREDENTIALS);
-            }
-        } catch (error) {
-            Logger.error('Login error:', error.message);
-            UIManager.showError(CONFIG.ERRORS.GENERAL_ERROR);
+        if (!Auth.can('EXPORT')) {
+            Utils.hide('exportStudentsBtn');
+            Utils.hide('bulkExportBtn');
+        }
+
+        if (!Auth.can('EDIT_STUDENT')) {
+            Utils.hide('bulkCourseSelect');
+            Utils.hide('bulkSemesterSelect');
+        }
+
+        if (!Auth.can('DELETE_STUDENT')) {
+            Utils.hide('bulkDeleteBtn');
+        }
+
+        if (!Auth.can('DOWNLOAD_ID_CARD')) {
+            Utils.hide('bulkPrintBtn');
         }
     }
 
     /**
-     * Handle logout
+     * Get first sidebar tab the current role can use
+     * @returns {string|null}
      */
-    handleLogout() {
-        Auth.logout();
-        this.showLoginPage();
-        Logger.info('User logged out');
+    getDefaultTab() {
+        const item = Array.from(document.querySelectorAll('.sidebar-item')).find(
+            el => !el.classList.contains('hidden')
+        );
+        return item ? item.getAttribute('data-tab') : null;
     }
 
     /**
@@ -179,6 +460,12 @@ class App {
             course: Utils.getElement('course').value,
             semester: Utils.getElement('semester').value,
             rollNo: Utils.getElement('rollNo').value.trim().toUpperCase(),
+            dob: Utils.getElement('dob').value,
+            bloodGroup: Utils.getElement('bloodGroup').value,
+            admissionDate: Utils.getElement('admissionDate').value,
+            guardianPhone: Utils.getElement('guardianPhone').value.trim(),
+            emergencyContact: Utils.getElement('emergencyContact').value.trim(),
+            address: Utils.getElement('address').value.trim(),
         };
 
         // Validate
@@ -194,6 +481,8 @@ class App {
             const response = await StudentManager.addStudent(studentData);
 
             if (response.success) {
+                await this.uploadPendingPhoto('student', response.studentId);
+
                 form.reset();
                 UIManager.enableForm(form, 'Add Student');
 
@@ -214,61 +503,473 @@ class App {
      */
     async loadStudents() {
         try {
-            this.students = await StudentManager.loadStudents();
+            const result = await StudentManager.loadStudentPage(this.getListParams(true));
+            this.students = result.students;
+            this.studentPage = result;
+            // The backend clamps the page when fewer students match than before
+            this.query.page = result.page;
             this.renderStudentsTable(this.students);
-            UIManager.updateStudentCount(this.students.length);
+            this.renderPagination();
+            UIManager.updateStudentCount(result.count);
         } catch (error) {
             Logger.error('Error loading students:', error.message);
             this.renderStudentsTable([]);
         }
     }
 
+    /**
+     * Build getStudents parameters from the table query
+     * @param {boolean} paged - Only the current page (otherwise every matching student)
+     * @returns {object} - { q, filters, sort, order, page, pageSize }
+     */
+    getListParams(paged) {
+        const params = {
+            q: this.query.q,
+            filters: {
+                course: this.query.course,
+                semester: this.query.semester,
+                status: this.query.status,
+                card: this.query.card,
+            },
+            sort: this.query.sort,
+            order: this.query.order,
+        };
+        if (paged) {
+            params.page = this.query.page;
+            params.pageSize = this.query.pageSize;
+        }
+        return params;
+    }
+
+    /**
+     * Setup students table search box, filters and sortable headers
+     */
+    setupTableControls() {
+        const courseFilter = Utils.getElement('courseFilter');
+        CONFIG.COURSES.forEach(course => courseFilter.add(new Option(course, course)));
+
+        const semesterFilter = Utils.getElement('semesterFilter');
+        CONFIG.SEMESTERS.forEach(semester => semesterFilter.add(new Option(semester.label, semester.value)));
+
+        const statusFilter = Utils.getElement('statusFilter');
+        CONFIG.STUDENT_STATUSES.forEach(status => statusFilter.add(new Option(status.label, status.value)));
+
+        const search = Utils.getElement('studentSearch');
+        search.addEventListener(
+            'input',
+            Utils.debounce(() => this.setQuery({ q: search.value.trim() }), CONFIG.STUDENTS_TABLE.SEARCH_DELAY)
+        );
+
+        courseFilter.addEventListener('change', e => this.setQuery({ course: e.target.value }));
+        semesterFilter.addEventListener('change', e => this.setQuery({ semester: e.target.value }));
+        statusFilter.addEventListener('change', e => this.setQuery({ status: e.target.value }));
+        Utils.getElement('cardFilter').addEventListener('change', e => this.setQuery({ card: e.target.value }));
+
+        // Click a header to sort by it; click again to reverse
+        document.querySelectorAll('.students-table th[data-sort]').forEach(th => {
+            th.addEventListener('click', () => {
+                const sort = th.getAttribute('data-sort');
+                const order = this.query.sort === sort && this.query.order === 'asc' ? 'desc' : 'asc';
+                this.setQuery({ sort: sort, order: order });
+            });
+        });
+
+        const pageSizeSelect = Utils.getElement('pageSizeSelect');
+        CONFIG.STUDENTS_TABLE.PAGE_SIZES.forEach(size => pageSizeSelect.add(new Option(size, size)));
+        pageSizeSelect.addEventListener('change', e => this.setQuery({ pageSize: parseInt(e.target.value, 10) }));
+
+        Utils.getElement('prevPageBtn').addEventListener('click', () => this.setQuery({ page: this.query.page - 1 }));
+        Utils.getElement('nextPageBtn').addEventListener('click', () => this.setQuery({ page: this.query.page + 1 }));
+
+        this.setupSelection();
+        this.setupRowActions();
+        this.syncTableControls();
+    }
+
+    /**
+     * Handle the action buttons on student rows
+     */
+    setupRowActions() {
+        const actions = ['renewCard', 'generateIDCard', 'editStudent', 'showStatusDialog', 'deleteStudent'];
+
+        Utils.getElement('studentsTableBody').addEventListener('click', e => {
+            const button = e.target.closest('[data-action]');
+            if (button && actions.includes(button.getAttribute('data-action'))) {
+                this[button.getAttribute('data-action')](button.getAttribute('data-id'));
+            }
+        });
+    }
+
+    /**
+     * Setup row checkboxes and the bulk action bar
+     */
+    setupSelection() {
+        Utils.getElement('studentsTableBody').addEventListener('change', e => {
+            if (!e.target.classList.contains('row-select')) return;
+
+            const student = this.students.find(s => s.id === e.target.value);
+            if (e.target.checked && student) {
+                this.selection.set(student.id, student);
+            } else {
+                this.selection.delete(e.target.value);
+            }
+            this.renderSelection();
+        });
+
+        Utils.getElement('selectPageCheckbox').addEventListener('change', e => {
+            this.students.forEach(student => {
+                if (e.target.checked) {
+                    this.selection.set(student.id, student);
+                } else {
+                    this.selection.delete(student.id);
+                }
+            });
+            this.renderSelection();
+        });
+
+        Utils.getElement('selectAllMatchingBtn').addEventListener('click', () => this.selectAllMatching());
+        Utils.getElement('clearSelectionBtn').addEventListener('click', () => {
+            this.selection.clear();
+            this.renderSelection();
+        });
+
+        const bulkCourse = Utils.getElement('bulkCourseSelect');
+        CONFIG.COURSES.forEach(course => bulkCourse.add(new Option(course, course)));
+        bulkCourse.addEventListener('change', () => {
+            const course = bulkCourse.value;
+            bulkCourse.value = '';
+            if (course) this.bulkUpdateSelected({ course: course });
+        });
+
+        const bulkSemester = Utils.getElement('bulkSemesterSelect');
+        CONFIG.SEMESTERS.forEach(semester => bulkSemester.add(new Option(semester.label, semester.value)));
+        bulkSemester.addEventListener('change', () => {
+            const semester = bulkSemester.value;
+            bulkSemester.value = '';
+            if (semester) this.bulkUpdateSelected({ semester: semester });
+        });
+
+        Utils.getElement('bulkExportBtn').addEventListener('click', () => this.showExport('selected'));
+        Utils.getElement('bulkPrintBtn').addEventListener('click', () => this.showPrintSheet());
+        Utils.getElement('bulkDeleteBtn').addEventListener('click', () => this.bulkDeleteSelected());
+    }
+
+    /**
+     * Show the selection in the row checkboxes and the bulk action bar
+     */
+    renderSelection() {
+        document.querySelectorAll('#studentsTableBody .row-select').forEach(checkbox => {
+            checkbox.checked = this.selection.has(checkbox.value);
+        });
+
+        const onPage = this.students.filter(student => this.selection.has(student.id)).length;
+        const pageCheckbox = Utils.getElement('selectPageCheckbox');
+        pageCheckbox.checked = this.students.length > 0 && onPage === this.students.length;
+        pageCheckbox.indeterminate = onPage > 0 && onPage < this.students.length;
+
+        if (this.selection.size === 0) {
+            Utils.hide('bulkBar');
+            return;
+        }
+
+        Utils.show('bulkBar');
+        Utils.setText('bulkCount', `${this.selection.size} selected`);
+
+        // Offer the rest of the search once the whole page is selected
+        const total = this.studentPage ? this.studentPage.total : 0;
+        const matchingButton = Utils.getElement('selectAllMatchingBtn');
+        if (pageCheckbox.checked && total > onPage && total > this.selection.size) {
+            matchingButton.textContent = `Select all ${total} matching students`;
+            Utils.show(matchingButton);
+        } else {
+            Utils.hide(matchingButton);
+        }
+    }
+
+    /**
+     * Select every student matching the current search and filters, on all pages
+     */
+    async selectAllMatching() {
+        const students = await StudentManager.loadStudents(this.getListParams(false));
+
+        const merged = new Set([...this.selection.keys(), ...students.map(student => student.id)]);
+        if (merged.size > CONFIG.STUDENTS_TABLE.MAX_SELECTION) {
+            UIManager.showError(`Select at most ${CONFIG.STUDENTS_TABLE.MAX_SELECTION} students at a time`);
+            return;
+        }
+
+        students.forEach(student => this.selection.set(student.id, student));
+        this.renderSelection();
+    }
+
+    /**
+     * Get the selected students, or null (with an error shown) when there are too many
+     * @returns {array|null}
+     */
+    getSelectedStudents() {
+        if (this.selection.size > CONFIG.STUDENTS_TABLE.MAX_SELECTION) {
+            UIManager.showError(`Select at most ${CONFIG.STUDENTS_TABLE.MAX_SELECTION} students at a time`);
+            return null;
+        }
+        return Array.from(this.selection.values());
+    }
+
+    /**
+     * Change the course or semester of every selected student
+     * @param {object} updates - { course } or { semester }
+     */
+    async bulkUpdateSelected(updates) {
+        const students = this.getSelectedStudents();
+        if (!students) return;
+
+        const response = await StudentManager.bulkUpdateStudents(students, updates);
+        if (!response) return;
+
+        this.showBulkResults('Change Students', students, response.results);
+        this.selection.clear();
+        this.loadStudents();
+    }
+
+    /**
+     * Delete every selected student
+     */
+    async bulkDeleteSelected() {
+        const students = this.getSelectedStudents();
+        if (!students) return;
+
+        const response = await StudentManager.bulkDeleteStudents(students);
+        if (!response) return;
+
+        this.showBulkResults('Delete Students', students, response.results);
+        this.selection.clear();
+        this.loadStudents();
+    }
+
+    /**
+     * Show the per-student outcome of a bulk action
+     * @param {string} title - Modal title
+     * @param {array} students - Students the action ran on
+     * @param {array} results - Backend results [{ id, success, message }]
+     */
+    showBulkResults(title, students, results) {
+        const byId = {};
+        students.forEach(student => {
+            byId[student.id] = student;
+        });
+
+        const succeeded = results.filter(result => result.success).length;
+        const failed = results.length - succeeded;
+        const summary = [
+            succeeded ? `<span class="badge badge-success">Done</span> ${succeeded}` : '',
+            failed ? `<span class="badge badge-error">Failed</span> ${failed}` : '',
+        ]
+            .filter(Boolean)
+            .join(' &nbsp; ');
+
+        const rows = results
+            .map(result => {
+                const student = byId[result.id] || {};
+                return `
+                    <tr>
+                        <td>${Utils.escapeHTML(student.rollNo || '')}</td>
+                        <td>${Utils.escapeHTML(student.name || result.id)}</td>
+                        <td>${
+                            result.success
+                                ? '<span class="badge badge-success">Done</span>'
+                                : `<span class="badge badge-error">Failed</span><br><small>${Utils.escapeHTML(result.message)}</small>`
+                        }</td>
+                    </tr>
+                `;
+            })
+            .join('');
+
+        Utils.setText('bulkResultTitle', title);
+        Utils.setHTML(
+            'bulkResultBody',
+            `
+            <p class="bulk-summary">${summary}</p>
+            <div class="table-wrapper">
+                <table class="students-table">
+                    <thead>
+                        <tr>
+                            <th>Roll Number</th>
+                            <th>Name</th>
+                            <th>Result</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `
+        );
+        UIManager.showModal('bulkResultModal');
+    }
+
+    /**
+     * Read the students table query from the page URL
+     * @returns {object} - { q, course, semester, status, card, sort, order, page, pageSize }
+     */
+    readQuery() {
+        const params = new URLSearchParams(window.location.search);
+        const query = this.getDefaultQuery();
+        Object.keys(query).forEach(key => {
+            if (params.has(key)) {
+                query[key] = params.get(key);
+            }
+        });
+
+        query.page = Math.max(parseInt(query.page, 10) || 1, 1);
+        query.pageSize = parseInt(query.pageSize, 10);
+        if (!CONFIG.STUDENTS_TABLE.PAGE_SIZES.includes(query.pageSize)) {
+            query.pageSize = CONFIG.STUDENTS_TABLE.DEFAULT_PAGE_SIZE;
+        }
+        return query;
+    }
+
+    /**
+     * Get the students table query with nothing filtered
+     * @returns {object}
+     */
+    getDefaultQuery() {
+        return {
+            q: '',
+            course: '',
+            semester: '',
+            status: '',
+            card: 'all',
+            sort: CONFIG.STUDENTS_TABLE.DEFAULT_SORT,
+            order: CONFIG.STUDENTS_TABLE.DEFAULT_ORDER,
+            page: 1,
+            pageSize: CONFIG.STUDENTS_TABLE.DEFAULT_PAGE_SIZE,
+        };
+    }
+
+    /**
+     * Change the students table query, keep it in the URL and reload the page of students
+     * @param {object} changes - Query fields to change
+     */
+    setQuery(changes) {
+        // Any change other than moving between pages starts again from the first page
+        Object.assign(this.query, { page: 1 }, changes);
+
+        // Only non-default values go in the URL
+        const defaults = this.getDefaultQuery();
+        const params = new URLSearchParams();
+        Object.keys(this.query).forEach(key => {
+            if (this.query[key] !== defaults[key]) {
+                params.set(key, this.query[key]);
+            }
+        });
+        const search = params.toString();
+        window.history.replaceState(null, '', search ? `?${search}` : window.location.pathname);
+
+        this.syncTableControls();
+        this.loadStudents();
+    }
+
+    /**
+     * Show the current query in the search box, filters and header arrows
+     */
+    syncTableControls() {
+        Utils.getElement('studentSearch').value = this.query.q;
+        Utils.getElement('courseFilter').value = this.query.course;
+        Utils.getElement('semesterFilter').value = this.query.semester;
+        Utils.getElement('statusFilter').value = this.query.status;
+        Utils.getElement('cardFilter').value = this.query.card;
+        Utils.getElement('pageSizeSelect').value = this.query.pageSize;
+
+        document.querySelectorAll('.students-table th[data-sort]').forEach(th => {
+            const active = th.getAttribute('data-sort') === this.query.sort;
+            th.classList.toggle('sort-asc', active && this.query.order === 'asc');
+            th.classList.toggle('sort-desc', active && this.query.order === 'desc');
+            th.setAttribute('aria-sort', active ? (this.query.order === 'asc' ? 'ascending' : 'descending') : 'none');
+        });
+    }
+
     /**
      * Render students table
+     * @param {array} students - One page of students, already filtered and sorted by the backend
      */
     renderStudentsTable(students) {
         const tbody = Utils.getElement('studentsTableBody');
 
         if (students.length === 0) {
+            let message = 'No students match the current search';
+            if (!this.studentPage || this.studentPage.count === 0) {
+                message = 'No students added yet';
+            } else if (
+                this.query.card === 'renewal' &&
+                !this.query.q &&
+                !this.query.course &&
+                !this.query.semester &&
+                !this.query.status
+            ) {
+                message = 'No cards due for renewal';
+            }
             tbody.innerHTML = `
                 <tr>
-                    <td colspan="6" class="empty-state">
-                        <p>No students added yet</p>
+                    <td colspan="9" class="empty-state">
+                        <p>${message}</p>
                     </td>
                 </tr>
             `;
+            this.renderSelection();
             return;
         }
 
-        // Sort by creation date (newest first)
-        const sorted = StudentManager.sortStudents(students, 'createdAt', 'desc');
+        // Row buttons carry data-action and data-id (see setupRowActions)
+        const canGenerate = Auth.can('GENERATE_ID_CARD');
+        // Roles that cannot issue cards can still open issued ones to print
+        const canOpenCard = canGenerate || Auth.can('DOWNLOAD_ID_CARD');
+        const canEdit = Auth.can('EDIT_STUDENT');
+        const canDelete = Auth.can('DELETE_STUDENT');
+        const canChangeStatus = Auth.can('CHANGE_STATUS');
 
-        tbody.innerHTML = sorted
+        tbody.innerHTML = students
             .map(
                 student => `
             <tr>
-                <td>${student.name}</td>
-                <td>${student.rollNo}</td>
-                <td>${student.course}</td>
-                <td>${student.semester}</td>
-                <td><strong>${student.id}</strong></td>
+                <td class="select-cell">
+                    <input type="checkbox" class="row-select" value="${Utils.escapeHTML(student.id)}" aria-label="Select ${Utils.escapeHTML(student.name)}">
+                </td>
+                <td>${Utils.escapeHTML(student.name)}</td>
+                <td>${Utils.escapeHTML(student.rollNo)}</td>
+                <td>${Utils.escapeHTML(student.course)}</td>
+                <td>${Utils.escapeHTML(student.semester)}</td>
+                <td>${this.renderStatus(student)}</td>
+                <td><strong>${Utils.escapeHTML(student.id)}</strong></td>
+                <td>${this.renderCardValidity(student)}</td>
                 <td>
                     <div class="action-btns">
-                        <button class="btn-small btn-generate" onclick="app.generateIDCard('${student.id}')">
+                        ${canGenerate && StudentManager.isDueForRenewal(student) && Utils.getStudentStatus(student).value === 'active' ? `<button class="btn-small btn-generate" data-action="renewCard" data-id="${Utils.escapeHTML(student.id)}">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <polyline points="23 4 23 10 17 10"></polyline>
+                                <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path>
+                            </svg>
+                            Renew
+                        </button>` : ''}
+                        ${canOpenCard ? `<button class="btn-small btn-generate" data-action="generateIDCard" data-id="${Utils.escapeHTML(student.id)}">
                             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <path d="M13 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V9z"></path>
                                 <polyline points="13 2 13 9 20 9"></polyline>
                             </svg>
                             Generate
-                        </button>
-                        <button class="btn-small btn-edit" onclick="app.editStudent('${student.id}')">
+                        </button>` : ''}
+                        ${canEdit ? `<button class="btn-small btn-edit" data-action="editStudent" data-id="${Utils.escapeHTML(student.id)}">
                             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
                                 <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
                             </svg>
                             Edit
-                        </button>
-                        <button class="btn-small btn-delete" onclick="app.deleteStudent('${student.id}')">
+                        </button>` : ''}
+                        ${canChangeStatus && Utils.getStudentStatus(student).next.length > 0 ? `<button class="btn-small btn-edit" data-action="showStatusDialog" data-id="${Utils.escapeHTML(student.id)}">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <circle cx="12" cy="12" r="10"></circle>
+                                <polyline points="12 6 12 12 16 14"></polyline>
+                            </svg>
+                            Status
+                        </button>` : ''}
+                        ${canDelete ? `<button class="btn-small btn-delete" data-action="deleteStudent" data-id="${Utils.escapeHTML(student.id)}">
                             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <polyline points="3 6 5 6 21 6"></polyline>
                                 <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
@@ -276,7 +977,7 @@ class App {
                                 <line x1="14" y1="11" x2="14" y2="17"></line>
                             </svg>
                             Delete
-                        </button>
+                        </button>` : ''}
                     </div>
                 </td>
             </tr>
@@ -284,7 +985,8 @@ class App {
             )
             .join('');
 
-        Logger.debug(`Rendered ${students.length} students in table`);
+        this.renderSelection();
+        Logger.debug(`Rendered ${students.length} of ${this.studentPage.total} students in table`);
     }
 
     /**
@@ -294,7 +996,7 @@ class App {
         try {
             const student = await StudentManager.getStudent(studentId);
             this.currentStudent = student;
-            IDCardManager.displayCard(student);
+            await IDCardManager.displayCard(student);
         } catch (error) {
             Logger.error('Error generating ID card:', error.message);
             UIManager.showError('Failed to generate ID card');
@@ -302,22 +1004,318 @@ class App {
     }
 
     /**
-     * Edit student
+     * Issue or reissue the card of the student shown in the ID card modal
+     * @param {string} reason - 'new' or one of CONFIG.ID_CARD.REISSUE_REASONS
      */
-    async editStudent(studentId) {
-        try {
-            const student = await StudentManager.getStudent(studentId);
-            this.currentEditingStudent = student;
-
-            // Populate form
-            Utils.getElement('editStudentId').value = student.id;
-            Utils.getElement('editStudentName').value = student.name;
-            Utils.getElement('editFatherName').value = student.fatherName;
-            Utils.getElement('editStudentEmail').value = student.email;
-            Utils.getElement('editStudentPhone').value = student.phone;
-            Utils.getElement('editCourse').value = student.course;
-            Utils.getElement('editSemester').value = student.semester;
-            Utils.getElement('editRollNo').value = student.rollNo;
+    async issueCard(reason) {
+        if (!this.currentStudent) return;
+
+        const student = await IDCardManager.issueCard(this.currentStudent, reason);
+        if (student) {
+            this.currentStudent = student;
+            IDCardManager.displayCard(student);
+            this.loadStudents();
+        }
+    }
+
+    /**
+     * Show card history of the student shown in the ID card modal
+     */
+    async showCardHistory() {
+        if (!this.currentStudent) return;
+
+        Utils.setHTML('cardHistory', '<p>Loading card history...</p>');
+        const cards = await IDCardManager.loadCardHistory(this.currentStudent.id);
+        Utils.setHTML('cardHistory', cards ? IDCardManager.generateHistoryHTML(cards) : '');
+    }
+
+    /**
+     * Show the page position and enable next / previous
+     */
+    renderPagination() {
+        const { total, page, pageSize, pages } = this.studentPage;
+
+        let info = 'No students';
+        if (total > 0) {
+            const first = (page - 1) * pageSize + 1;
+            const last = Math.min(page * pageSize, total);
+            info = `${first}–${last} of ${total} students · Page ${page} of ${pages}`;
+        }
+
+        Utils.setText('pageInfo', info);
+        Utils.getElement('prevPageBtn').disabled = page <= 1;
+        Utils.getElement('nextPageBtn').disabled = page >= pages;
+    }
+
+    /**
+     * Render a student's lifecycle status badge (the reason shows on hover)
+     * @param {object} student - Student data
+     * @returns {string} - HTML string
+     */
+    renderStatus(student) {
+        const status = Utils.getStudentStatus(student);
+        const title = student.statusReason ? ` title="${Utils.escapeHTML(student.statusReason)}"` : '';
+        return `<span class="badge ${status.badge}"${title}>${status.label}</span>`;
+    }
+
+    /**
+     * Open the status dialog with the statuses the student may move to
+     * @param {string} studentId - Student ID
+     */
+    showStatusDialog(studentId) {
+        const student = this.students.find(s => s.id === studentId);
+        if (!student) return;
+
+        const status = Utils.getStudentStatus(student);
+
+        Utils.getElement('statusStudentId').value = student.id;
+        Utils.setHTML(
+            'statusCurrent',
+            `${Utils.escapeHTML(student.name)} is ${this.renderStatus(student)}${
+                student.statusReason ? ` &mdash; ${Utils.escapeHTML(student.statusReason)}` : ''
+            }`
+        );
+
+        const select = Utils.getElement('statusSelect');
+        select.innerHTML = '';
+        CONFIG.STUDENT_STATUSES.filter(s => status.next.includes(s.value)).forEach(s =>
+            select.add(new Option(s.label, s.value))
+        );
+        Utils.getElement('statusReasonInput').value = '';
+
+        UIManager.showModal('statusModal');
+    }
+
+    /**
+     * Submit a status change
+     */
+    async handleStatusChange(e) {
+        e.preventDefault();
+
+        const form = e.target;
+        const studentId = Utils.getElement('statusStudentId').value;
+        const status = Utils.getElement('statusSelect').value;
+        const reason = Utils.getElement('statusReasonInput').value.trim();
+
+        if (!reason) {
+            UIManager.showError('Give a reason for the status change');
+            return;
+        }
+
+        try {
+            UIManager.disableForm(form);
+            await StudentManager.setStudentStatus(studentId, status, reason);
+            UIManager.enableForm(form, 'Change Status');
+            UIManager.hideModal('statusModal');
+            this.loadStudents();
+        } catch (error) {
+            UIManager.enableForm(form, 'Change Status');
+            Logger.error('Error changing student status:', error.message);
+        }
+    }
+
+    /**
+     * Render card valid-till date with a status badge
+     * @param {object} student - Student data
+     * @returns {string} - HTML string
+     */
+    renderCardValidity(student) {
+        const status = StudentManager.getCardStatus(student);
+        if (status === 'none') {
+            return '<span class="badge">Not issued</span>';
+        }
+
+        const date = Utils.formatDate(student.cardValidUntil, 'dd/MM/yyyy');
+        const badges = {
+            valid: '',
+            due: ' <span class="badge badge-warning">Due</span>',
+            expired: ' <span class="badge badge-error">Expired</span>',
+        };
+        return `${date}${badges[status]}`;
+    }
+
+    /**
+     * Open the export dialog
+     * @param {string} scope - Students to preselect: 'view', 'all' or 'selected'
+     */
+    showExport(scope = 'view') {
+        Utils.getElement('exportScopeSelected').disabled = this.selection.size === 0;
+        Utils.getElement('exportScope').value = scope;
+        Utils.setHTML('exportColumns', StudentExportManager.generateColumnsHTML());
+        UIManager.showModal('exportModal');
+    }
+
+    /**
+     * Show the print dialog for the selected students' cards
+     */
+    async showPrintSheet() {
+        // Selected rows come from the list, which carries no card codes or photos
+        this.printStudents = await StudentManager.loadFullStudents(Array.from(this.selection.keys()));
+        if (this.printStudents.length === 0) return;
+
+        if (!this.printOptions) {
+            this.printOptions = PrintSheetManager.getDefaultOptions();
+        }
+        const options = this.printOptions;
+
+        Utils.getElement('printCardSize').value = options.cardSize;
+        Utils.getElement('printCardWidth').value = options.cardWidth;
+        Utils.getElement('printCardHeight').value = options.cardHeight;
+        Utils.getElement('printDpi').value = options.dpi;
+        Utils.getElement('printLayout').value = options.layout;
+        Utils.getElement('printPaper').value = options.paper;
+        Utils.getElement('printMargin').value = options.margin;
+        Utils.getElement('printGutter').value = options.gutter;
+        Utils.getElement('printBleed').value = options.bleed;
+        Utils.getElement('printCropMarks').checked = options.cropMarks;
+        Utils.getElement('printBacks').checked = options.backs;
+        Utils.getElement('printFlip').value = options.flip;
+        Utils.setText('printSheetCount', `${this.printStudents.length} cards selected`);
+
+        UIManager.clearFormErrors(Utils.getElement('printSheetForm'));
+        this.printQRModules = IDCardManager.getQRModules(this.printStudents);
+        this.renderPrintWarnings();
+        UIManager.showModal('printSheetModal');
+    }
+
+    /**
+     * Read the print dialog
+     * @returns {object} - Print options
+     */
+    readPrintOptions() {
+        return {
+            cardSize: Utils.getElement('printCardSize').value,
+            cardWidth: parseFloat(Utils.getElement('printCardWidth').value),
+            cardHeight: parseFloat(Utils.getElement('printCardHeight').value),
+            dpi: Number(Utils.getElement('printDpi').value),
+            layout: Utils.getElement('printLayout').value,
+            paper: Utils.getElement('printPaper').value,
+            margin: parseFloat(Utils.getElement('printMargin').value),
+            gutter: parseFloat(Utils.getElement('printGutter').value),
+            bleed: parseFloat(Utils.getElement('printBleed').value),
+            cropMarks: Utils.getElement('printCropMarks').checked,
+            backs: Utils.getElement('printBacks').checked,
+            flip: Utils.getElement('printFlip').value,
+        };
+    }
+
+    /**
+     * Warn in the print dialog when the card size and DPI are too low for sharp photos and QR codes
+     */
+    renderPrintWarnings() {
+        const options = this.readPrintOptions();
+        const warnings =
+            options.cardWidth > 0 && options.dpi > 0
+                ? PrintSheetManager.getResolutionWarnings(options, this.printQRModules)
+                : [];
+
+        Utils.setHTML('printSheetWarnings', warnings.map(warning => Utils.escapeHTML(warning)).join('<br>'));
+        Utils[warnings.length ? 'show' : 'hide']('printSheetWarnings');
+    }
+
+    /**
+     * Print the selected students' cards with the chosen options
+     */
+    async handlePrintSheet(e) {
+        e.preventDefault();
+
+        const form = e.target;
+        UIManager.clearFormErrors(form);
+
+        const options = this.readPrintOptions();
+        const validation = PrintSheetManager.validateOptions(options);
+        if (!validation.valid) {
+            UIManager.displayFormErrors(validation.errors, form);
+            return;
+        }
+
+        // Remembered for the next print this session
+        this.printOptions = options;
+        UIManager.hideModal('printSheetModal');
+        await IDCardManager.exportBatch(this.printStudents, options);
+    }
+
+    /**
+     * Export the chosen students and columns
+     */
+    async handleExport(e) {
+        e.preventDefault();
+
+        const columns = Array.from(
+            document.querySelectorAll('#exportColumns input[name="exportColumn"]:checked')
+        ).map(input => input.value);
+        if (columns.length === 0) {
+            UIManager.showError('Select at least one column');
+            return;
+        }
+
+        // Every matching student, not only the page on screen
+        const scope = Utils.getElement('exportScope').value;
+        let students;
+        if (scope === 'selected') {
+            students = Array.from(this.selection.values());
+        } else if (scope === 'all') {
+            students = await StudentManager.loadStudents();
+        } else {
+            students = await StudentManager.loadStudents(this.getListParams(false));
+        }
+        if (students.length === 0) {
+            UIManager.showError('No students to export');
+            return;
+        }
+
+        try {
+            UIManager.showLoading();
+            await StudentExportManager.exportStudents(students, columns, Utils.getElement('exportFormat').value);
+            UIManager.hideLoading();
+            UIManager.hideModal('exportModal');
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error exporting students:', error.message);
+            UIManager.showError('Export failed');
+        }
+    }
+
+    /**
+     * Renew student's card and show the re-issued card for printing
+     * @param {string} studentId - Student ID
+     */
+    async renewCard(studentId) {
+        const student = this.students.find(s => s.id === studentId);
+        if (!student) return;
+
+        const renewed = await IDCardManager.renewCard(student);
+        if (renewed) {
+            this.currentStudent = renewed;
+            IDCardManager.displayCard(renewed);
+            this.loadStudents();
+        }
+    }
+
+    /**
+     * Edit student
+     */
+    async editStudent(studentId) {
+        try {
+            const student = await StudentManager.getStudent(studentId);
+            this.currentEditingStudent = student;
+
+            // Populate form
+            Utils.getElement('editStudentId').value = student.id;
+            Utils.getElement('editStudentName').value = student.name;
+            Utils.getElement('editFatherName').value = student.fatherName;
+            Utils.getElement('editStudentEmail').value = student.email;
+            Utils.getElement('editStudentPhone').value = student.phone;
+            Utils.getElement('editCourse').value = student.course;
+            Utils.getElement('editSemester').value = student.semester;
+            Utils.getElement('editRollNo').value = student.rollNo;
+            Utils.getElement('editDob').value = student.dob || '';
+            Utils.getElement('editBloodGroup').value = student.bloodGroup || '';
+            Utils.getElement('editAdmissionDate').value = student.admissionDate || '';
+            Utils.getElement('editGuardianPhone').value = student.guardianPhone || '';
+            Utils.getElement('editEmergencyContact').value = student.emergencyContact || '';
+            Utils.getElement('editAddress').value = student.address || '';
+            this.setPhotoPreview('edit', null, student.photo);
 
             UIManager.showModal('editStudentModal');
         } catch (error) {
@@ -344,6 +1342,12 @@ class App {
             course: Utils.getElement('editCourse').value,
             semester: Utils.getElement('editSemester').value,
             rollNo: Utils.getElement('editRollNo').value.trim().toUpperCase(),
+            dob: Utils.getElement('editDob').value,
+            bloodGroup: Utils.getElement('editBloodGroup').value,
+            admissionDate: Utils.getElement('editAdmissionDate').value,
+            guardianPhone: Utils.getElement('editGuardianPhone').value.trim(),
+            emergencyContact: Utils.getElement('editEmergencyContact').value.trim(),
+            address: Utils.getElement('editAddress').value.trim(),
         };
 
         // Validate
@@ -357,6 +1361,7 @@ class App {
             UIManager.disableForm(form);
 
             await StudentManager.updateStudent(studentId, updates);
+            await this.uploadPendingPhoto('edit', studentId);
 
             UIManager.hideModal('editStudentModal');
             form.reset();
@@ -372,73 +1377,770 @@ class App {
         }
     }
 
+    /**
+     * Crop a newly chosen photo and keep it until the form is submitted
+     * @param {string} form - 'student' (add form) or 'edit'
+     * @param {Event} e - File input change event
+     */
+    async handlePhotoSelected(form, e) {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow choosing the same file again
+        if (!file) return;
+
+        const photo = await PhotoEditor.open(file);
+        if (photo) {
+            this.setPhotoPreview(form, photo);
+        }
+    }
+
+    /**
+     * Show a form's photo preview
+     * @param {string} form - 'student' (add form) or 'edit'
+     * @param {string|null} pendingPhoto - Newly cropped photo (uploaded on submit)
+     * @param {string} currentPhoto - Photo already stored for the student
+     */
+    setPhotoPreview(form, pendingPhoto, currentPhoto = '') {
+        this.pendingPhotos[form] = pendingPhoto;
+        Utils.setHTML(`${form}PhotoPreview`, Utils.generatePhotoHTML(pendingPhoto || currentPhoto));
+    }
+
+    /**
+     * Upload a form's cropped photo once the student is saved.
+     * A failed upload is reported but does not undo the saved details.
+     * @param {string} form - 'student' (add form) or 'edit'
+     * @param {string} studentId - Student ID
+     */
+    async uploadPendingPhoto(form, studentId) {
+        const photo = this.pendingPhotos[form];
+        if (!photo) return;
+
+        try {
+            await StudentManager.uploadPhoto(studentId, photo);
+        } catch (error) {
+            Logger.error('Photo not uploaded:', error.message);
+        } finally {
+            this.setPhotoPreview(form, null);
+        }
+    }
+
+    /**
+     * Parse an import file and guess its column mapping
+     * @param {File} file - CSV or Excel file
+     */
+    async handleImportFile(file) {
+        this.clearImport();
+
+        try {
+            UIManager.showLoading();
+            const parsed = await StudentImportManager.parseFile(file);
+            UIManager.hideLoading();
+
+            this.studentImport = {
+                fileName: file.name,
+                headers: parsed.headers,
+                rows: parsed.rows,
+                mapping: StudentImportManager.autoMapColumns(parsed.headers),
+                items: null,
+            };
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error reading import file:', error.message);
+            UIManager.showError(error.message || 'Could not read the file');
+            return;
+        }
+
+        Utils.setHTML(
+            'importMapping',
+            StudentImportManager.generateMappingHTML(this.studentImport.headers, this.studentImport.mapping)
+        );
+        this.renderStudentImport();
+    }
+
+    /**
+     * Dry run: validate every row against the current mapping without saving
+     */
+    async checkImport() {
+        if (!this.studentImport) return;
+
+        // Duplicate roll numbers are checked against every student
+        const students = await StudentManager.loadStudents();
+
+        this.studentImport.items = StudentImportManager.validateRows(
+            this.studentImport.rows,
+            this.studentImport.mapping,
+            students
+        );
+        this.renderStudentImport();
+    }
+
+    /**
+     * Send the valid rows to the backend and report rows it rejected
+     */
+    async runImport() {
+        const items = this.studentImport && this.studentImport.items;
+        if (!items) return;
+
+        const valid = items.filter(item => item.errors.length === 0 && !item.imported);
+        if (valid.length === 0) return;
+
+        const confirmed = await UIManager.confirm(
+            `Import ${valid.length} student(s)? Rows with errors are skipped.`
+        );
+        if (!confirmed) return;
+
+        try {
+            const response = await StudentManager.bulkAddStudents(valid.map(item => item.data));
+
+            const rejected = {};
+            response.rejected.forEach(r => {
+                rejected[r.index] = r.message;
+            });
+            valid.forEach((item, index) => {
+                if (rejected[index]) {
+                    item.errors.push(rejected[index]);
+                } else {
+                    item.imported = true;
+                }
+            });
+
+            this.renderStudentImport();
+            this.loadStudents();
+        } catch (error) {
+            Logger.error('Error importing students:', error.message);
+        }
+    }
+
+    /**
+     * Show the import file, report and the actions that apply
+     */
+    renderStudentImport() {
+        const state = this.studentImport;
+        const items = state && state.items;
+
+        Utils.setText(
+            'importFileName',
+            state ? `${state.fileName} (${state.rows.length} rows)` : 'No file chosen'
+        );
+        Utils.setHTML('importReport', items ? StudentImportManager.generateReportHTML(items) : '');
+
+        Utils.getElement('checkImportBtn').disabled = !state;
+        Utils.getElement('clearImportBtn').disabled = !state;
+        Utils.getElement('runImportBtn').disabled =
+            !items || !items.some(item => item.errors.length === 0 && !item.imported);
+    }
+
+    /**
+     * Discard the current import file
+     */
+    clearImport() {
+        this.studentImport = null;
+        Utils.setHTML('importMapping', '');
+        this.renderStudentImport();
+    }
+
+    /**
+     * Unpack a photo ZIP and show which files match a student
+     * @param {File} file - ZIP file
+     */
+    async handlePhotoZip(file) {
+        if (!/\.zip$/i.test(file.name)) {
+            UIManager.showError('Please choose a ZIP file');
+            return;
+        }
+
+        // Roll numbers are matched against every student
+        const students = await StudentManager.loadStudents();
+
+        this.clearPhotoImport();
+
+        try {
+            UIManager.showLoading();
+            this.photoImport = await PhotoImportManager.readZip(file, students);
+            UIManager.hideLoading();
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error reading photo ZIP:', error.message);
+            UIManager.showError(error.message || 'Could not read the ZIP file');
+            return;
+        }
+
+        this.renderPhotoImport();
+    }
+
+    /**
+     * Upload the matched photos and report each file's outcome
+     */
+    async startPhotoImport() {
+        const startBtn = Utils.getElement('startPhotoImportBtn');
+        const clearBtn = Utils.getElement('clearPhotoImportBtn');
+        startBtn.disabled = true;
+        clearBtn.disabled = true;
+
+        const result = await PhotoImportManager.uploadPhotos(this.photoImport, (done, total) => {
+            Utils.setText('photoImportProgress', `Uploaded ${done} of ${total}...`);
+            this.renderPhotoImport();
+        });
+
+        Utils.setText('photoImportProgress', '');
+        this.renderPhotoImport();
+
+        if (result.failed > 0) {
+            UIManager.showWarning(
+                `${result.uploaded} photo(s) uploaded, ${result.failed} failed. Click Upload Photos to retry.`
+            );
+        } else {
+            UIManager.showSuccess(`${result.uploaded} photo(s) uploaded`);
+        }
+    }
+
+    /**
+     * Show the photo import report and enable the actions that apply
+     */
+    renderPhotoImport() {
+        Utils.setHTML('photoImportReport', PhotoImportManager.generateReportHTML(this.photoImport));
+        Utils.getElement('startPhotoImportBtn').disabled = !this.photoImport.some(
+            item => item.status === 'matched' || item.status === 'failed'
+        );
+        Utils.getElement('clearPhotoImportBtn').disabled = false;
+    }
+
+    /**
+     * Discard the current photo import
+     */
+    clearPhotoImport() {
+        PhotoImportManager.release(this.photoImport);
+        this.photoImport = [];
+        Utils.setHTML('photoImportReport', '');
+        Utils.setText('photoImportProgress', '');
+        Utils.getElement('startPhotoImportBtn').disabled = true;
+        Utils.getElement('clearPhotoImportBtn').disabled = true;
+    }
+
+    /**
+     * Preview the students of the chosen course and semester and where they move
+     */
+    async previewPromotion() {
+        const course = Utils.getElement('promotionCourse').value;
+        const semester = Utils.getElement('promotionSemester').value;
+        if (!course || !semester) {
+            UIManager.showError('Choose a course and semester');
+            return;
+        }
+
+        const target = PromotionManager.getTarget(course, semester);
+        const students = await PromotionManager.loadCandidates(course, semester);
+
+        this.promotion = {
+            course: course,
+            semester: semester,
+            target: target,
+            students: students,
+            heldBack: new Set(),
+        };
+        this.renderPromotion();
+    }
+
+    /**
+     * Show the promotion preview and the actions that apply
+     */
+    renderPromotion() {
+        const state = this.promotion;
+        Utils.setHTML('promotionPreview', state ? PromotionManager.generatePreviewHTML(state) : '');
+
+        const moving = state ? state.students.length - state.heldBack.size : 0;
+        const runButton = Utils.getElement('runPromotionBtn');
+        runButton.disabled = moving === 0;
+        runButton.textContent =
+            state && !state.target.toSemester ? `Graduate ${moving} Students` : `Promote ${moving} Students`;
+        Utils.getElement('clearPromotionBtn').disabled = !state;
+
+        const includeAll = document.getElementById('promotionIncludeAll');
+        if (includeAll) {
+            includeAll.indeterminate = state.heldBack.size > 0 && moving > 0;
+        }
+    }
+
+    /**
+     * Confirm and run the promotion for every student not held back
+     */
+    async runPromotion() {
+        const state = this.promotion;
+        if (!state) return;
+
+        const moving = state.students.length - state.heldBack.size;
+        const semesterLabel = CONFIG.SEMESTERS.find(s => s.value === state.semester).label;
+        const outcome = state.target.toSemester ? `move to ${state.target.label}` : 'graduate';
+        const heldBack = state.heldBack.size ? ` ${state.heldBack.size} held back student(s) stay in ${semesterLabel}.` : '';
+
+        const confirmed = await UIManager.confirm(
+            `${moving} ${state.course} student(s) in ${semesterLabel} will ${outcome}.${heldBack} Continue?`
+        );
+        if (!confirmed) return;
+
+        const response = await PromotionManager.promote(state);
+        if (response) {
+            this.clearPromotion();
+        }
+    }
+
+    /**
+     * Discard the promotion preview
+     */
+    clearPromotion() {
+        this.promotion = null;
+        this.renderPromotion();
+    }
+
+    /**
+     * Load card templates and open one in the designer
+     * @param {string} templateId - Template to open (the first one when omitted)
+     */
+    async loadTemplates(templateId) {
+        this.cardTemplates = await TemplateManager.loadTemplates();
+
+        const select = Utils.getElement('templateSelect');
+        select.innerHTML = '';
+        select.add(new Option('New template', ''));
+        this.cardTemplates.forEach(template =>
+            select.add(new Option(template.isDefault ? `${template.name} (default)` : template.name, template.id))
+        );
+
+        if (templateId === undefined) {
+            templateId = this.cardTemplates.length ? this.cardTemplates[0].id : '';
+        }
+        this.editTemplate(templateId);
+    }
+
+    /**
+     * Open a saved template, or a new one based on the built-in layout, in the designer
+     * @param {string} templateId - Template ID ('' for new)
+     */
+    editTemplate(templateId) {
+        const saved = this.cardTemplates.find(template => template.id === templateId);
+        const draft = CardTemplates.normalize(saved);
+        if (!saved) {
+            draft.name = '';
+        }
+        // Copies, so reordering never touches the saved list or CONFIG
+        draft.fields = draft.fields.slice();
+        draft.courses = draft.courses.slice();
+        this.templateDraft = draft;
+
+        Utils.getElement('templateSelect').value = saved ? saved.id : '';
+        Utils.getElement('templateName').value = draft.name;
+        Utils.getElement('templateLayout').value = draft.layout;
+        Utils.getElement('templateHeaderText').value = draft.headerText;
+        Utils.getElement('templateSubtitle').value = draft.subtitle;
+        Utils.getElement('templatePrimaryColor').value = draft.primaryColor;
+        Utils.getElement('templateAccentColor').value = draft.accentColor;
+        Utils.getElement('templateIsDefault').checked = draft.isDefault;
+        Utils[saved ? 'show' : 'hide']('deleteTemplateBtn');
+
+        UIManager.clearFormErrors(Utils.getElement('templateForm'));
+        this.renderTemplateDesigner();
+    }
+
+    /**
+     * Copy the designer inputs into the open template and refresh the preview
+     */
+    readTemplateForm() {
+        const draft = this.templateDraft;
+        if (!draft) return;
+
+        draft.name = Utils.getElement('templateName').value.trim();
+        draft.layout = Utils.getElement('templateLayout').value;
+        draft.headerText = Utils.getElement('templateHeaderText').value.trim();
+        draft.subtitle = Utils.getElement('templateSubtitle').value.trim();
+        draft.primaryColor = Utils.getElement('templatePrimaryColor').value;
+        draft.accentColor = Utils.getElement('templateAccentColor').value;
+        draft.isDefault = Utils.getElement('templateIsDefault').checked;
+
+        // Ticked fields keep their on-screen order; newly ticked ones go last
+        draft.fields = Array.from(document.querySelectorAll('.template-field-toggle'))
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => checkbox.value);
+        draft.courses = Array.from(document.querySelectorAll('.template-course-toggle'))
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => checkbox.value);
+
+        this.renderTemplateDesigner();
+    }
+
+    /**
+     * Move a field of the open template up or down
+     * @param {string} key - Field key
+     * @param {number} offset - -1 for up, 1 for down
+     */
+    moveTemplateField(key, offset) {
+        const fields = this.templateDraft.fields;
+        const from = fields.indexOf(key);
+        const to = from + offset;
+        if (from === -1 || to < 0 || to >= fields.length) return;
+
+        [fields[from], fields[to]] = [fields[to], fields[from]];
+        this.renderTemplateDesigner();
+    }
+
+    /**
+     * Render the field picker, course checkboxes and live preview of the open template
+     */
+    renderTemplateDesigner() {
+        const draft = this.templateDraft;
+        const model = IDCardManager.getCardModel(CONFIG.CARD_TEMPLATES.SAMPLE_STUDENT, draft);
+
+        Utils.setHTML('templateFields', TemplateManager.generateFieldsHTML(draft.fields));
+        Utils.setHTML('templateCourses', TemplateManager.generateCoursesHTML(draft, this.cardTemplates));
+        Utils.setHTML('templatePreview', CardRenderer.renderFront(model) + CardRenderer.renderBack(model));
+    }
+
+    /**
+     * Handle save template
+     */
+    async handleSaveTemplate(e) {
+        e.preventDefault();
+
+        const form = e.target;
+        UIManager.clearFormErrors(form);
+        this.readTemplateForm();
+
+        const validation = TemplateManager.validateTemplate(this.templateDraft);
+        if (!validation.valid) {
+            UIManager.displayFormErrors(validation.errors, form);
+            return;
+        }
+
+        UIManager.disableForm(form);
+        const saved = await TemplateManager.saveTemplate(this.templateDraft);
+        UIManager.enableForm(form, 'Save Template');
+
+        if (saved) {
+            this.loadTemplates(saved.id);
+        }
+    }
+
+    /**
+     * Delete the template open in the designer
+     */
+    async deleteTemplate() {
+        const template = this.cardTemplates.find(t => t.id === this.templateDraft.id);
+        if (!template) return;
+
+        const deleted = await TemplateManager.deleteTemplate(template);
+        if (deleted) {
+            this.loadTemplates();
+        }
+    }
+
     /**
      * Delete student
      */
     async deleteStudent(studentId) {
         const success = await StudentManager.deleteStudent(studentId);
         if (success) {
+            this.selection.delete(studentId);
             this.loadStudents();
         }
     }
 
     /**
-     * Show login page
+     * Load and display staff users
      */
-    showLoginPage() {
-        // Prevent scrolling and hide dashboard
-        document.body.classList.remove('dashboard-mode');
-        document.body.classList.add('login-mode');
-        document.body.style.overflow = 'hidden';
-        
-        // Hide dashboard elements
-        const dashboardSection = Utils.getElement('dashboardSection');
-        if (dashboardSection) {
-            dashboardSection.style.display = 'none';
-            dashboardSection.style.visibility = 'hidden';
-            dashboardSection.classList.add('hidden');
+    async loadUsers() {
+        const users = await UserManager.loadUsers();
+        this.renderUsersTable(users);
+    }
+
+    /**
+     * Render staff users table
+     */
+    renderUsersTable(users) {
+        const tbody = Utils.getElement('usersTableBody');
+
+        if (users.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="empty-state">
+                        <p>No users found</p>
+                    </td>
+                </tr>
+            `;
+            return;
         }
-        
-        // Show login
-        Utils.show('loginSection');
-        if (Utils.setTitle) {
-            Utils.setTitle('Login - Student ID Card Generator');
+
+        const currentUser = Auth.getCurrentUser();
+
+        tbody.innerHTML = users
+            .map(user => {
+                const username = Utils.escapeHTML(user.username);
+                const isSelf = currentUser && user.username === currentUser.username;
+                let status = '<span class="badge badge-success">Active</span>';
+                if (!user.active) {
+                    status = '<span class="badge badge-error">Disabled</span>';
+                } else if (user.locked) {
+                    status = '<span class="badge badge-warning">Locked</span>';
+                }
+
+                return `
+            <tr>
+                <td><strong>${username}</strong></td>
+                <td>${Utils.escapeHTML(CONFIG.ROLES[user.role] || user.role)}</td>
+                <td>${status}</td>
+                <td>${user.lastLogin ? Utils.formatDate(user.lastLogin, 'dd/MM/yyyy') : 'Never'}</td>
+                <td>
+                    <div class="action-btns">
+                        ${user.active
+                            ? (isSelf ? '' : `<button class="btn-small btn-delete" onclick="app.setUserActive('${username}', false)">Disable</button>`)
+                            : `<button class="btn-small btn-generate" onclick="app.setUserActive('${username}', true)">Enable</button>`}
+                        <button class="btn-small btn-edit" onclick="app.resetUserPassword('${username}')">Reset Password</button>
+                        ${user.totpEnabled ? `<button class="btn-small btn-edit" onclick="app.resetUserTotp('${username}')">Reset 2FA</button>` : ''}
+                    </div>
+                </td>
+            </tr>
+        `;
+            })
+            .join('');
+
+        Logger.debug(`Rendered ${users.length} users in table`);
+    }
+
+    /**
+     * Handle create user
+     */
+    async handleCreateUser(e) {
+        e.preventDefault();
+
+        const form = e.target;
+        UIManager.clearFormErrors(form);
+
+        const userData = {
+            username: Utils.getElement('newUsername').value.trim(),
+            password: Utils.getElement('newUserPassword').value,
+            role: Utils.getElement('newUserRole').value,
+        };
+
+        const validation = Utils.validateUserForm(userData);
+        if (!validation.valid) {
+            UIManager.displayFormErrors(validation.errors, form);
+            return;
+        }
+
+        try {
+            UIManager.disableForm(form);
+            await UserManager.createUser(userData);
+            form.reset();
+            UIManager.enableForm(form, 'Create User');
+            this.loadUsers();
+        } catch (error) {
+            UIManager.enableForm(form, 'Create User');
+        }
+    }
+
+    /**
+     * Enable or disable staff user
+     */
+    async setUserActive(username, active) {
+        const success = await UserManager.setUserActive(username, active);
+        if (success) {
+            this.loadUsers();
+        }
+    }
+
+    /**
+     * Reset staff user's password
+     */
+    async resetUserPassword(username) {
+        const success = await UserManager.resetPassword(username);
+        if (success) {
+            this.loadUsers();
+        }
+    }
+
+    /**
+     * Remove two-factor from staff user
+     */
+    async resetUserTotp(username) {
+        const success = await UserManager.resetTotp(username);
+        if (success) {
+            this.loadUsers();
+        }
+    }
+
+    /**
+     * Show two-factor modal for current user
+     */
+    showTwoFactor() {
+        const user = Auth.getCurrentUser();
+
+        if (user && user.totpEnabled) {
+            Utils.setHTML(
+                'twoFactorBody',
+                `
+                <div class="totp-panel">
+                    <p><span class="badge badge-success">Enabled</span> Your account asks for an authenticator code at login.</p>
+                    <div class="form-group">
+                        <label for="totpDisablePassword" class="form-label">Current Password</label>
+                        <input type="password" id="totpDisablePassword" class="form-input" autocomplete="current-password">
+                    </div>
+                    <div class="form-group">
+                        <label for="totpDisableCode" class="form-label">Authentication Code</label>
+                        <input type="text" id="totpDisableCode" class="form-input" inputmode="numeric" autocomplete="one-time-code">
+                    </div>
+                    <div class="modal-actions">
+                        <button class="btn-small btn-delete" onclick="app.disableTotp()">Disable Two-Factor</button>
+                    </div>
+                </div>
+            `
+            );
         } else {
-            document.title = 'Login - Student ID Card Generator';
+            Utils.setHTML(
+                'twoFactorBody',
+                `
+                <div class="totp-panel">
+                    <p>Protect your account with a code from an authenticator app (Google Authenticator, Microsoft Authenticator, Authy...).</p>
+                    <div class="modal-actions">
+                        <button class="btn-primary" onclick="app.startTotpEnrollment()">Set Up Two-Factor</button>
+                    </div>
+                </div>
+            `
+            );
+        }
+
+        UIManager.showModal('twoFactorModal');
+    }
+
+    /**
+     * Begin two-factor enrollment and show the secret
+     */
+    async startTotpEnrollment() {
+        const enrollment = await UserManager.startTotpEnrollment();
+        if (!enrollment) return;
+
+        Utils.setHTML(
+            'twoFactorBody',
+            `
+            <div class="totp-panel">
+                <p>1. Add this key to your authenticator app (choose "enter a setup key", time based):</p>
+                <div class="totp-secret">${Utils.escapeHTML(enrollment.secret.replace(/(.{4})/g, '$1 ').trim())}</div>
+                <p>On a phone you can also <a href="${Utils.escapeHTML(enrollment.otpauthUrl)}"><strong>open it in your app</strong></a>.</p>
+                <p>2. Enter the 6-digit code it shows:</p>
+                <div class="form-group">
+                    <input type="text" id="totpCode" class="form-input" inputmode="numeric" autocomplete="one-time-code" placeholder="123456">
+                </div>
+                <div class="modal-actions">
+                    <button class="btn-primary" onclick="app.confirmTotpEnrollment()">Verify and Enable</button>
+                </div>
+            </div>
+        `
+        );
+        UIManager.setFocus('totpCode');
+    }
+
+    /**
+     * Confirm enrollment and show recovery codes once
+     */
+    async confirmTotpEnrollment() {
+        const code = Utils.getElement('totpCode').value.trim();
+        if (!code) {
+            UIManager.showError('Enter the code from your authenticator app');
+            return;
+        }
+
+        const recoveryCodes = await UserManager.confirmTotpEnrollment(code);
+        if (!recoveryCodes) return;
+
+        Utils.setHTML(
+            'twoFactorBody',
+            `
+            <div class="totp-panel">
+                <p><span class="badge badge-success">Enabled</span> Save these recovery codes somewhere safe. Each one can be used once if you lose your phone. They will not be shown again.</p>
+                <div class="recovery-codes">
+                    ${recoveryCodes.map(c => `<span>${Utils.escapeHTML(c)}</span>`).join('')}
+                </div>
+                <div class="modal-actions">
+                    <button class="btn-primary" onclick="UIManager.hideModal('twoFactorModal')">Done</button>
+                </div>
+            </div>
+        `
+        );
+    }
+
+    /**
+     * Disable two-factor for current user
+     */
+    async disableTotp() {
+        const password = Utils.getElement('totpDisablePassword').value;
+        const code = Utils.getElement('totpDisableCode').value.trim();
+        if (!password || !code) {
+            UIManager.showError('Enter your password and an authentication code');
+            return;
+        }
+
+        const success = await UserManager.disableTotp(password, code);
+        if (success) {
+            UIManager.hideModal('twoFactorModal');
+        }
+    }
+
+    /**
+     * Handle change own password
+     */
+    async handleChangePassword(e) {
+        e.preventDefault();
+
+        const form = e.target;
+        UIManager.clearFormErrors(form);
+
+        const currentPassword = Utils.getElement('currentPassword').value;
+        const newPassword = Utils.getElement('newPassword').value;
+        const confirmPassword = Utils.getElement('confirmPassword').value;
+
+        if (!Utils.validatePassword(newPassword)) {
+            UIManager.displayFormErrors(
+                { confirmPassword: `Password must be at least ${CONFIG.VALIDATION.PASSWORD_MIN_LENGTH} characters` },
+                form
+            );
+            return;
+        }
+        if (newPassword !== confirmPassword) {
+            UIManager.displayFormErrors({ confirmPassword: 'Passwords do not match' }, form);
+            return;
+        }
+
+        try {
+            UIManager.disableForm(form);
+            await UserManager.changePassword(currentPassword, newPassword);
+            form.reset();
+            UIManager.hideModal('changePasswordModal');
+        } catch (error) {
+            Logger.error('Error changing password:', error.message);
+        } finally {
+            UIManager.enableForm(form, 'Change Password');
         }
-        Logger.debug('Showing login page');
     }
 
     /**
      * Show dashboard
      */
     showDashboard() {
-        // Allow scrolling and show dashboard
-        document.body.classList.remove('login-mode');
+        // Allow scrolling
         document.body.classList.add('dashboard-mode');
-        document.body.style.overflow = 'auto';
-        
-        // Hide login
-        Utils.hide('loginSection');
-        
-        // Show dashboard
-        const dashboardSection = Utils.getElement('dashboardSection');
-        if (dashboardSection) {
-            dashboardSection.style.display = 'block';
-            dashboardSection.style.visibility = 'visible';
-            dashboardSection.classList.remove('hidden');
-        }
-        
+
         const user = Auth.getCurrentUser();
         if (user) {
-            Utils.setText('adminName', user.username || 'Admin');
+            const roleLabel = CONFIG.ROLES[user.role] || user.role;
+            Utils.setText('adminName', `${user.username} (${roleLabel})`);
         }
         if (Utils.setTitle) {
             Utils.setTitle('Student ID Card Generator - Dashboard');
         } else {
             document.title = 'Student ID Card Generator - Dashboard';
         }
-        UIManager.switchTab('addStudent');
+        // A saved table query (reload or shared link) opens the students table
+        const defaultTab =
+            window.location.search && Auth.can('VIEW_STUDENTS') ? 'viewStudents' : this.getDefaultTab();
+        if (defaultTab) {
+            UIManager.switchTab(defaultTab);
+        }
         Logger.debug('Showing dashboard');
     }
 }
@@ -449,9 +2151,9 @@ document.addEventListener('DOMContentLoaded', () => {
         window.app = new App();
     } catch (error) {
         console.error('Fatal application error:', error);
-        const loginSection = document.getElementById('loginSection');
-        if (loginSection) {
-            loginSection.innerHTML = `
+        const content = document.querySelector('.dashboard-content');
+        if (content) {
+            content.innerHTML = `
                 <div class="login-container">
                     <div class="login-box">
                         <div class="login-header">
@@ -28,10 +28,7 @@ class AuthManager {
     isSessionValid() {
         if (!this.user) return false;
 
-        const now = Date.now();
-        const sessionTimeout = CONFIG.AUTH.SESSION_TIMEOUT;
-
-        if (now - this.user.loginTime > sessionTimeout) {
+        if (Date.now() > this.getExpiry(this.user)) {
             this.logout();
             return false;
         }
@@ -40,30 +37,92 @@ class AuthManager {
     }
 
     /**
-     * Login user
+     * Get session expiry timestamp
+     * @param {object} user - Stored session
+     * @returns {number}
+     * @private
+     */
+    getExpiry(user) {
+        return user.expiresAt || user.loginTime + CONFIG.AUTH.SESSION_TIMEOUT;
+    }
+
+    /**
+     * Login user against the backend
      * @param {string} username - Username
      * @param {string} password - Password
-     * @returns {object} - User object if successful
+     * @param {string} [otp] - Two-factor code, when the account has it enabled
+     * @returns {Promise<object>} - User object; rejects with the backend message on failure
+     *   (error.code is 'OTP_REQUIRED' when a two-factor code must be supplied)
      */
-    login(username, password) {
-        if (
-            username === CONFIG.AUTH.ADMIN_USERNAME &&
-            password === CONFIG.AUTH.ADMIN_PASSWORD
-        ) {
-            this.user = {
-                id: Utils.generateUniqueId('USR'),
-                username: username,
-                role: 'admin',
-                loginTime: Date.now(),
-            };
+    async login(username, password, otp) {
+        const response = await API.login(username, password, otp);
 
-            this.saveSession();
-            Logger.info('User logged in:', username);
-            return this.user;
-        } else {
+        if (response.code === 'OTP_REQUIRED') {
+            const otpError = new Error(response.message);
+            otpError.code = response.code;
+            throw otpError;
+        }
+
+        if (!response.success || !response.token) {
             Logger.warn('Login failed for username:', username);
-            return null;
+            throw new Error(response.message || CONFIG.ERRORS.INVALID_CREDENTIALS);
         }
+
+        this.user = {
+            username: response.user.username,
+            role: response.user.role,
+            token: response.token,
+            loginTime: Date.now(),
+            expiresAt: response.expiresAt,
+            totpEnabled: !!response.user.totpEnabled,
+        };
+
+        this.saveSession();
+        Logger.info('User logged in:', this.user.username);
+        return this.user;
+    }
+
+    /**
+     * Check if current user's role has a feature
+     * @param {string} feature - Key of CONFIG.FEATURES
+     * @returns {boolean}
+     */
+    can(feature) {
+        const user = this.getCurrentUser();
+        const roles = CONFIG.FEATURES[feature] || [];
+        return !!user && roles.includes(user.role);
+    }
+
+    /**
+     * Record two-factor state after enrolling or disabling
+     * @param {boolean} enabled - Whether two-factor is on
+     */
+    setTotpEnabled(enabled) {
+        if (this.user) {
+            this.user.totpEnabled = enabled;
+            this.saveSession();
+        }
+    }
+
+    /**
+     * Replace the session token (changing the password signs out every earlier token)
+     * @param {string} token - New session token
+     * @param {number} expiresAt - Token expiry timestamp
+     */
+    replaceToken(token, expiresAt) {
+        if (this.user) {
+            this.user.token = token;
+            this.user.expiresAt = expiresAt;
+            this.saveSession();
+        }
+    }
+
+    /**
+     * Get session token for API requests
+     * @returns {string|null}
+     */
+    getToken() {
+        return this.isAuthenticated() ? this.user.token : null;
     }
 
     /**
@@ -108,9 +167,8 @@ class AuthManager {
             const stored = localStorage.getItem(this.sessionKey);
             if (stored) {
                 const user = JSON.parse(stored);
-                // Validate session
-                const now = Date.now();
-                if (now - user.loginTime > CONFIG.AUTH.SESSION_TIMEOUT) {
+                // Validate session (sessions without a backend token are stale)
+                if (!user.token || Date.now() > this.getExpiry(user)) {
                     localStorage.removeItem(this.sessionKey);
                     return null;
                 }
@@ -141,11 +199,7 @@ class AuthManager {
             return { authenticated: false };
         }
 
-        const now = Date.now();
-        const timeLeft = Math.max(
-            0,
-            CONFIG.AUTH.SESSION_TIMEOUT - (now - this.user.loginTime)
-        );
+        const timeLeft = Math.max(0, this.getExpiry(this.user) - Date.now());
 
         return {
             authenticated: true,
@@ -0,0 +1,186 @@
+/**
+ * Card Renderer
+ * The one place the ID card is drawn. Builds a render model of a student's card in a template
+ * (plain text, used as is by PDF export) and turns it into escaped HTML for on-screen preview.
+ * Loaded by both the dashboard and the public viewer, so it must not use the API.
+ */
+
+// Quiet zone around card QR codes, in modules
+const CARD_QR_MARGIN = 2;
+
+class CardRenderer {
+    /**
+     * Build the render model of a card
+     * @param {object} student - Student data
+     * @param {object} template - Complete card template (see CardTemplates)
+     * @param {object} options - { qrUrl: link the QR code opens (none when empty), watermark: mark cards not issued or students not active }
+     * @returns {object} - Render model; every value is unescaped text
+     */
+    static buildModel(student, template, options = {}) {
+        const status = Utils.getStudentStatus(student);
+        const back = CONFIG.ID_CARD.BACK;
+
+        let watermark = null;
+        if (options.watermark) {
+            if (status.value !== 'active') {
+                watermark = { text: status.label, status: true };
+            } else if (!student.cardCode) {
+                watermark = { text: 'Not issued', status: false };
+            }
+        }
+
+        return {
+            layout: template.layout,
+            layoutClass: CardTemplates.getLayoutClass(template),
+            orientation: template.layout === 'portrait' ? 'portrait' : 'landscape',
+            style: CardTemplates.getStyle(template),
+            logoUrl: CONFIG.ID_CARD.LOGO_URL,
+            headerText: template.headerText,
+            // The colour bands layout carries the subtitle in its footer band
+            subtitle: template.layout === 'bands' ? '' : template.subtitle,
+            band: template.layout === 'bands' ? template.subtitle : '',
+            validity: student.cardCode
+                ? `No. ${student.cardSerial} · Issued ${this.formatDate(student.cardIssuedAt)} · Valid till ${this.formatDate(student.cardValidUntil)}`
+                : '',
+            photo: student.photo,
+            name: student.name,
+            fields: CardTemplates.getFields(template, student),
+            id: student.id,
+            cardCode: student.cardCode || '',
+            qrUrl: options.qrUrl || null,
+            watermark: watermark,
+            back: {
+                returnNote: back.RETURN_NOTE,
+                fields: back.FIELDS.map(field => {
+                    let value = student[field.key];
+                    if (value && field.type === 'date') {
+                        value = this.formatDate(value);
+                    }
+                    return {
+                        key: field.key,
+                        label: field.label,
+                        value: value ? String(value) : '',
+                        wide: !!field.wide,
+                    };
+                }),
+                terms: back.TERMS,
+                signatoryTitle: back.SIGNATORY_TITLE,
+                signatureUrl: back.SIGNATURE_URL,
+            },
+        };
+    }
+
+    /**
+     * Render the front of a card
+     * @param {object} model - Render model from buildModel
+     * @returns {string} - HTML string
+     */
+    static renderFront(model) {
+        const qrCode = model.qrUrl ? this.generateQRCode(model.qrUrl) : null;
+        const fields = model.fields.map(field => this.renderField(field)).join('');
+
+        return `
+            <div class="id-card ${Utils.escapeHTML(model.layoutClass)}${qrCode ? ' has-qr' : ''}" style="${Utils.escapeHTML(model.style)}">
+                <div class="card-header">
+                    <img src="${Utils.escapeHTML(model.logoUrl)}" alt="Logo" class="card-logo" loading="eager">
+                    <div class="card-title">
+                        <h4>${Utils.escapeHTML(model.headerText)}</h4>
+                        ${model.subtitle ? `<p>${Utils.escapeHTML(model.subtitle)}</p>` : ''}
+                        ${model.validity ? `<p class="card-validity">${Utils.escapeHTML(model.validity)}</p>` : ''}
+                    </div>
+                </div>
+                <div class="card-body">
+                    <div class="card-photo">${Utils.generatePhotoHTML(model.photo, model.name)}</div>
+                    ${fields}
+                    <div class="card-id">
+                        <div class="card-label">Student ID</div>
+                        <div class="card-value">${Utils.escapeHTML(model.id)}</div>
+                        ${model.cardCode ? `<div class="card-code">${Utils.escapeHTML(model.cardCode)}</div>` : ''}
+                    </div>
+                </div>
+                ${qrCode ? `<div class="card-qr" title="Scan to verify">${qrCode}</div>` : ''}
+                ${model.band ? `<div class="card-band">${Utils.escapeHTML(model.band)}</div>` : ''}
+                ${model.watermark ? `<div class="card-watermark${model.watermark.status ? ' card-watermark-status' : ''}">${Utils.escapeHTML(model.watermark.text)}</div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the back of a card (fields, terms and signatory)
+     * @param {object} model - Render model from buildModel
+     * @returns {string} - HTML string
+     */
+    static renderBack(model) {
+        const back = model.back;
+        const fields = back.fields.map(field => this.renderField(field)).join('');
+        const terms = back.terms.map(term => `<li>${Utils.escapeHTML(term)}</li>`).join('');
+        const signature = back.signatureUrl
+            ? `<img src="${Utils.escapeHTML(back.signatureUrl)}" alt="Signature" class="card-signature">`
+            : '<div class="card-signature"></div>';
+
+        return `
+            <div class="id-card card-back ${Utils.escapeHTML(model.layoutClass)}" style="${Utils.escapeHTML(model.style)}">
+                <div class="card-header">
+                    <div class="card-title">
+                        <h4>${Utils.escapeHTML(model.headerText)}</h4>
+                        <p>${Utils.escapeHTML(back.returnNote)}</p>
+                    </div>
+                </div>
+                <div class="card-body">${fields}</div>
+                <div class="card-back-footer">
+                    <ul class="card-terms">${terms}</ul>
+                    <div class="card-signatory">
+                        ${signature}
+                        <span class="card-label">${Utils.escapeHTML(back.signatoryTitle)}</span>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one labelled field (a dash stands in for blank values)
+     * @param {object} field - { label, value, wide }
+     * @returns {string} - HTML string
+     */
+    static renderField(field) {
+        return `
+            <div class="card-field${field.wide ? ' card-field-wide' : ''}">
+                <span class="card-label">${Utils.escapeHTML(field.label)}</span>
+                <span class="card-value">${field.value ? Utils.escapeHTML(field.value) : '&mdash;'}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Format a card date as dd/MM/yyyy
+     * @param {string} value - Date (yyyy-MM-dd or ISO)
+     * @returns {string}
+     */
+    static formatDate(value) {
+        return Utils.formatDate(Utils.parseDate(value), 'dd/MM/yyyy');
+    }
+
+    /**
+     * Generate the QR code SVG
+     * @param {string} url - Link to encode
+     * @returns {string|null} - QR code SVG, or null if encoding fails
+     */
+    static generateQRCode(url) {
+        try {
+            return QRCode.toSVG(url, { size: 64, margin: CARD_QR_MARGIN });
+        } catch (error) {
+            Logger.warn('QR code generation failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Count the modules across a card's QR code, quiet zone included
+     * @param {string} url - Link to encode
+     * @returns {number}
+     */
+    static getQRModules(url) {
+        return QRCode.encode(url).size + CARD_QR_MARGIN * 2;
+    }
+}
@@ -0,0 +1,119 @@
+/**
+ * Card Templates
+ * Resolves the template a card uses and turns it into classes, colours and fields.
+ * Loaded by both the dashboard and the public viewer, so it must not use the API.
+ */
+
+class CardTemplates {
+    /**
+     * Fill any missing settings of a saved template from the built-in one
+     * @param {object|null} template - Saved template
+     * @returns {object} - Complete template
+     */
+    static normalize(template) {
+        const result = Object.assign({}, CONFIG.CARD_TEMPLATES.DEFAULT);
+        if (!template) return result;
+
+        Object.keys(result).forEach(key => {
+            if (template[key] !== undefined && template[key] !== null && template[key] !== '') {
+                result[key] = template[key];
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Pick a course's template: the one assigned to it, else the default, else the built-in one
+     * @param {array} templates - Saved templates
+     * @param {string} course - Course name
+     * @returns {object} - Complete template
+     */
+    static resolve(templates, course) {
+        const template =
+            templates.find(t => t.courses && t.courses.includes(course)) || templates.find(t => t.isDefault);
+        return this.normalize(template);
+    }
+
+    /**
+     * Class list for the card root
+     * @param {object} template - Complete template
+     * @returns {string}
+     */
+    static getLayoutClass(template) {
+        const layout = CONFIG.CARD_TEMPLATES.LAYOUTS.some(l => l.value === template.layout)
+            ? template.layout
+            : CONFIG.CARD_TEMPLATES.DEFAULT.layout;
+        return `layout-${layout}`;
+    }
+
+    /**
+     * Inline style setting the card's colour variables
+     * @param {object} template - Complete template
+     * @returns {string}
+     */
+    static getStyle(template) {
+        const fallback = CONFIG.CARD_TEMPLATES.DEFAULT;
+        const primary = this.isColor(template.primaryColor) ? template.primaryColor : fallback.primaryColor;
+        const accent = this.isColor(template.accentColor) ? template.accentColor : fallback.accentColor;
+
+        return [
+            `--card-primary: ${primary}`,
+            `--card-primary-dark: ${this.shade(primary, -0.4)}`,
+            `--card-accent: ${accent}`,
+            `--card-accent-dark: ${this.shade(accent, -0.15)}`,
+        ].join('; ');
+    }
+
+    /**
+     * Front fields in template order, skipping any the student record does not carry
+     * (the public viewer only receives public fields)
+     * @param {object} template - Complete template
+     * @param {object} student - Student data
+     * @returns {array} - Items { key, label, value }
+     */
+    static getFields(template, student) {
+        return template.fields
+            .map(key => CONFIG.CARD_TEMPLATES.FIELDS.find(field => field.key === key))
+            .filter(field => field && field.key in student)
+            .map(field => {
+                let value = student[field.key];
+                if (value && field.type === 'date') {
+                    value = Utils.formatDate(Utils.parseDate(value), 'dd/MM/yyyy');
+                }
+                return {
+                    key: field.key,
+                    label: field.label,
+                    value: value === null || value === undefined ? '' : String(value),
+                };
+            });
+    }
+
+    /**
+     * Check for a #rrggbb colour (anything else could break out of the style attribute)
+     * @param {string} value - Colour
+     * @returns {boolean}
+     */
+    static isColor(value) {
+        return /^#[0-9a-f]{6}$/i.test(value);
+    }
+
+    /**
+     * Darken (negative amount) or lighten a #rrggbb colour
+     * @param {string} color - Colour
+     * @param {number} amount - -1 to 1
+     * @returns {string}
+     */
+    static shade(color, amount) {
+        const channels = [1, 3, 5].map(i => parseInt(color.substr(i, 2), 16));
+        return (
+            '#' +
+            channels
+                .map(channel => {
+                    const target = amount < 0 ? 0 : 255;
+                    const value = Math.round(channel + (target - channel) * Math.abs(amount));
+                    return value.toString(16).padStart(2, '0');
+                })
+                .join('')
+        );
+    }
+}
@@ -13,11 +13,11 @@ const CONFIG = {
     },
 
     // Authentication
+    // Credentials are checked by the backend; it issues the session token
     AUTH: {
-        ADMIN_USERNAME: 'admin',
-        ADMIN_PASSWORD: 'admin123',
         SESSION_KEY: 'ss_user',
-        SESSION_TIMEOUT: 24 * 60 * 60 * 1000, // 24 hours
+        SESSION_TIMEOUT: 24 * 60 * 60 * 1000, // 24 hours (fallback if backend sends no expiry)
+        LOGIN_PAGE: 'index.html',
     },
 
     // Cache Configuration
@@ -26,6 +26,7 @@ const CONFIG = {
         DURATION: {
             STUDENTS: 5 * 60 * 1000, // 5 minutes
             USER: 24 * 60 * 60 * 1000, // 24 hours
+            TEMPLATES: 10 * 60 * 1000, // 10 minutes
         },
         STORAGE_KEY: 'ss_cache',
     },
@@ -37,6 +38,17 @@ const CONFIG = {
         MODAL_BACKDROP_BLUR: true,
     },
 
+    // Students table (search, filters and sort are kept in the dashboard URL)
+    STUDENTS_TABLE: {
+        DEFAULT_SORT: 'createdAt',
+        DEFAULT_ORDER: 'desc',
+        SEARCH_DELAY: 300, // ms after the last keystroke
+        PAGE_SIZES: [10, 25, 50, 100], // Largest must not exceed MAX_PAGE_SIZE in appscript.gs
+        DEFAULT_PAGE_SIZE: 25,
+        MAX_SELECTION: 1000, // Students per bulk action; keep in sync with MAX_BULK_ACTION_STUDENTS
+        RECORD_BATCH_SIZE: 50, // Full records (with photos) per request for batch printing; keep in sync with MAX_STUDENT_RECORDS_PER_REQUEST
+    },
+
     // Courses
     COURSES: [
         'B.Tech (Computer Science)',
@@ -49,6 +61,19 @@ const CONFIG = {
         'LLB',
     ],
 
+    // Semesters in each course; promotion graduates students from the last one
+    // (keep in sync with COURSE_DURATION_SEMESTERS in appscript.gs)
+    COURSE_SEMESTERS: {
+        'B.Tech (Computer Science)': 8,
+        'B.Tech (Electronics)': 8,
+        'B.Tech (Mechanical)': 8,
+        'B.Tech (Civil)': 8,
+        'B.Com': 6,
+        'B.A': 6,
+        'B.Sc': 6,
+        'LLB': 6,
+    },
+
     // Semesters
     SEMESTERS: [
         { value: '1', label: '1st Semester' },
@@ -61,13 +86,208 @@ const CONFIG = {
         { value: '8', label: '8th Semester' },
     ],
 
+    // Blood groups printed on the back of the card
+    BLOOD_GROUPS: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
+
+    // Student lifecycle; only active students hold a valid card. `next` lists the
+    // statuses each one may change to (keep in sync with STUDENT_STATUS_TRANSITIONS in appscript.gs)
+    STUDENT_STATUSES: [
+        { value: 'active', label: 'Active', badge: 'badge-success', next: ['suspended', 'graduated', 'withdrawn'] },
+        { value: 'suspended', label: 'Suspended', badge: 'badge-warning', next: ['active', 'withdrawn'] },
+        { value: 'graduated', label: 'Graduated', badge: '', next: [] },
+        { value: 'withdrawn', label: 'Withdrawn', badge: 'badge-error', next: ['active'] },
+    ],
+
     // ID Card Configuration
     ID_CARD: {
-        WIDTH: 380,
-        HEIGHT: 220,
-        DPI: 300,
+        // Printed card size in mm, WIDTH being the long side: CR80 by default, any custom size allowed
+        WIDTH: 85.6,
+        HEIGHT: 54,
+        DPI: 300, // Resolution cards are rasterised at for PDF export
+        SIZES: [
+            { value: 'cr80', label: 'CR80 (85.6 x 54 mm)', width: 85.6, height: 54 },
+            { value: 'cr79', label: 'CR79 (83.9 x 52.1 mm)', width: 83.9, height: 52.1 },
+            { value: 'cr100', label: 'CR100 (98.5 x 67 mm)', width: 98.5, height: 67 },
+        ],
+        // The dashboard warns when photos or QR codes would print below these
+        MIN_PHOTO_DPI: 200,
+        MIN_QR_MODULE_DOTS: 3, // Printer dots across one QR code module
+        MIN_QR_MODULE_MM: 0.25, // Smallest module phone cameras read reliably
+        // On-screen widths (px) of the landscape card, its photo and its QR code (see id-card.css)
+        DESIGN_WIDTH: 380,
+        DESIGN_PHOTO_WIDTH: 56,
+        DESIGN_QR_WIDTH: 60,
         FORMAT: 'PDF',
         LOGO_URL: 'https://stsoldiergroup.com/wp-content/uploads/2025/09/st-soldier-logo.png',
+        PUBLIC_VIEWER_PATH: 'id/index.html', // Relative to the dashboard
+        RENEWAL_WINDOW_DAYS: 30, // Cards expiring within this many days are due for renewal
+        // Reasons for replacing an active card (the old serial is revoked)
+        REISSUE_REASONS: [
+            { value: 'lost', label: 'Lost card' },
+            { value: 'damaged', label: 'Damaged card' },
+            { value: 'name_change', label: 'Name change' },
+        ],
+        // Back side of the card (header text and colours follow the card's template)
+        BACK: {
+            // Student fields in print order; wide fields span both columns
+            FIELDS: [
+                { key: 'dob', label: 'Date of Birth', type: 'date' },
+                { key: 'bloodGroup', label: 'Blood Group' },
+                { key: 'emergencyContact', label: 'Emergency Contact' },
+                { key: 'guardianPhone', label: 'Guardian Phone' },
+                { key: 'address', label: 'Address', wide: true },
+            ],
+            TERMS: [
+                'Carry this card on campus and show it on request.',
+                'Not transferable; it remains the property of ST Soldier Group.',
+            ],
+            RETURN_NOTE: 'If found, please return to the ST Soldier Group office.',
+            SIGNATORY_TITLE: 'Authorised Signatory',
+            SIGNATURE_URL: '', // Scanned signature image; blank leaves a line to sign by hand
+        },
+    },
+
+    // Batch print sheets: cards imposed several to a sheet for cutting (sizes in mm)
+    PRINT_SHEET: {
+        PAPERS: [
+            { value: 'a4', label: 'A4 (210 x 297 mm)', width: 210, height: 297 },
+            { value: 'letter', label: 'Letter (8.5 x 11 in)', width: 215.9, height: 279.4 },
+        ],
+        // Cards per sheet; columns and rows are for landscape CR80 cards (portrait cards turn the sheet)
+        LAYOUTS: [
+            { value: '1', label: 'One card per page', columns: 1, rows: 1 },
+            { value: '8', label: '8 per sheet (2 x 4)', columns: 2, rows: 4 },
+            { value: '10', label: '10 per sheet (2 x 5)', columns: 2, rows: 5 },
+        ],
+        // Defaults of the print dialog
+        LAYOUT: '8',
+        PAPER: 'a4',
+        MARGIN: 5, // Least space between the cards and the paper edge
+        GUTTER: 2, // Space between neighbouring cards
+        BLEED: 0, // Card edges extended past the cut line; needs a gutter of twice the bleed
+        MAX_BLEED: 3,
+        MAX_CARD_SIZE: 150, // Longest card side accepted by the print dialog
+        MIN_DPI: 72,
+        MAX_DPI: 1200,
+        CROP_MARKS: true,
+        CROP_MARK_LENGTH: 4,
+        CROP_MARK_OFFSET: 1, // Gap between the bleed edge and the start of a crop mark
+    },
+
+    // Student photo (cropped in the browser, stored in Drive by the backend)
+    PHOTO: {
+        WIDTH: 350, // Output size in pixels (35 x 45 passport aspect)
+        HEIGHT: 450,
+        QUALITY: 0.85, // JPEG quality
+        MAX_SOURCE_SIZE: 15 * 1024 * 1024, // Largest image accepted into the editor
+        MAX_ZOOM: 4,
+        IMPORT_MAX_ZIP_SIZE: 200 * 1024 * 1024, // Largest ZIP accepted by the bulk photo import
+        IMPORT_EXTENSIONS: ['jpg', 'jpeg', 'png'],
+        IMPORT_BATCH_SIZE: 3, // Photos uploaded in parallel
+        IMPORT_BATCH_DELAY: 1000, // Pause between batches (ms) to stay under Apps Script quotas
+    },
+
+    // Card templates designed in the Templates tab and assigned per course
+    // (keep in sync with CARD_TEMPLATE_* in appscript.gs)
+    CARD_TEMPLATES: {
+        LAYOUTS: [
+            { value: 'landscape', label: 'Landscape' },
+            { value: 'portrait', label: 'Portrait' },
+            { value: 'bands', label: 'Colour bands' },
+        ],
+        // Fields a template can place on the front; the public viewer shows only the public ones
+        FIELDS: [
+            { key: 'name', label: 'Name' },
+            { key: 'rollNo', label: 'Roll No' },
+            { key: 'fatherName', label: "Father's Name" },
+            { key: 'course', label: 'Course' },
+            { key: 'semester', label: 'Semester' },
+            { key: 'email', label: 'Email' },
+            { key: 'phone', label: 'Phone' },
+            { key: 'dob', label: 'Date of Birth', type: 'date' },
+            { key: 'bloodGroup', label: 'Blood Group' },
+        ],
+        TEXT_MAX_LENGTH: 40, // Name, header text and subtitle
+        // Built-in template for courses without a saved one
+        DEFAULT: {
+            id: '',
+            name: 'Standard',
+            layout: 'landscape',
+            headerText: 'ST SOLDIER GROUP',
+            subtitle: 'STUDENT ID CARD',
+            primaryColor: '#2d5016',
+            accentColor: '#f4a61a',
+            fields: ['name', 'rollNo', 'fatherName', 'semester', 'course', 'email'],
+            courses: [],
+            isDefault: false,
+        },
+        // Shown in the designer's live preview
+        SAMPLE_STUDENT: {
+            id: 'STU1735689600ABCD',
+            name: 'Aarav Sharma',
+            fatherName: 'Rakesh Sharma',
+            email: 'aarav.sharma@example.com',
+            phone: '987-654-3210',
+            course: 'B.Tech (Computer Science)',
+            semester: '3',
+            rollNo: 'BT-CS-2024-017',
+            dob: '2005-04-12',
+            bloodGroup: 'B+',
+            emergencyContact: '987-000-1122',
+            guardianPhone: '987-654-0000',
+            address: '12 Model Town, Jalandhar, Punjab',
+            status: 'active',
+            publicToken: '0123456789abcdef0123456789abcdef', // Lets the preview show a QR code
+        },
+    },
+
+    // Student import (CSV / Excel)
+    IMPORT: {
+        MAX_ROWS: 1000, // Keep in sync with MAX_BULK_IMPORT_ROWS in appscript.gs
+        MAX_FILE_SIZE: 5 * 1024 * 1024,
+        // Importable fields; headers match HEADER_TO_KEY_MAP in appscript.gs
+        FIELDS: [
+            { key: 'name', header: 'Name', label: 'Student Name' },
+            { key: 'fatherName', header: 'Father Name', label: "Father's Name" },
+            { key: 'email', header: 'Email', label: 'Email' },
+            { key: 'phone', header: 'Phone', label: 'Phone' },
+            { key: 'course', header: 'Course', label: 'Course' },
+            { key: 'semester', header: 'Semester', label: 'Semester' },
+            { key: 'rollNo', header: 'Roll Number', label: 'Roll Number' },
+            { key: 'dob', header: 'Date of Birth', label: 'Date of Birth' },
+            { key: 'bloodGroup', header: 'Blood Group', label: 'Blood Group' },
+            { key: 'address', header: 'Address', label: 'Address' },
+            { key: 'admissionDate', header: 'Admission Date', label: 'Admission Date' },
+            { key: 'guardianPhone', header: 'Guardian Phone', label: 'Guardian Phone' },
+            { key: 'emergencyContact', header: 'Emergency Contact', label: 'Emergency Contact' },
+        ],
+    },
+
+    // Student export
+    EXPORT: {
+        // default: ticked when the export dialog opens
+        COLUMNS: [
+            { key: 'id', label: 'Student ID', default: true },
+            { key: 'name', label: 'Name', default: true },
+            { key: 'fatherName', label: 'Father Name', default: true },
+            { key: 'email', label: 'Email', default: true },
+            { key: 'phone', label: 'Phone', default: true },
+            { key: 'course', label: 'Course', default: true },
+            { key: 'semester', label: 'Semester', default: true },
+            { key: 'rollNo', label: 'Roll Number', default: true },
+            { key: 'dob', label: 'Date of Birth', default: false },
+            { key: 'bloodGroup', label: 'Blood Group', default: false },
+            { key: 'address', label: 'Address', default: false },
+            { key: 'admissionDate', label: 'Admission Date', default: false },
+            { key: 'guardianPhone', label: 'Guardian Phone', default: false },
+            { key: 'emergencyContact', label: 'Emergency Contact', default: false },
+            { key: 'status', label: 'Status', type: 'status', default: true },
+            { key: 'statusReason', label: 'Status Reason', default: false },
+            { key: 'cardSerial', label: 'Card Serial', default: false },
+            { key: 'cardIssuedAt', label: 'Card Issued At', type: 'date', default: false },
+            { key: 'cardValidUntil', label: 'Card Valid Until', type: 'date', default: false },
+            { key: 'createdAt', label: 'Created At', type: 'date', default: false },
+        ],
     },
 
     // Validation Rules
@@ -77,6 +297,12 @@ const CONFIG = {
         EMAIL_PATTERN: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
         PHONE_PATTERN: /^[0-9]{10}$/,
         ROLL_NO_PATTERN: /^[A-Z0-9-]+$/i,
+        DATE_PATTERN: /^\d{4}-\d{2}-\d{2}$/, // yyyy-MM-dd, as sent by date inputs
+        MIN_AGE: 14, // Youngest age accepted for date of birth (years)
+        MAX_AGE: 80,
+        ADDRESS_MAX_LENGTH: 250,
+        USERNAME_PATTERN: /^[a-z0-9._-]{3,30}$/i,
+        PASSWORD_MIN_LENGTH: 8, // Keep in sync with PASSWORD_MIN_LENGTH in appscript.gs
     },
 
     // Error Messages
@@ -96,17 +322,39 @@ const CONFIG = {
         STUDENT_ADDED: 'Student added successfully!',
         STUDENT_UPDATED: 'Student updated successfully!',
         STUDENT_DELETED: 'Student deleted successfully!',
+        PHOTO_UPLOADED: 'Photo uploaded successfully!',
         ID_CARD_DOWNLOADED: 'ID Card downloaded successfully!',
+        USER_CREATED: 'User created successfully!',
+        PASSWORD_CHANGED: 'Password changed successfully!',
+        TEMPLATE_SAVED: 'Template saved successfully!',
+    },
+
+    // Staff roles (labels shown in the header)
+    ROLES: {
+        admin: 'Administrator',
+        registrar: 'Registrar',
+        staff: 'Staff',
     },
 
-    // Feature Flags
+    // Feature capabilities: roles allowed to use each feature.
+    // UI only - the backend enforces the same rules in ROLE_PERMISSIONS (appscript.gs)
     FEATURES: {
-        EDIT_STUDENT: true,
-        DELETE_STUDENT: true,
-        GENERATE_ID_CARD: true,
-        DOWNLOAD_ID_CARD: true,
-        BULK_IMPORT: false, // Coming soon
-        QR_CODE: false, // Coming soon
+        ADD_STUDENT: ['admin', 'registrar'],
+        VIEW_STUDENTS: ['admin', 'registrar', 'staff'],
+        EDIT_STUDENT: ['admin'],
+        DELETE_STUDENT: ['admin'],
+        GENERATE_ID_CARD: ['admin'],
+        DOWNLOAD_ID_CARD: ['admin', 'staff'],
+        REVOKE_CARD: ['admin'],
+        EXPORT: ['admin', 'registrar'],
+        SETTINGS: ['admin'],
+        MANAGE_USERS: ['admin'],
+        BULK_IMPORT: ['admin', 'registrar'],
+        PHOTO_IMPORT: ['admin', 'registrar'],
+        PROMOTE_STUDENTS: ['admin'],
+        CHANGE_STATUS: ['admin'],
+        MANAGE_TEMPLATES: ['admin'],
+        QR_CODE: ['admin', 'registrar', 'staff'],
     },
 
     // Logging
@@ -5,112 +5,233 @@
 
 class IDCardManager {
     /**
-     * Generate HTML for ID card
+     * Build the render model of a student's card as the dashboard shows it:
+     * a verification QR code for roles allowed to see it, and watermarks on cards that are not valid
+     * @param {object} student - Student data
+     * @param {object} template - Complete card template (see CardTemplates)
+     * @returns {object} - Render model (see CardRenderer.buildModel)
+     */
+    static getCardModel(student, template) {
+        return CardRenderer.buildModel(student, template, {
+            qrUrl: this.getQRUrl(student),
+            watermark: true,
+        });
+    }
+
+    /**
+     * Get the link a student's card QR code opens
+     * @param {object} student - Student data
+     * @returns {string|null} - null when the card has no QR code
+     */
+    static getQRUrl(student) {
+        return Auth.can('QR_CODE') ? this.getVerificationUrl(student) : null;
+    }
+
+    /**
+     * Count the modules across the largest QR code on these students' cards
+     * (the longest link needs the most modules)
+     * @param {array} students - Students
+     * @returns {number} - 0 when none of the cards has a QR code
+     */
+    static getQRModules(students) {
+        const urls = students.map(student => this.getQRUrl(student)).filter(Boolean);
+        if (urls.length === 0) return 0;
+
+        const longest = urls.reduce((a, b) => (b.length > a.length ? b : a));
+        return CardRenderer.getQRModules(longest);
+    }
+
+    /**
+     * Generate issue/reissue controls shown under the card preview
      * @param {object} student - Student data
      * @returns {string} - HTML string
      */
-    static generateCardHTML(student) {
-        return `
-            <div class="id-card">
-                <div class="card-header">
-                    <img src="${CONFIG.ID_CARD.LOGO_URL}" alt="Logo" class="card-logo">
-                    <div class="card-title">
-                        <h4>ST SOLDIER GROUP</h4>
-                        <p>STUDENT ID CARD</p>
-                    </div>
+    static generateIssuePanelHTML(student) {
+        const status = Utils.getStudentStatus(student);
+
+        if (status.value !== 'active') {
+            return `
+                <p>
+                    Student is <span class="badge ${status.badge}">${status.label}</span>.
+                    Cards cannot be issued until the student is active again.
+                </p>
+                <div class="card-issue-actions">
+                    <button class="btn-secondary" onclick="app.showCardHistory()">Card History</button>
                 </div>
-                <div class="card-body">
-                    <div class="card-field">
-                        <span class="card-label">Name</span>
-                        <span class="card-value">${student.name}</span>
-                    </div>
-                    <div class="card-field">
-                        <span class="card-label">Roll No</span>
-                        <span class="card-value">${student.rollNo}</span>
-                    </div>
-                    <div class="card-field">
-                        <span class="card-label">Father's Name</span>
-                        <span class="card-value">${student.fatherName}</span>
-                    </div>
-                    <div class="card-field">
-                        <span class="card-label">Semester</span>
-                        <span class="card-value">${student.semester}</span>
-                    </div>
-                    <div class="card-field">
-                        <span class="card-label">Course</span>
-                        <span class="card-value">${student.course}</span>
-                    </div>
-                    <div class="card-field">
-                        <span class="card-label">Email</span>
-                        <span class="card-value">${student.email}</span>
-                    </div>
-                    <div class="card-id">
-                        <div class="card-label">Student ID</div>
-                        <div class="card-value">${student.id}</div>
-                    </div>
+                <div id="cardHistory"></div>
+            `;
+        }
+
+        const canIssue = Auth.can('GENERATE_ID_CARD');
+
+        if (!student.cardCode) {
+            return `
+                <p>No active card. Issue one to assign a serial number before printing.</p>
+                <div class="card-issue-actions">
+                    ${canIssue ? '<button class="btn-primary" onclick="app.issueCard(\'new\')">Issue Card</button>' : ''}
+                    <button class="btn-secondary" onclick="app.showCardHistory()">Card History</button>
                 </div>
+                <div id="cardHistory"></div>
+            `;
+        }
+
+        const reasons = CONFIG.ID_CARD.REISSUE_REASONS.map(
+            reason => `<option value="${reason.value}">${reason.label}</option>`
+        ).join('');
+
+        return `
+            <p>
+                Card <strong>No. ${student.cardSerial}</strong> issued
+                ${Utils.formatDate(student.cardIssuedAt, 'dd/MM/yyyy')}, valid till
+                ${Utils.formatDate(student.cardValidUntil, 'dd/MM/yyyy')}.
+            </p>
+            <div class="card-issue-actions">
+                ${canIssue ? `
+                    <select id="reissueReason" class="form-select" aria-label="Reason for reissue">${reasons}</select>
+                    <button class="btn-secondary" onclick="app.issueCard(document.getElementById('reissueReason').value)">Reissue</button>
+                ` : ''}
+                <button class="btn-secondary" onclick="app.showCardHistory()">Card History</button>
             </div>
+            <div id="cardHistory"></div>
+        `;
+    }
+
+    /**
+     * Generate card history table
+     * @param {array} cards - Card records, newest first
+     * @returns {string} - HTML string
+     */
+    static generateHistoryHTML(cards) {
+        if (cards.length === 0) {
+            return '<p class="empty-state">No cards issued yet</p>';
+        }
+
+        const rows = cards
+            .map(card => {
+                const expired = new Date(card.validUntil).getTime() < Date.now();
+                let badge = '<span class="badge badge-success">Active</span>';
+                if (card.status === 'REVOKED') {
+                    badge = '<span class="badge badge-error">Revoked</span>';
+                } else if (expired) {
+                    badge = '<span class="badge badge-warning">Expired</span>';
+                }
+
+                return `
+                    <tr>
+                        <td><strong>${Utils.escapeHTML(card.serial)}</strong></td>
+                        <td>${Utils.formatDate(card.issuedAt, 'dd/MM/yyyy')}</td>
+                        <td>${Utils.formatDate(card.validUntil, 'dd/MM/yyyy')}</td>
+                        <td>${Utils.escapeHTML(card.issueReason)}</td>
+                        <td>${Utils.escapeHTML(card.issuedBy)}</td>
+                        <td>${badge}${card.revokeReason ? `<br><small>${Utils.escapeHTML(card.revokeReason)}</small>` : ''}</td>
+                    </tr>
+                `;
+            })
+            .join('');
+
+        return `
+            <table class="students-table card-history-table">
+                <thead>
+                    <tr>
+                        <th>Serial</th>
+                        <th>Issued</th>
+                        <th>Valid Till</th>
+                        <th>Reason</th>
+                        <th>Issued By</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
         `;
     }
 
     /**
-     * Display ID card in modal
+     * Display ID card in modal, in the template of the student's course
      * @param {object} student - Student data
      */
-    static displayCard(student) {
-        const cardHTML = this.generateCardHTML(student);
-        Utils.setHTML('idCardPreview', cardHTML);
+    static async displayCard(student) {
+        const template = await TemplateManager.getTemplateForCourse(student.course);
+        const model = this.getCardModel(student, template);
+        Utils.setHTML('idCardPreview', CardRenderer.renderFront(model));
+        Utils.setHTML('idCardBackPreview', CardRenderer.renderBack(model));
+        Utils[model.orientation === 'portrait' ? 'addClass' : 'removeClass']('cardFlipper', 'portrait');
+        Utils.setHTML('cardIssuePanel', this.generateIssuePanelHTML(student));
+        this.flipCard(false);
+
+        // Only an issued card can be printed, shared for verification or revoked
+        const issued = Boolean(student.cardCode);
+        Utils[issued && Auth.can('DOWNLOAD_ID_CARD') ? 'show' : 'hide']('downloadCardBtn');
+        Utils[issued && Auth.can('REVOKE_CARD') ? 'show' : 'hide']('revokeCardBtn');
+
         UIManager.showModal('idCardModal');
         Logger.info('ID card displayed for student:', student.id);
     }
 
     /**
-     * Download ID card as PDF
+     * Turn the preview card to its front or back
+     * @param {boolean} showBack - Show the back (toggles when omitted)
+     */
+    static flipCard(showBack) {
+        const flipper = Utils.getElement('cardFlipper');
+        const back = showBack === undefined ? !flipper.classList.contains('flipped') : showBack;
+
+        Utils[back ? 'addClass' : 'removeClass'](flipper, 'flipped');
+        Utils.getElement('idCardPreview').setAttribute('aria-hidden', String(back));
+        Utils.getElement('idCardBackPreview').setAttribute('aria-hidden', String(!back));
+
+        const button = Utils.getElement('flipCardBtn');
+        button.textContent = back ? 'Show Front' : 'Show Back';
+        button.setAttribute('aria-pressed', String(back));
+    }
+
+    /**
+     * Download ID card as a two-page PDF (front, then back) for duplex printing
      * @param {object} student - Student data
      */
     static async downloadCardPDF(student) {
         try {
             UIManager.showLoading();
 
-            // Load html2canvas if not already loaded
-            if (typeof html2canvas === 'undefined') {
-                await this.loadLibrary(
-                    'https://cdnjs.cloudflare.com/ajax/libs/html2canvas/1.4.1/html2canvas.min.js'
-                );
-            }
-
-            // Load jsPDF if not already loaded
-            if (typeof jsPDF === 'undefined') {
-                await this.loadLibrary(
-                    'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js'
-                );
-            }
-
-            const element = Utils.getElement('idCardPreview').querySelector('.id-card');
-
-            if (!element) {
-                throw new Error('ID Card element not found');
-            }
-
-            const canvas = await html2canvas(element, {
-                scale: 2,
-                useCORS: true,
-                backgroundColor: '#fff',
-            });
+            const jsPDF = await this.loadPdfLibraries();
+            const model = this.getCardModel(student, await TemplateManager.getTemplateForCourse(student.course));
+            const size = { width: CONFIG.ID_CARD.WIDTH, height: CONFIG.ID_CARD.HEIGHT, dpi: CONFIG.ID_CARD.DPI };
 
-            const imgData = canvas.toDataURL('image/png');
+            // One page per side, the size of the card; portrait templates turn it on its side
+            const portrait = model.orientation === 'portrait';
+            const [width, height] = portrait ? [size.height, size.width] : [size.width, size.height];
             const pdf = new jsPDF({
-                orientation: 'landscape',
+                orientation: portrait ? 'portrait' : 'landscape',
                 unit: 'mm',
-                format: [216, 137],
+                format: [width, height],
             });
 
-            pdf.addImage(imgData, 'PNG', 0, 0, 216, 137);
+            // Each side fills its page, so the back prints exactly behind the front
+            const sides = [CardRenderer.renderFront(model), CardRenderer.renderBack(model)];
+            for (let i = 0; i < sides.length; i++) {
+                const canvas = await this.renderCardCanvas(sides[i], size);
+                if (i > 0) {
+                    pdf.addPage();
+                }
+                pdf.addImage(canvas.toDataURL('image/png'), 'PNG', 0, 0, width, height);
+            }
+
             pdf.save(`STU-ID-${student.id}.pdf`);
 
             UIManager.hideLoading();
-            UIManager.showSuccess('ID Card downloaded successfully!');
+            const warnings = PrintSheetManager.getResolutionWarnings(
+                { cardWidth: size.width, dpi: size.dpi },
+                this.getQRModules([student])
+            );
+            if (warnings.length) {
+                Logger.warn('Card size and DPI are too low for print:', warnings.join(' '));
+                UIManager.showWarning(`ID card downloaded, but it may print poorly. ${warnings.join(' ')}`);
+            } else {
+                UIManager.showSuccess('ID Card downloaded successfully!');
+            }
             Logger.info('ID card PDF generated for student:', student.id);
+
+            this.archiveCard(student, pdf.output('datauristring'));
         } catch (error) {
             UIManager.hideLoading();
             Logger.error('Error generating PDF:', error.message);
@@ -118,6 +239,80 @@ class IDCardManager {
         }
     }
 
+    /**
+     * Archive issued card in Drive (runs after download; failure only warns)
+     * @param {object} student - Student data
+     * @param {string} dataUrl - PDF or PNG data URL
+     */
+    static async archiveCard(student, dataUrl) {
+        try {
+            const response = await API.saveIdCard(student.id, dataUrl, student.cardCode);
+            student.cardFileId = response.fileId;
+            student.cardIssuedAt = response.issuedAt;
+            Logger.info('ID card archived for student:', student.id);
+        } catch (error) {
+            Logger.warn('Failed to archive ID card:', error.message);
+            UIManager.showWarning('Card downloaded, but it could not be archived');
+        }
+    }
+
+    /**
+     * Render card HTML to a canvas off-screen at print size
+     * (html2canvas cannot capture display:none elements or the flipped preview)
+     * @param {string} cardHTML - Card HTML
+     * @param {object} size - { width, height } of the card in mm (long side first) and dpi
+     * @returns {Promise<HTMLCanvasElement>}
+     * @private
+     */
+    static async renderCardCanvas(cardHTML, size) {
+        const tempDiv = document.createElement('div');
+        tempDiv.innerHTML = cardHTML;
+        tempDiv.style.position = 'fixed';
+        tempDiv.style.left = '-10000px';
+        tempDiv.style.top = '0';
+        document.body.appendChild(tempDiv);
+
+        // Keep the designed width, give the card the printed proportions, then scale up to the DPI
+        const card = tempDiv.querySelector('.id-card');
+        const portrait = card.classList.contains('layout-portrait');
+        const widthMm = portrait ? size.height : size.width;
+        const heightMm = portrait ? size.width : size.height;
+        const width = card.offsetWidth;
+        card.style.height = `${(width * heightMm) / widthMm}px`;
+
+        try {
+            return await html2canvas(card, {
+                scale: ((widthMm / 25.4) * size.dpi) / width,
+                useCORS: true,
+                backgroundColor: '#fff',
+            });
+        } finally {
+            document.body.removeChild(tempDiv);
+        }
+    }
+
+    /**
+     * Load html2canvas and jsPDF on demand
+     * @returns {Promise<function>} - jsPDF constructor
+     * @private
+     */
+    static async loadPdfLibraries() {
+        if (typeof html2canvas === 'undefined') {
+            await this.loadLibrary(
+                'https://cdnjs.cloudflare.com/ajax/libs/html2canvas/1.4.1/html2canvas.min.js'
+            );
+        }
+
+        // The UMD build exposes the constructor as window.jspdf.jsPDF
+        if (!window.jspdf) {
+            await this.loadLibrary(
+                'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js'
+            );
+        }
+
+        return window.jspdf.jsPDF;
+    }
+
     /**
      * Load external library
      * @private
@@ -136,96 +331,237 @@ class IDCardManager {
      * Print ID card
      * @param {object} student - Student data
      */
-    static printCard(student) {
-        const cardHTML = this.generateCardHTML(student);
+    static async printCard(student) {
+        const model = this.getCardModel(student, await TemplateManager.getTemplateForCourse(student.course));
         const printWindow = window.open('', '', 'height=400,width=600');
         printWindow.document.write('<html><head><title>ID Card</title>');
         printWindow.document.write('<link rel="stylesheet" href="assets/css/id-card.css">');
         printWindow.document.write('</head><body>');
-        printWindow.document.write(cardHTML);
+        printWindow.document.write(CardRenderer.renderFront(model));
+        printWindow.document.write(CardRenderer.renderBack(model));
         printWindow.document.write('</body></html>');
         printWindow.document.close();
         printWindow.print();
     }
 
+    /**
+     * Get public viewer link for a student's card
+     * @param {object} student - Student data
+     * @returns {string|null} - null when the student has no public token yet
+     */
+    static getPublicUrl(student) {
+        if (!student || !student.publicToken) return null;
+
+        const url = new URL(CONFIG.ID_CARD.PUBLIC_VIEWER_PATH, window.location.href);
+        url.searchParams.set('t', student.publicToken);
+        return url.href;
+    }
+
+    /**
+     * Get verification link for the signed code printed on a student's card
+     * @param {object} student - Student data
+     * @returns {string|null} - Falls back to the public card link without a code
+     */
+    static getVerificationUrl(student) {
+        if (!student || !student.cardCode) return this.getPublicUrl(student);
+
+        const url = new URL(CONFIG.ID_CARD.PUBLIC_VIEWER_PATH, window.location.href);
+        url.searchParams.set('v', student.cardCode);
+        return url.href;
+    }
+
+    /**
+     * Issue a new card (or replace the active one) for a student
+     * @param {object} student - Student data
+     * @param {string} reason - 'new' or one of CONFIG.ID_CARD.REISSUE_REASONS
+     * @returns {Promise<object|null>} - Student with the new card
+     */
+    static async issueCard(student, reason) {
+        if (reason !== 'new') {
+            const confirmed = await UIManager.confirm(
+                `Issue a replacement card for ${student.name}? Card No. ${student.cardSerial} will be revoked.`
+            );
+            if (!confirmed) return null;
+        }
+
+        try {
+            UIManager.showLoading();
+            const response = await API.issueCard(student.id, reason);
+            UIManager.hideLoading();
+
+            UIManager.showSuccess(response.message);
+            return response.student;
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error issuing card:', error.message);
+            UIManager.showError(error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Load a student's card history
+     * @param {string} studentId - Student ID
+     * @returns {Promise<array|null>}
+     */
+    static async loadCardHistory(studentId) {
+        try {
+            const response = await API.getCardHistory(studentId);
+            return response.cards || [];
+        } catch (error) {
+            Logger.error('Error loading card history:', error.message);
+            UIManager.showError(error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Re-issue a student's card from today
+     * @param {object} student - Student data
+     * @returns {Promise<object|null>} - Student with the renewed card dates
+     */
+    static async renewCard(student) {
+        try {
+            UIManager.showLoading();
+            const response = await API.renewCard(student.id);
+            UIManager.hideLoading();
+
+            UIManager.showSuccess(
+                `Card renewed until ${Utils.formatDate(response.student.cardValidUntil, 'dd/MM/yyyy')}`
+            );
+            return response.student;
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error renewing card:', error.message);
+            UIManager.showError(error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Revoke all cards issued to a student so far (lost or stolen card)
+     * @param {object} student - Student data
+     * @returns {Promise<boolean>}
+     */
+    static async revokeCard(student) {
+        const reason = window.prompt(
+            `Revoke every card issued to ${student.name} so far? Verifying them will show REVOKED.\n\nReason:`
+        );
+        if (reason === null) return false;
+
+        try {
+            UIManager.showLoading();
+            await API.revokeCard(student.id, reason.trim());
+            UIManager.hideLoading();
+
+            UIManager.showSuccess('Card revoked. Generate a new card to reissue it.');
+            return true;
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error revoking card:', error.message);
+            UIManager.showError(error.message);
+            return false;
+        }
+    }
+
     /**
      * Share ID card
      * @param {object} student - Student data
      */
     static async shareCard(student) {
-        const shareText = `Student ID: ${student.id}\nName: ${student.name}\nRoll Number: ${student.rollNo}`;
+        const publicUrl = this.getPublicUrl(student);
+        if (!publicUrl) {
+            UIManager.showError('This card has no public link yet. Reload the students list and try again.');
+            return;
+        }
 
         if (navigator.share) {
             try {
                 await navigator.share({
-                    title: `Student ID Card`,
-                    text: shareText,
+                    title: `Student ID Card - ${student.name}`,
+                    url: publicUrl,
                 });
             } catch (error) {
                 Logger.warn('Share failed:', error.message);
             }
         } else {
             // Fallback: copy to clipboard
-            const success = await Utils.copyToClipboard(shareText);
+            const success = await Utils.copyToClipboard(publicUrl);
             if (success) {
-                UIManager.showSuccess('ID information copied to clipboard');
+                UIManager.showSuccess('Card link copied to clipboard');
             }
         }
     }
 
     /**
-     * Export multiple ID cards
-     * @param {array} students - Students array
+     * Export cards on print sheets, several to a sheet (see PrintSheetManager).
+     * Landscape and portrait cards go on separate sheets; with backs, each front sheet
+     * is followed by its mirrored back sheet for duplex printing.
+     * @param {array} students - Full student records, with card codes and photos (see StudentManager.loadFullStudents)
+     * @param {object} options - Print options (see PrintSheetManager.getDefaultOptions)
      */
-    static async exportBatch(students) {
+    static async exportBatch(students, options = PrintSheetManager.getDefaultOptions()) {
         try {
             UIManager.showLoading();
 
-            if (typeof html2canvas === 'undefined' || typeof jsPDF === 'undefined') {
-                await this.loadLibrary(
-                    'https://cdnjs.cloudflare.com/ajax/libs/html2canvas/1.4.1/html2canvas.min.js'
-                );
-                await this.loadLibrary(
-                    'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js'
-                );
-            }
+            const jsPDF = await this.loadPdfLibraries();
+            const templates = await TemplateManager.loadTemplates();
+            const models = students.map(student =>
+                this.getCardModel(student, CardTemplates.resolve(templates, student.course))
+            );
+            const size = { width: options.cardWidth, height: options.cardHeight, dpi: options.dpi };
+            const bleed = options.bleed;
+            let pdf = null;
+            let processed = 0;
 
-            const pdf = new jsPDF({
-                orientation: 'landscape',
-                unit: 'mm',
-                format: 'a4',
-            });
+            for (const orientation of ['landscape', 'portrait']) {
+                const cards = models.filter(model => model.orientation === orientation);
+                const layout = PrintSheetManager.getLayout(options, orientation);
 
-            let pageCount = 0;
+                for (let start = 0; start < cards.length; start += layout.perSheet) {
+                    const sheetCards = cards.slice(start, start + layout.perSheet);
 
-            for (let i = 0; i < students.length; i++) {
-                const student = students[i];
-                const cardHTML = this.generateCardHTML(student);
+                    for (const back of options.backs ? [false, true] : [false]) {
+                        const format = [layout.pageWidth, layout.pageHeight];
+                        if (pdf) {
+                            pdf.addPage(format, layout.orientation);
+                        } else {
+                            pdf = new jsPDF({ orientation: layout.orientation, unit: 'mm', format: format });
+                        }
 
-                const tempDiv = document.createElement('div');
-                tempDiv.innerHTML = cardHTML;
-                tempDiv.style.display = 'none';
-                document.body.appendChild(tempDiv);
+                        for (let i = 0; i < sheetCards.length; i++) {
+                            const model = sheetCards[i];
+                            let canvas = await this.renderCardCanvas(
+                                back ? CardRenderer.renderBack(model) : CardRenderer.renderFront(model),
+                                size
+                            );
+                            if (bleed > 0) {
+                                canvas = PrintSheetManager.addBleed(
+                                    canvas,
+                                    Math.round((canvas.width * bleed) / layout.cardWidth)
+                                );
+                            }
 
-                const canvas = await html2canvas(tempDiv.querySelector('.id-card'), {
-                    scale: 2,
-                    useCORS: true,
-                    backgroundColor: '#fff',
-                });
+                            const slot = PrintSheetManager.getSlot(layout, i, back, options.flip);
+                            pdf.addImage(
+                                canvas.toDataURL('image/png'),
+                                'PNG',
+                                slot.x - bleed,
+                                slot.y - bleed,
+                                layout.cardWidth + bleed * 2,
+                                layout.cardHeight + bleed * 2
+                            );
+                        }
 
-                const imgData = canvas.toDataURL('image/png');
+                        if (options.cropMarks) {
+                            PrintSheetManager.drawCropMarks(pdf, layout, bleed);
+                        }
+                    }
 
-                if (pageCount > 0) {
-                    pdf.addPage();
+                    // Update progress
+                    processed += sheetCards.length;
+                    Logger.debug(`Processed ${processed}/${students.length} cards`);
                 }
-
-                pdf.addImage(imgData, 'PNG', 20, 30, 170, 100);
-                pageCount++;
-
-                document.body.removeChild(tempDiv);
-
-                // Update progress
-                Logger.debug(`Processed ${i + 1}/${students.length} cards`);
             }
 
             pdf.save(`Student-IDs-${Date.now()}.pdf`);
@@ -238,15 +574,4 @@ class IDCardManager {
             UIManager.showError('Failed to export ID cards');
         }
     }
-
-    /**
-     * Generate QR code (placeholder)
-     * @param {string} data - Data to encode
-     * @returns {string} - QR code SVG
-     */
-    static generateQRCode(data) {
-        // This would integrate with a QR code library
-        // Placeholder for now
-        return null;
-    }
 }
\ No newline at end of file
@@ -0,0 +1,248 @@
+/**
+ * Photo Editor
+ * Crops, rotates and resizes a student photo to a fixed-aspect JPEG in the browser
+ */
+
+class PhotoEditorManager {
+    constructor() {
+        this.image = null;
+        this.imageUrl = null;
+        this.rotation = 0; // Quarter turns clockwise
+        this.zoom = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.drag = null;
+        this.resolve = null;
+        this.bound = false;
+    }
+
+    /**
+     * Open the editor for an image file
+     * @param {File} file - Image chosen by the user
+     * @returns {Promise<string|null>} - JPEG data URL, or null when cancelled
+     */
+    async open(file) {
+        if (!file || !file.type.startsWith('image/')) {
+            UIManager.showError('Please choose an image file');
+            return null;
+        }
+
+        if (file.size > CONFIG.PHOTO.MAX_SOURCE_SIZE) {
+            UIManager.showError('Image is too large');
+            return null;
+        }
+
+        this.bindEvents();
+        this.close(null);
+
+        try {
+            this.imageUrl = URL.createObjectURL(file);
+            this.image = await this.loadImage(this.imageUrl);
+        } catch (error) {
+            Logger.error('Error loading photo:', error);
+            UIManager.showError('Could not read this image');
+            this.close(null);
+            return null;
+        }
+
+        this.reset();
+        UIManager.showModal('photoEditorModal');
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    /**
+     * Load an image element from a URL
+     * @param {string} url - Image URL
+     * @returns {Promise<HTMLImageElement>}
+     */
+    loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = reject;
+            image.src = url;
+        });
+    }
+
+    /**
+     * Attach editor controls (once)
+     */
+    bindEvents() {
+        if (this.bound) return;
+        this.bound = true;
+
+        const canvas = Utils.getElement('photoEditorCanvas');
+        canvas.width = CONFIG.PHOTO.WIDTH;
+        canvas.height = CONFIG.PHOTO.HEIGHT;
+
+        const zoom = Utils.getElement('photoZoom');
+        zoom.max = CONFIG.PHOTO.MAX_ZOOM;
+        zoom.addEventListener('input', () => {
+            this.zoom = parseFloat(zoom.value);
+            this.render();
+        });
+
+        Utils.getElement('rotateLeftBtn').addEventListener('click', () => this.rotate(-1));
+        Utils.getElement('rotateRightBtn').addEventListener('click', () => this.rotate(1));
+        Utils.getElement('resetPhotoBtn').addEventListener('click', () => this.reset());
+        Utils.getElement('applyPhotoBtn').addEventListener('click', () => this.close(this.export()));
+        Utils.getElement('cancelPhotoBtn').addEventListener('click', () => this.close(null));
+        Utils.getElement('closePhotoEditorBtn').addEventListener('click', () => this.close(null));
+
+        // Drag to reposition
+        canvas.addEventListener('pointerdown', e => {
+            canvas.setPointerCapture(e.pointerId);
+            this.drag = { x: e.clientX, y: e.clientY };
+        });
+        canvas.addEventListener('pointermove', e => {
+            if (!this.drag) return;
+
+            // Pointer moves in CSS pixels; the canvas draws at output size
+            const ratio = canvas.width / canvas.getBoundingClientRect().width;
+            this.offsetX += (e.clientX - this.drag.x) * ratio;
+            this.offsetY += (e.clientY - this.drag.y) * ratio;
+            this.drag = { x: e.clientX, y: e.clientY };
+            this.render();
+        });
+        ['pointerup', 'pointercancel'].forEach(type =>
+            canvas.addEventListener(type, () => {
+                this.drag = null;
+            })
+        );
+
+        // Wheel to zoom
+        canvas.addEventListener(
+            'wheel',
+            e => {
+                e.preventDefault();
+                this.setZoom(this.zoom * (e.deltaY < 0 ? 1.1 : 1 / 1.1));
+            },
+            { passive: false }
+        );
+    }
+
+    /**
+     * Fit the whole frame and clear rotation
+     */
+    reset() {
+        this.rotation = 0;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.setZoom(1);
+    }
+
+    /**
+     * Rotate by quarter turns
+     * @param {number} turns - -1 for left, 1 for right
+     */
+    rotate(turns) {
+        this.rotation = (this.rotation + turns + 4) % 4;
+        this.render();
+    }
+
+    /**
+     * Set zoom level (1 = image just covers the frame)
+     * @param {number} zoom - Zoom level
+     */
+    setZoom(zoom) {
+        this.zoom = Math.min(Math.max(zoom, 1), CONFIG.PHOTO.MAX_ZOOM);
+        Utils.getElement('photoZoom').value = this.zoom;
+        this.render();
+    }
+
+    /**
+     * Draw the image into the crop frame, keeping the frame fully covered
+     */
+    render() {
+        if (!this.image) return;
+
+        const canvas = Utils.getElement('photoEditorCanvas');
+        const ctx = canvas.getContext('2d');
+        const width = this.image.naturalWidth;
+        const height = this.image.naturalHeight;
+
+        // Size of the image once rotated
+        const sideways = this.rotation % 2 === 1;
+        const rotatedWidth = sideways ? height : width;
+        const rotatedHeight = sideways ? width : height;
+
+        const scale = Math.max(canvas.width / rotatedWidth, canvas.height / rotatedHeight) * this.zoom;
+
+        // Clamp the pan so no empty edge shows inside the frame
+        const maxX = (rotatedWidth * scale - canvas.width) / 2;
+        const maxY = (rotatedHeight * scale - canvas.height) / 2;
+        this.offsetX = Math.min(Math.max(this.offsetX, -maxX), maxX);
+        this.offsetY = Math.min(Math.max(this.offsetY, -maxY), maxY);
+
+        ctx.save();
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.translate(canvas.width / 2 + this.offsetX, canvas.height / 2 + this.offsetY);
+        ctx.rotate((this.rotation * Math.PI) / 2);
+        ctx.drawImage(this.image, (-width * scale) / 2, (-height * scale) / 2, width * scale, height * scale);
+        ctx.restore();
+    }
+
+    /**
+     * Export the crop frame as JPEG
+     * @returns {string} - JPEG data URL
+     */
+    export() {
+        return Utils.getElement('photoEditorCanvas').toDataURL('image/jpeg', CONFIG.PHOTO.QUALITY);
+    }
+
+    /**
+     * Centre-crop an image file to the photo size without opening the editor (bulk import)
+     * @param {Blob} blob - Image data
+     * @returns {Promise<string>} - JPEG data URL
+     */
+    async cropToJpeg(blob) {
+        const url = URL.createObjectURL(blob);
+        try {
+            const image = await this.loadImage(url);
+            const canvas = document.createElement('canvas');
+            canvas.width = CONFIG.PHOTO.WIDTH;
+            canvas.height = CONFIG.PHOTO.HEIGHT;
+
+            const scale = Math.max(canvas.width / image.naturalWidth, canvas.height / image.naturalHeight);
+            const width = image.naturalWidth * scale;
+            const height = image.naturalHeight * scale;
+
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(image, (canvas.width - width) / 2, (canvas.height - height) / 2, width, height);
+
+            return canvas.toDataURL('image/jpeg', CONFIG.PHOTO.QUALITY);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Close the editor and settle the pending open() call
+     * @param {string|null} result - JPEG data URL or null
+     */
+    close(result) {
+        UIManager.hideModal('photoEditorModal');
+
+        if (this.imageUrl) {
+            URL.revokeObjectURL(this.imageUrl);
+        }
+        this.image = null;
+        this.imageUrl = null;
+        this.drag = null;
+
+        if (this.resolve) {
+            const resolve = this.resolve;
+            this.resolve = null;
+            resolve(result);
+        }
+    }
+}
+
+// Create global instance
+const PhotoEditor = new PhotoEditorManager();
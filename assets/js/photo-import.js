@@ -0,0 +1,205 @@
+/**
+ * Photo Import Manager
+ * Matches photos in a ZIP to students by roll number and uploads them in throttled batches
+ */
+
+class PhotoImportManager {
+    /**
+     * Unpack a ZIP and match each image to a student by file name (roll number)
+     * @param {File} file - ZIP file
+     * @param {array} students - Loaded students
+     * @returns {Promise<array>} - Import items { fileName, rollNo, student, entry, previewUrl, status, message }
+     */
+    static async readZip(file, students) {
+        if (file.size > CONFIG.PHOTO.IMPORT_MAX_ZIP_SIZE) {
+            throw new Error('ZIP file is too large');
+        }
+
+        const JSZip = await this.loadZipLibrary();
+        const zip = await JSZip.loadAsync(file);
+
+        const studentsByRollNo = {};
+        students.forEach(student => {
+            studentsByRollNo[String(student.rollNo).trim().toUpperCase()] = student;
+        });
+
+        // Skip folders and the metadata macOS adds to ZIPs
+        const entries = Object.values(zip.files)
+            .filter(entry => !entry.dir && !entry.name.startsWith('__MACOSX/'))
+            .filter(entry => !entry.name.split('/').pop().startsWith('.'))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        const matched = {};
+        const items = entries.map(entry => {
+            const fileName = entry.name.split('/').pop();
+            const dot = fileName.lastIndexOf('.');
+            const extension = dot > 0 ? fileName.slice(dot + 1).toLowerCase() : '';
+            const rollNo = (dot > 0 ? fileName.slice(0, dot) : fileName).trim().toUpperCase();
+
+            const item = {
+                fileName: entry.name,
+                rollNo: rollNo,
+                student: null,
+                entry: entry,
+                previewUrl: null,
+                status: 'unmatched',
+                message: 'No student with this roll number',
+            };
+
+            if (!CONFIG.PHOTO.IMPORT_EXTENSIONS.includes(extension)) {
+                item.status = 'skipped';
+                item.message = 'Not a JPEG or PNG image';
+            } else if (matched[rollNo]) {
+                item.status = 'duplicate';
+                item.message = `Roll number already matched by ${matched[rollNo].fileName}`;
+            } else if (studentsByRollNo[rollNo]) {
+                item.student = studentsByRollNo[rollNo];
+                item.status = 'matched';
+                item.message = '';
+                matched[rollNo] = item;
+            }
+
+            return item;
+        });
+
+        // Thumbnails for the preview
+        for (const item of items) {
+            if (item.status === 'matched') {
+                item.previewUrl = URL.createObjectURL(await item.entry.async('blob'));
+            }
+        }
+
+        return items;
+    }
+
+    /**
+     * Upload matched photos a few at a time, pausing between batches
+     * @param {array} items - Import items from readZip
+     * @param {function} onProgress - Called with (done, total) after each batch
+     * @returns {Promise<object>} - { uploaded, failed }
+     */
+    static async uploadPhotos(items, onProgress) {
+        const queue = items.filter(item => item.status === 'matched' || item.status === 'failed');
+        const batchSize = CONFIG.PHOTO.IMPORT_BATCH_SIZE;
+
+        for (let i = 0; i < queue.length; i += batchSize) {
+            if (i > 0) {
+                await new Promise(resolve => setTimeout(resolve, CONFIG.PHOTO.IMPORT_BATCH_DELAY));
+            }
+
+            await Promise.all(queue.slice(i, i + batchSize).map(item => this.uploadItem(item)));
+            onProgress(Math.min(i + batchSize, queue.length), queue.length);
+        }
+
+        return {
+            uploaded: queue.filter(item => item.status === 'uploaded').length,
+            failed: queue.filter(item => item.status === 'failed').length,
+        };
+    }
+
+    /**
+     * Crop and upload one photo, recording the outcome on the item
+     * @param {object} item - Import item
+     * @private
+     */
+    static async uploadItem(item) {
+        try {
+            const photo = await PhotoEditor.cropToJpeg(await item.entry.async('blob'));
+            await API.uploadPhoto(item.student.id, photo);
+            item.status = 'uploaded';
+            item.message = '';
+        } catch (error) {
+            Logger.error(`Error uploading ${item.fileName}:`, error.message);
+            item.status = 'failed';
+            item.message = error.message || CONFIG.ERRORS.GENERAL_ERROR;
+        }
+    }
+
+    /**
+     * Release thumbnail object URLs
+     * @param {array} items - Import items
+     */
+    static release(items) {
+        items.forEach(item => {
+            if (item.previewUrl) {
+                URL.revokeObjectURL(item.previewUrl);
+            }
+        });
+    }
+
+    /**
+     * Generate the match / upload report
+     * @param {array} items - Import items
+     * @returns {string} - HTML string
+     */
+    static generateReportHTML(items) {
+        if (items.length === 0) {
+            return '<p class="empty-state">No files found in the ZIP</p>';
+        }
+
+        const badges = {
+            matched: '<span class="badge">Matched</span>',
+            unmatched: '<span class="badge badge-warning">Unmatched</span>',
+            duplicate: '<span class="badge badge-warning">Duplicate</span>',
+            skipped: '<span class="badge">Skipped</span>',
+            uploaded: '<span class="badge badge-success">Uploaded</span>',
+            failed: '<span class="badge badge-error">Failed</span>',
+        };
+
+        const counts = {};
+        items.forEach(item => {
+            counts[item.status] = (counts[item.status] || 0) + 1;
+        });
+        const summary = Object.keys(badges)
+            .filter(status => counts[status])
+            .map(status => `${badges[status]} ${counts[status]}`)
+            .join(' &nbsp; ');
+
+        const rows = items
+            .map(
+                item => `
+                    <tr>
+                        <td>
+                            <div class="photo-import-thumb">
+                                ${item.previewUrl ? `<img src="${item.previewUrl}" alt="">` : ''}
+                            </div>
+                        </td>
+                        <td>${Utils.escapeHTML(item.fileName)}</td>
+                        <td>${Utils.escapeHTML(item.rollNo)}</td>
+                        <td>${item.student ? Utils.escapeHTML(item.student.name) : '&mdash;'}</td>
+                        <td>${badges[item.status]}${item.message ? `<br><small>${Utils.escapeHTML(item.message)}</small>` : ''}</td>
+                    </tr>
+                `
+            )
+            .join('');
+
+        return `
+            <p class="photo-import-summary">${summary}</p>
+            <div class="table-wrapper">
+                <table class="students-table">
+                    <thead>
+                        <tr>
+                            <th>Photo</th>
+                            <th>File</th>
+                            <th>Roll Number</th>
+                            <th>Student</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Load the ZIP reader
+     * @private
+     */
+    static async loadZipLibrary() {
+        if (typeof JSZip === 'undefined') {
+            await IDCardManager.loadLibrary('https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js');
+        }
+        return JSZip;
+    }
+}
@@ -0,0 +1,261 @@
+/**
+ * Print Sheet Manager
+ * Imposition for batch card printing: where each card sits on a sheet, crop marks and bleed
+ * (all sizes in mm)
+ */
+
+class PrintSheetManager {
+    /**
+     * Get the print options the dialog starts with
+     * @returns {object} - { cardSize, cardWidth, cardHeight, dpi, layout, paper, margin, gutter, bleed, cropMarks, backs, flip }
+     */
+    static getDefaultOptions() {
+        const sheet = CONFIG.PRINT_SHEET;
+        const card = CONFIG.ID_CARD;
+        return {
+            cardSize: this.getCardSize(card.WIDTH, card.HEIGHT),
+            cardWidth: card.WIDTH,
+            cardHeight: card.HEIGHT,
+            dpi: card.DPI,
+            layout: sheet.LAYOUT,
+            paper: sheet.PAPER,
+            margin: sheet.MARGIN,
+            gutter: sheet.GUTTER,
+            bleed: sheet.BLEED,
+            cropMarks: sheet.CROP_MARKS,
+            backs: true,
+            flip: 'side',
+        };
+    }
+
+    /**
+     * Find the standard size a card matches
+     * @param {number} width - Long side (mm)
+     * @param {number} height - Short side (mm)
+     * @returns {string} - Value of CONFIG.ID_CARD.SIZES, or 'custom'
+     */
+    static getCardSize(width, height) {
+        const size = CONFIG.ID_CARD.SIZES.find(s => s.width === width && s.height === height);
+        return size ? size.value : 'custom';
+    }
+
+    /**
+     * Validate print options
+     * @param {object} options - Print options
+     * @returns {object} - { valid, errors } keyed like the print dialog inputs
+     */
+    static validateOptions(options) {
+        const errors = {};
+        const sheet = CONFIG.PRINT_SHEET;
+        const maxBleed = sheet.MAX_BLEED;
+        const isSize = value => typeof value === 'number' && isFinite(value) && value >= 0;
+
+        if (!isSize(options.cardWidth) || options.cardWidth === 0 || options.cardWidth > sheet.MAX_CARD_SIZE) {
+            errors.printCardWidth = `Enter a width up to ${sheet.MAX_CARD_SIZE} mm`;
+        }
+        if (!isSize(options.cardHeight) || options.cardHeight === 0) {
+            errors.printCardHeight = 'Enter a height above 0 mm';
+        } else if (options.cardHeight > options.cardWidth) {
+            errors.printCardHeight = 'The height is the short side; it cannot exceed the width';
+        }
+        if (!Number.isInteger(options.dpi) || options.dpi < sheet.MIN_DPI || options.dpi > sheet.MAX_DPI) {
+            errors.printDpi = `Enter a DPI from ${sheet.MIN_DPI} to ${sheet.MAX_DPI}`;
+        }
+        if (!isSize(options.margin)) {
+            errors.printMargin = 'Enter a margin of 0 mm or more';
+        }
+        if (!isSize(options.gutter)) {
+            errors.printGutter = 'Enter a gutter of 0 mm or more';
+        }
+        if (!isSize(options.bleed) || options.bleed > maxBleed) {
+            errors.printBleed = `Enter a bleed from 0 to ${maxBleed} mm`;
+        }
+
+        if (Object.keys(errors).length === 0) {
+            // Bleeds must not run into the neighbouring card or off the paper
+            const layout = this.getLayout(options, 'landscape');
+            if (layout.perSheet > 1 && options.gutter < options.bleed * 2) {
+                errors.printGutter = 'The gutter must be at least twice the bleed';
+            } else if (options.margin < options.bleed) {
+                errors.printMargin = 'The margin must be at least the bleed';
+            } else if (!layout.fits) {
+                errors.printLayout = 'The cards do not fit on this paper; reduce the margin or gutter';
+            }
+        }
+
+        return {
+            valid: Object.keys(errors).length === 0,
+            errors: errors,
+        };
+    }
+
+    /**
+     * Work out the sheet for cards of one orientation.
+     * Portrait cards turn the sheet to landscape and swap the columns and rows, so the same
+     * number of cards fits either way. The grid is centred on the sheet.
+     * @param {object} options - Print options
+     * @param {string} orientation - Card orientation, 'landscape' or 'portrait'
+     * @returns {object} - Sheet layout; fits is false when the grid is larger than the paper allows
+     */
+    static getLayout(options, orientation) {
+        const sheet = CONFIG.PRINT_SHEET;
+        const paper = sheet.PAPERS.find(p => p.value === options.paper) || sheet.PAPERS[0];
+        const grid = sheet.LAYOUTS.find(l => l.value === options.layout) || sheet.LAYOUTS[0];
+        const portrait = orientation === 'portrait';
+
+        const layout = {
+            orientation: portrait ? 'landscape' : 'portrait',
+            pageWidth: portrait ? paper.height : paper.width,
+            pageHeight: portrait ? paper.width : paper.height,
+            cardWidth: portrait ? options.cardHeight : options.cardWidth,
+            cardHeight: portrait ? options.cardWidth : options.cardHeight,
+            columns: portrait ? grid.rows : grid.columns,
+            rows: portrait ? grid.columns : grid.rows,
+            gutter: options.gutter,
+        };
+        layout.perSheet = layout.columns * layout.rows;
+        layout.gridWidth = layout.columns * layout.cardWidth + (layout.columns - 1) * layout.gutter;
+        layout.gridHeight = layout.rows * layout.cardHeight + (layout.rows - 1) * layout.gutter;
+        layout.left = (layout.pageWidth - layout.gridWidth) / 2;
+        layout.top = (layout.pageHeight - layout.gridHeight) / 2;
+        layout.fits = layout.left >= options.margin && layout.top >= options.margin;
+
+        return layout;
+    }
+
+    /**
+     * Get the top-left corner of a card's place on the sheet.
+     * Back sheets are mirrored so each back prints behind its front: across the columns
+     * when the paper turns over on its side edge, across the rows when it turns over on its top edge.
+     * @param {object} layout - Sheet layout from getLayout
+     * @param {number} index - Card position on the sheet, row by row
+     * @param {boolean} back - Place on a back sheet
+     * @param {string} flip - 'side' or 'top'
+     * @returns {object} - { x, y }
+     */
+    static getSlot(layout, index, back, flip) {
+        let column = index % layout.columns;
+        let row = Math.floor(index / layout.columns);
+
+        if (back && flip === 'top') {
+            row = layout.rows - 1 - row;
+        } else if (back) {
+            column = layout.columns - 1 - column;
+        }
+
+        return {
+            x: layout.left + column * (layout.cardWidth + layout.gutter),
+            y: layout.top + row * (layout.cardHeight + layout.gutter),
+        };
+    }
+
+    /**
+     * Draw crop marks on the sheet margins, in line with every cut
+     * (kept out of the gutters so they never print on a neighbouring card)
+     * @param {object} pdf - jsPDF document, on the sheet's page
+     * @param {object} layout - Sheet layout from getLayout
+     * @param {number} bleed - Bleed, so marks start clear of it
+     */
+    static drawCropMarks(pdf, layout, bleed) {
+        const sheet = CONFIG.PRINT_SHEET;
+        const start = bleed + sheet.CROP_MARK_OFFSET;
+        const right = layout.left + layout.gridWidth;
+        const bottom = layout.top + layout.gridHeight;
+
+        const cutsX = [];
+        for (let column = 0; column < layout.columns; column++) {
+            const x = layout.left + column * (layout.cardWidth + layout.gutter);
+            cutsX.push(x, x + layout.cardWidth);
+        }
+        const cutsY = [];
+        for (let row = 0; row < layout.rows; row++) {
+            const y = layout.top + row * (layout.cardHeight + layout.gutter);
+            cutsY.push(y, y + layout.cardHeight);
+        }
+
+        // Shortened to stay on the paper
+        const lengthX = Math.min(sheet.CROP_MARK_LENGTH, layout.top - start);
+        const lengthY = Math.min(sheet.CROP_MARK_LENGTH, layout.left - start);
+
+        pdf.setDrawColor(0);
+        pdf.setLineWidth(0.1);
+        if (lengthX > 0) {
+            cutsX.forEach(x => {
+                pdf.line(x, layout.top - start - lengthX, x, layout.top - start);
+                pdf.line(x, bottom + start, x, bottom + start + lengthX);
+            });
+        }
+        if (lengthY > 0) {
+            cutsY.forEach(y => {
+                pdf.line(layout.left - start - lengthY, y, layout.left - start, y);
+                pdf.line(right + start, y, right + start + lengthY, y);
+            });
+        }
+    }
+
+    /**
+     * Check that photos and QR codes will print sharp at a card size and DPI
+     * (photos are limited by both the DPI and the stored photo's own pixels)
+     * @param {object} options - { cardWidth, dpi }
+     * @param {number} qrModules - Modules across the largest QR code (0 when the cards have none)
+     * @returns {array} - Warning messages
+     */
+    static getResolutionWarnings(options, qrModules) {
+        const card = CONFIG.ID_CARD;
+        const warnings = [];
+        // Printed mm per on-screen pixel of the card design
+        const scale = options.cardWidth / card.DESIGN_WIDTH;
+
+        const photoInches = (card.DESIGN_PHOTO_WIDTH * scale) / 25.4;
+        const photoDpi = Math.min(options.dpi, CONFIG.PHOTO.WIDTH / photoInches);
+        if (photoDpi < card.MIN_PHOTO_DPI) {
+            warnings.push(
+                `Photos would print at about ${Math.round(photoDpi)} DPI; at least ${card.MIN_PHOTO_DPI} is recommended.`
+            );
+        }
+
+        if (qrModules > 0) {
+            const moduleMm = (card.DESIGN_QR_WIDTH * scale) / qrModules;
+            const moduleDots = (moduleMm / 25.4) * options.dpi;
+            if (moduleMm < card.MIN_QR_MODULE_MM) {
+                warnings.push(
+                    `QR code modules would be ${moduleMm.toFixed(2)} mm wide, too small to scan reliably; use a larger card.`
+                );
+            } else if (moduleDots < card.MIN_QR_MODULE_DOTS) {
+                const minDpi = Math.ceil((card.MIN_QR_MODULE_DOTS * 25.4) / moduleMm);
+                warnings.push(`QR codes would print blurred at ${options.dpi} DPI; use at least ${minDpi} DPI.`);
+            }
+        }
+
+        return warnings;
+    }
+
+    /**
+     * Extend a card image past its edges by repeating the outermost pixels, so a slightly
+     * off cut still shows the card's colours instead of white paper
+     * @param {HTMLCanvasElement} canvas - Card image
+     * @param {number} bleed - Bleed in pixels
+     * @returns {HTMLCanvasElement}
+     */
+    static addBleed(canvas, bleed) {
+        const width = canvas.width;
+        const height = canvas.height;
+        const result = document.createElement('canvas');
+        result.width = width + bleed * 2;
+        result.height = height + bleed * 2;
+
+        const context = result.getContext('2d');
+        // Edges, then corners, then the card itself
+        context.drawImage(canvas, 0, 0, 1, height, 0, bleed, bleed, height);
+        context.drawImage(canvas, width - 1, 0, 1, height, width + bleed, bleed, bleed, height);
+        context.drawImage(canvas, 0, 0, width, 1, bleed, 0, width, bleed);
+        context.drawImage(canvas, 0, height - 1, width, 1, bleed, height + bleed, width, bleed);
+        context.drawImage(canvas, 0, 0, 1, 1, 0, 0, bleed, bleed);
+        context.drawImage(canvas, width - 1, 0, 1, 1, width + bleed, 0, bleed, bleed);
+        context.drawImage(canvas, 0, height - 1, 1, 1, 0, height + bleed, bleed, bleed);
+        context.drawImage(canvas, width - 1, height - 1, 1, 1, width + bleed, height + bleed, bleed, bleed);
+        context.drawImage(canvas, bleed, bleed);
+
+        return result;
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * Promotion Manager
+ * End-of-term promotion: moves a class to the next semester and graduates final-semester students
+ */
+
+class PromotionManager {
+    /**
+     * Work out where students of a course and semester go next
+     * @param {string} course - Course name
+     * @param {string} semester - Current semester value
+     * @returns {object|null} - { toSemester ('' to graduate), label }, or null for an unknown semester
+     */
+    static getTarget(course, semester) {
+        const index = CONFIG.SEMESTERS.findIndex(s => s.value === String(semester));
+        if (index === -1) return null;
+
+        const last = CONFIG.SEMESTERS.length - 1;
+        const finalSemester = CONFIG.COURSE_SEMESTERS[course] || Number(CONFIG.SEMESTERS[last].value);
+
+        if (index === last || Number(semester) >= finalSemester) {
+            return { toSemester: '', label: 'Graduate' };
+        }
+
+        const next = CONFIG.SEMESTERS[index + 1];
+        return { toSemester: next.value, label: next.label };
+    }
+
+    /**
+     * Load the students a promotion would move (only active students)
+     * @param {string} course - Course name
+     * @param {string} semester - Current semester value
+     * @returns {Promise<array>}
+     */
+    static async loadCandidates(course, semester) {
+        const students = await StudentManager.loadStudents({
+            filters: { course: course, semester: semester },
+            sort: 'rollNo',
+            order: 'asc',
+        });
+        return students.filter(student => Utils.getStudentStatus(student).value === 'active');
+    }
+
+    /**
+     * Run the promotion for every student not held back
+     * @param {object} promotion - Wizard state { course, semester, target, students, heldBack }
+     * @returns {Promise<object|null>} - Backend response, or null when it failed
+     */
+    static async promote(promotion) {
+        const studentIds = promotion.students
+            .filter(student => !promotion.heldBack.has(student.id))
+            .map(student => student.id);
+
+        try {
+            UIManager.showLoading();
+            const response = await API.promoteStudents({
+                course: promotion.course,
+                semester: promotion.semester,
+                toSemester: promotion.target.toSemester,
+                studentIds: studentIds,
+            });
+            UIManager.hideLoading();
+
+            if (response.skipped && response.skipped.length > 0) {
+                const skipped = response.skipped.map(item => `${item.id} ${item.message}`).join('; ');
+                UIManager.showWarning(`${response.message}. Skipped: ${skipped}`);
+            } else {
+                UIManager.showSuccess(response.message);
+            }
+            return response;
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error promoting students:', error.message);
+            UIManager.showError(error.message || CONFIG.ERRORS.GENERAL_ERROR);
+            return null;
+        }
+    }
+
+    /**
+     * Generate the preview of who moves and who is held back
+     * @param {object} promotion - Wizard state { course, semester, target, students, heldBack }
+     * @returns {string} - HTML string
+     */
+    static generatePreviewHTML(promotion) {
+        const { target, students, heldBack } = promotion;
+
+        if (students.length === 0) {
+            return '<p class="empty-state">No students in this course and semester</p>';
+        }
+
+        const moving = students.length - heldBack.size;
+        const outcome = target.toSemester
+            ? `<span class="badge badge-success">${Utils.escapeHTML(target.label)}</span>`
+            : '<span class="badge badge-success">Graduate</span>';
+        const summary = [
+            `${outcome} ${moving}`,
+            heldBack.size ? `<span class="badge badge-warning">Held back</span> ${heldBack.size}` : '',
+        ]
+            .filter(Boolean)
+            .join(' &nbsp; ');
+
+        const rows = students
+            .map(student => {
+                const held = heldBack.has(student.id);
+                return `
+                    <tr>
+                        <td class="select-cell">
+                            <input type="checkbox" class="promotion-include" value="${student.id}"${held ? '' : ' checked'} aria-label="Promote ${Utils.escapeHTML(student.name)}">
+                        </td>
+                        <td>${Utils.escapeHTML(student.rollNo)}</td>
+                        <td>${Utils.escapeHTML(student.name)}</td>
+                        <td>${held ? '<span class="badge badge-warning">Held back</span>' : outcome}</td>
+                    </tr>
+                `;
+            })
+            .join('');
+
+        return `
+            <p class="promotion-summary">${summary}</p>
+            <div class="table-wrapper">
+                <table class="students-table">
+                    <thead>
+                        <tr>
+                            <th class="select-cell">
+                                <input type="checkbox" id="promotionIncludeAll"${heldBack.size === 0 ? ' checked' : ''} aria-label="Promote every student">
+                            </th>
+                            <th>Roll Number</th>
+                            <th>Name</th>
+                            <th>Outcome</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+}
@@ -0,0 +1,468 @@
+/**
+ * QR Code Encoder
+ * Self-contained QR Code Model 2 encoder (byte mode, versions 1-40) with SVG output
+ */
+
+// Error correction codewords per block, indexed [level][version]
+const QR_ECC_CODEWORDS_PER_BLOCK = {
+    L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+};
+
+// Number of error correction blocks, indexed [level][version]
+const QR_ECC_BLOCKS = {
+    L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+};
+
+// Format information bits for each error correction level
+const QR_FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+class QRCode {
+    /**
+     * Encode text as a QR code module matrix
+     * @param {string} text - Text to encode (UTF-8)
+     * @param {string} level - Error correction level: L, M, Q or H
+     * @returns {object} - { version, size, modules } where modules[y][x] is true for dark
+     */
+    static encode(text, level = 'M') {
+        if (!QR_FORMAT_BITS.hasOwnProperty(level)) {
+            throw new Error(`Invalid QR error correction level: ${level}`);
+        }
+
+        const bytes = Array.from(new TextEncoder().encode(String(text)));
+
+        // Smallest version that fits the data
+        let version = 1;
+        for (; version <= 40; version++) {
+            const capacityBits = this.getNumDataCodewords(version, level) * 8;
+            const countBits = version <= 9 ? 8 : 16;
+            if (4 + countBits + bytes.length * 8 <= capacityBits) break;
+        }
+        if (version > 40) {
+            throw new Error('Data too long for a QR code');
+        }
+
+        const dataCodewords = this.buildDataCodewords(bytes, version, level);
+        const codewords = this.addEccAndInterleave(dataCodewords, version, level);
+
+        const size = version * 4 + 17;
+        const qr = {
+            version,
+            size,
+            level,
+            modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+            isFunction: Array.from({ length: size }, () => new Array(size).fill(false)),
+        };
+
+        this.drawFunctionPatterns(qr);
+        this.drawCodewords(qr, codewords);
+
+        // Pick the mask with the lowest penalty score
+        let bestMask = 0;
+        let minPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(qr, mask);
+            this.drawFormatBits(qr, mask);
+            const penalty = this.getPenaltyScore(qr);
+            if (penalty < minPenalty) {
+                bestMask = mask;
+                minPenalty = penalty;
+            }
+            this.applyMask(qr, mask); // XOR again to undo
+        }
+
+        this.applyMask(qr, bestMask);
+        this.drawFormatBits(qr, bestMask);
+
+        return { version, size, modules: qr.modules };
+    }
+
+    /**
+     * Render text as an SVG QR code
+     * @param {string} text - Text to encode
+     * @param {object} options - { size (px), margin (modules), level, color, background }
+     * @returns {string} - SVG markup
+     */
+    static toSVG(text, options = {}) {
+        const { size = 120, margin = 4, level = 'M', color = '#000', background = '#fff' } = options;
+        const qr = this.encode(text, level);
+        const dimension = qr.size + margin * 2;
+
+        let path = '';
+        for (let y = 0; y < qr.size; y++) {
+            for (let x = 0; x < qr.size; x++) {
+                if (qr.modules[y][x]) {
+                    path += `M${x + margin},${y + margin}h1v1h-1z`;
+                }
+            }
+        }
+
+        // Explicit width/height so html2canvas rasterises the SVG at its laid-out size
+        return (
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" ` +
+            `viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">` +
+            `<rect width="${dimension}" height="${dimension}" fill="${background}"/>` +
+            `<path d="${path}" fill="${color}"/>` +
+            '</svg>'
+        );
+    }
+
+    /**
+     * Build padded data codewords (byte mode)
+     * @private
+     */
+    static buildDataCodewords(bytes, version, level) {
+        const bits = [];
+        const appendBits = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+
+        appendBits(0x4, 4); // Byte mode indicator
+        appendBits(bytes.length, version <= 9 ? 8 : 16);
+        bytes.forEach(b => appendBits(b, 8));
+
+        const capacityBits = this.getNumDataCodewords(version, level) * 8;
+        appendBits(0, Math.min(4, capacityBits - bits.length)); // Terminator
+        appendBits(0, (8 - (bits.length % 8)) % 8);
+
+        // Alternate pad bytes until full
+        for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+            appendBits(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            let value = 0;
+            for (let j = 0; j < 8; j++) {
+                value = (value << 1) | bits[i + j];
+            }
+            codewords.push(value);
+        }
+        return codewords;
+    }
+
+    /**
+     * Split data into blocks, append Reed-Solomon ECC and interleave
+     * @private
+     */
+    static addEccAndInterleave(data, version, level) {
+        const numBlocks = QR_ECC_BLOCKS[level][version];
+        const blockEccLen = QR_ECC_CODEWORDS_PER_BLOCK[level][version];
+        const rawCodewords = Math.floor(this.getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+        const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+        const divisor = this.reedSolomonDivisor(blockEccLen);
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const dataLen = shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1);
+            const block = data.slice(k, k + dataLen);
+            k += dataLen;
+            const ecc = this.reedSolomonRemainder(block, divisor);
+            if (i < numShortBlocks) block.push(0); // Placeholder, skipped when interleaving
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Draw finder, timing and alignment patterns plus reserved areas
+     * @private
+     */
+    static drawFunctionPatterns(qr) {
+        const { size } = qr;
+
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(qr, 6, i, i % 2 === 0);
+            this.setFunctionModule(qr, i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        this.setFunctionModule(qr, x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        const positions = this.getAlignmentPositions(qr.version);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                // Skip the three finder corners
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunctionModule(qr, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        this.drawFormatBits(qr, 0); // Reserve area, overwritten after masking
+        this.drawVersion(qr);
+    }
+
+    /**
+     * Draw the two copies of the format information
+     * @private
+     */
+    static drawFormatBits(qr, mask) {
+        const { size } = qr;
+        const data = (QR_FORMAT_BITS[qr.level] << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) {
+            rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | rem) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) !== 0;
+
+        // Around the top-left finder
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(qr, 8, i, bit(i));
+        this.setFunctionModule(qr, 8, 7, bit(6));
+        this.setFunctionModule(qr, 8, 8, bit(7));
+        this.setFunctionModule(qr, 7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(qr, 14 - i, 8, bit(i));
+
+        // Split between the other two finders
+        for (let i = 0; i < 8; i++) this.setFunctionModule(qr, size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(qr, 8, size - 15 + i, bit(i));
+        this.setFunctionModule(qr, 8, size - 8, true); // Always dark
+    }
+
+    /**
+     * Draw version information (versions 7 and up)
+     * @private
+     */
+    static drawVersion(qr) {
+        if (qr.version < 7) return;
+
+        let rem = qr.version;
+        for (let i = 0; i < 12; i++) {
+            rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+        }
+        const bits = (qr.version << 12) | rem;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = qr.size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(qr, a, b, dark);
+            this.setFunctionModule(qr, b, a, dark);
+        }
+    }
+
+    /**
+     * Place codeword bits in the zigzag pattern
+     * @private
+     */
+    static drawCodewords(qr, codewords) {
+        const { size } = qr;
+        let i = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Skip the vertical timing column
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (!qr.isFunction[y][x] && i < codewords.length * 8) {
+                        qr.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * XOR a mask pattern over the data modules
+     * @private
+     */
+    static applyMask(qr, mask) {
+        const patterns = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+            (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+            (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+        ];
+        const invert = patterns[mask];
+
+        for (let y = 0; y < qr.size; y++) {
+            for (let x = 0; x < qr.size; x++) {
+                if (!qr.isFunction[y][x] && invert(x, y)) {
+                    qr.modules[y][x] = !qr.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * Score a masked symbol using the four standard penalty rules
+     * @private
+     */
+    static getPenaltyScore(qr) {
+        const { size, modules } = qr;
+        let penalty = 0;
+        let dark = 0;
+
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i].map(m => (m ? '1' : '0')).join(''));
+            lines.push(modules.map(row => (row[i] ? '1' : '0')).join(''));
+        }
+
+        lines.forEach(line => {
+            // Runs of five or more same-colour modules
+            (line.match(/0{5,}|1{5,}/g) || []).forEach(run => {
+                penalty += run.length - 2;
+            });
+            // Finder-like patterns
+            penalty += ((line.match(/(?=10111010000|00001011101)/g) || []).length) * 40;
+        });
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (
+                    x < size - 1 &&
+                    y < size - 1 &&
+                    modules[y][x] === modules[y][x + 1] &&
+                    modules[y][x] === modules[y + 1][x] &&
+                    modules[y][x] === modules[y + 1][x + 1]
+                ) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        // Balance of dark and light modules
+        const total = size * size;
+        penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+
+        return penalty;
+    }
+
+    /**
+     * Centre coordinates of alignment patterns for a version
+     * @private
+     */
+    static getAlignmentPositions(version) {
+        if (version === 1) return [];
+
+        const count = Math.floor(version / 7) + 2;
+        const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+        const positions = [6];
+        for (let pos = version * 4 + 10; positions.length < count; pos -= step) {
+            positions.splice(1, 0, pos);
+        }
+        return positions;
+    }
+
+    /**
+     * Number of modules available for data and ECC bits
+     * @private
+     */
+    static getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const count = Math.floor(version / 7) + 2;
+            result -= (25 * count - 10) * count - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    /**
+     * Number of data codewords for a version and level
+     * @private
+     */
+    static getNumDataCodewords(version, level) {
+        return (
+            Math.floor(this.getNumRawDataModules(version) / 8) -
+            QR_ECC_CODEWORDS_PER_BLOCK[level][version] * QR_ECC_BLOCKS[level][version]
+        );
+    }
+
+    /**
+     * Reed-Solomon generator polynomial of the given degree
+     * @private
+     */
+    static reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = this.gfMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = this.gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    /**
+     * Reed-Solomon remainder (the ECC codewords) of data
+     * @private
+     */
+    static reedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(b => {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => {
+                result[i] ^= this.gfMultiply(coef, factor);
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+     * @private
+     */
+    static gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11d);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    /**
+     * @private
+     */
+    static setFunctionModule(qr, x, y, dark) {
+        qr.modules[y][x] = dark;
+        qr.isFunction[y][x] = true;
+    }
+}
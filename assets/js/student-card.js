@@ -6,6 +6,8 @@
 class StudentCardApp {
     constructor() {
         this.currentStudent = null;
+        this.currentToken = null;
+        this.currentTemplate = null; // Card template of the student's course
     }
 
     /**
@@ -13,7 +15,18 @@ class StudentCardApp {
      */
     init() {
         this.setupEventListeners();
-        this.focusInput();
+
+        // Deep links: ?v=<code> from a card's QR code, ?t=<token> from a shared card link
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('v')) {
+            document.getElementById('verifyCodeInput').value = params.get('v');
+            this.verifyCard('qr');
+        } else if (params.get('t')) {
+            document.getElementById('studentIdInput').value = params.get('t');
+            this.loadCard();
+        } else {
+            this.focusInput();
+        }
     }
 
     /**
@@ -29,6 +42,16 @@ class StudentCardApp {
                 }
             });
         }
+
+        const verifyInput = document.getElementById('verifyCodeInput');
+        if (verifyInput) {
+            verifyInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.verifyCard();
+                }
+            });
+        }
     }
 
     /**
@@ -45,105 +68,235 @@ class StudentCardApp {
      * Load student card
      */
     loadCard() {
-        const studentId = document.getElementById('studentIdInput').value.trim();
+        const token = this.parseToken(document.getElementById('studentIdInput').value);
 
-        if (!studentId) {
-            this.showError('Please enter a student ID');
+        if (!token) {
+            this.showError('Please enter a valid card code or link');
             return;
         }
 
         this.showLoading('Loading card...');
-        this.fetchStudentData(studentId);
+        this.fetchStudentData(token);
+    }
+
+    /**
+     * Extract the public card token from a pasted link or a bare code
+     * @param {string} value - Input value
+     * @returns {string|null}
+     */
+    parseToken(value) {
+        let token = String(value || '').trim();
+
+        if (token.includes('t=')) {
+            try {
+                token = new URL(token, window.location.href).searchParams.get('t') || '';
+            } catch (error) {
+                return null;
+            }
+        }
+
+        token = token.toLowerCase();
+        return /^[a-f0-9]{32}$/.test(token) ? token : null;
     }
 
     /**
-     * Fetch student data from API
+     * Fetch public card data from API
+     * @param {string} token - Public card token
      */
-    async fetchStudentData(studentId) {
+    async fetchStudentData(token) {
         try {
             if (!CONFIG || !CONFIG.API || !CONFIG.API.BASE_URL) {
                 this.showError('API not configured');
                 return;
             }
 
-            const response = await fetch(CONFIG.API.BASE_URL, {
-                method: 'POST',
-                body: JSON.stringify({
-                    action: 'getStudent',
-                    studentId: studentId
-                })
+            const data = await this.postAction({
+                action: 'getStudentByUniqueId',
+                uniqueId: token
             });
 
-            const data = await response.json();
-
             if (data.success && data.student) {
+                this.currentToken = token;
+                this.currentTemplate = CardTemplates.normalize(data.template);
                 this.displayCard(data.student);
             } else {
-                this.showError('Student ID not found');
+                this.showError('Card not found');
             }
         } catch (error) {
-            console.error('Error fetching student:', error);
+            Logger.error('Error fetching student:', error.message);
             this.showError('Error loading card. Please try again.');
         }
     }
 
+    /**
+     * Verify a signed card code (from the QR or typed)
+     * @param {string} source - 'qr' for deep links, otherwise 'manual'
+     */
+    async verifyCard(source = 'manual') {
+        const code = this.parseCode(document.getElementById('verifyCodeInput').value);
+
+        if (!code) {
+            this.showError('Please enter the verification code printed on the card');
+            return;
+        }
+
+        this.showLoading('Verifying card...');
+
+        try {
+            if (!CONFIG || !CONFIG.API || !CONFIG.API.BASE_URL) {
+                this.showError('API not configured');
+                return;
+            }
+
+            const data = await this.postAction({
+                action: 'verifyCard',
+                code: code,
+                source: source
+            });
+
+            if (data.success) {
+                this.displayVerification(data);
+            } else {
+                this.showError('Could not verify card. Please try again.');
+            }
+        } catch (error) {
+            Logger.error('Error verifying card:', error.message);
+            this.showError('Could not verify card. Please try again.');
+        }
+    }
+
+    /**
+     * Extract the verification code from a scanned link or typed code
+     * @param {string} value - Input value
+     * @returns {string|null}
+     */
+    parseCode(value) {
+        let code = String(value || '').trim();
+
+        if (code.includes('v=')) {
+            try {
+                code = new URL(code, window.location.href).searchParams.get('v') || '';
+            } catch (error) {
+                return null;
+            }
+        }
+
+        // ID-SERIAL-ISSUED-EXPIRES-SIGNATURE, the shape parseCardCode in appscript.gs accepts
+        code = code.replace(/\s+/g, '').toUpperCase();
+        return /^STU[A-Z0-9]+-[0-9]+-[A-Z0-9]{1,12}-[A-Z0-9]{1,12}-[A-Z2-7]+$/.test(code) ? code : null;
+    }
+
+    /**
+     * Show verification outcome banner
+     * @param {object} result - { status, student?, issuedAt?, expiresAt? }
+     */
+    displayVerification(result) {
+        const messages = {
+            VALID: 'Genuine card, currently valid',
+            EXPIRED: 'Genuine card, but its validity period has ended',
+            REVOKED: 'This card has been revoked. Do not accept it.',
+            INACTIVE: 'Genuine card, but the student is no longer active. Do not accept it.',
+            UNKNOWN: 'Card not recognised. Do not accept it.'
+        };
+        const status = messages[result.status] ? result.status : 'UNKNOWN';
+        const student = result.student;
+
+        this.currentStudent = null;
+        document.getElementById('cardDisplay').innerHTML = `
+            <div class="verify-result verify-${status.toLowerCase()}">
+                <div class="verify-banner">${status}</div>
+                <div class="verify-message">${messages[status]}</div>
+                ${student ? `
+                    <div class="verify-details">
+                        <div class="verify-photo">${Utils.generatePhotoHTML(student.photo, student.name)}</div>
+                        <div class="verify-info">
+                            <div class="verify-name">${Utils.escapeHTML(student.name || 'N/A')}</div>
+                            <div>Roll No: ${Utils.escapeHTML(student.rollNo || 'N/A')}</div>
+                            ${result.serial ? `<div>Card No: ${Utils.escapeHTML(result.serial)}</div>` : ''}
+                            ${status === 'INACTIVE' ? `<div>Status: ${Utils.escapeHTML(Utils.getStudentStatus(student).label)}</div>` : ''}
+                            <div>${Utils.escapeHTML(student.course || '')} ${student.semester ? '&middot; Semester ' + Utils.escapeHTML(student.semester) : ''}</div>
+                            <div>Issued ${Utils.escapeHTML(Utils.formatDate(result.issuedAt, 'dd/MM/yyyy'))} &middot; Valid until ${Utils.escapeHTML(Utils.formatDate(result.expiresAt, 'dd/MM/yyyy'))}</div>
+                        </div>
+                    </div>
+                ` : ''}
+                <div class="verify-checked">Checked ${Utils.escapeHTML(new Date().toLocaleString())}</div>
+            </div>
+        `;
+        document.getElementById('actionButtons').style.display = 'none';
+    }
+
+    /**
+     * POST an action to the API
+     * @param {object} body - Request body
+     * @returns {Promise<object>}
+     */
+    async postAction(body) {
+        const response = await fetch(CONFIG.API.BASE_URL, {
+            method: 'POST',
+            body: JSON.stringify(body)
+        });
+        return response.json();
+    }
+
     /**
      * Display student ID card
      */
     displayCard(student) {
+        const status = Utils.getStudentStatus(student);
+        if (status.value !== 'active') {
+            this.displayStatus(student, status);
+            return;
+        }
+
         this.currentStudent = student;
 
-        const cardHTML = this.generateCardHTML(student);
-        document.getElementById('cardDisplay').innerHTML = cardHTML;
+        // Drawn by the same renderer as the dashboard; only public fields reach the viewer
+        const model = CardRenderer.buildModel(student, this.currentTemplate || CardTemplates.normalize(null), {
+            qrUrl: this.getCardUrl(student)
+        });
+        document.getElementById('cardDisplay').innerHTML = CardRenderer.renderFront(model);
         document.getElementById('actionButtons').style.display = 'flex';
     }
 
     /**
-     * Generate card HTML
+     * Show the student's status in place of the card (students who are not active)
+     * @param {object} student - Public student data
+     * @param {object} status - Entry of CONFIG.STUDENT_STATUSES
      */
-    generateCardHTML(student) {
-        return `
-            <div class="id-card">
-                <div class="card-header">
-                    <img src="https://stsoldiergroup.com/wp-content/uploads/2025/09/st-soldier-logo.png" 
-                         alt="Logo" class="card-logo" loading="eager">
-                    <div class="card-title">
-                        <h4>ST SOLDIER GROUP</h4>
-                        <p>STUDENT ID CARD</p>
-                    </div>
-                </div>
-                <div class="card-body">
-                    <div class="card-field">
-                        <span class="card-label">Name</span>
-                        <span class="card-value">${this.escape(student.name || 'N/A')}</span>
-                    </div>
-                    <div class="card-field">
-                        <span class="card-label">Roll No</span>
-                        <span class="card-value">${this.escape(student.rollNo || 'N/A')}</span>
-                    </div>
-                    <div class="card-field">
-                        <span class="card-label">Father's Name</span>
-                        <span class="card-value">${this.escape(student.fatherName || 'N/A')}</span>
-                    </div>
-                    <div class="card-field">
-                        <span class="card-label">Course</span>
-                        <span class="card-value">${this.escape(student.course || 'N/A')}</span>
-                    </div>
-                    <div class="card-field">
-                        <span class="card-label">Semester</span>
-                        <span class="card-value">${this.escape(student.semester || 'N/A')}</span>
-                    </div>
-                    <div class="card-field">
-                        <span class="card-label">Email</span>
-                        <span class="card-value">${this.escape(student.email || 'N/A')}</span>
-                    </div>
-                    <div class="card-id">
-                        <div class="card-label">Student ID</div>
-                        <div class="card-value">${this.escape(student.id)}</div>
+    displayStatus(student, status) {
+        this.currentStudent = null;
+        document.getElementById('cardDisplay').innerHTML = `
+            <div class="verify-result verify-inactive">
+                <div class="verify-banner">${Utils.escapeHTML(status.label.toUpperCase())}</div>
+                <div class="verify-message">This student is ${Utils.escapeHTML(status.label.toLowerCase())}. Their ID card is not valid.</div>
+                <div class="verify-details">
+                    <div class="verify-photo">${Utils.generatePhotoHTML(student.photo, student.name)}</div>
+                    <div class="verify-info">
+                        <div class="verify-name">${Utils.escapeHTML(student.name || 'N/A')}</div>
+                        <div>Roll No: ${Utils.escapeHTML(student.rollNo || 'N/A')}</div>
+                        <div>${Utils.escapeHTML(student.course || '')}</div>
                     </div>
                 </div>
             </div>
         `;
+        document.getElementById('actionButtons').style.display = 'none';
+    }
+
+    /**
+     * Get the link the card's QR code opens: the issued card's verification link, or this card's public page
+     * @param {object} student - Public student data
+     * @returns {string|null}
+     */
+    getCardUrl(student) {
+        if (!student.cardCode && !this.currentToken) return null;
+
+        const url = new URL(window.location.pathname, window.location.origin);
+        if (student.cardCode) {
+            url.searchParams.set('v', student.cardCode);
+        } else {
+            url.searchParams.set('t', this.currentToken);
+        }
+        return url.href;
     }
 
     /**
@@ -151,9 +304,17 @@ class StudentCardApp {
      */
     clearCard() {
         document.getElementById('studentIdInput').value = '';
+        document.getElementById('verifyCodeInput').value = '';
         this.currentStudent = null;
-        this.showLoading('Enter a student ID to view card');
+        this.currentToken = null;
+        this.currentTemplate = null;
+        this.showLoading('Enter your card code to view card');
         document.getElementById('actionButtons').style.display = 'none';
+
+        // Drop the token from the address bar
+        if (window.location.search) {
+            window.history.replaceState(null, '', window.location.pathname);
+        }
         this.focusInput();
     }
 
@@ -206,7 +367,7 @@ class StudentCardApp {
         cardDisplay.innerHTML = `
             <div class="card-loading">
                 <div class="spinner"></div>
-                <div class="loading-text">${message}</div>
+                <div class="loading-text">${Utils.escapeHTML(message)}</div>
             </div>
         `;
     }
@@ -219,25 +380,11 @@ class StudentCardApp {
         cardDisplay.innerHTML = `
             <div class="error-state">
                 <div class="error-icon">❌</div>
-                <div class="error-text">${message}</div>
+                <div class="error-text">${Utils.escapeHTML(message)}</div>
             </div>
         `;
         document.getElementById('actionButtons').style.display = 'none';
     }
-
-    /**
-     * Escape HTML special characters
-     */
-    escape(text) {
-        const map = {
-            '&': '&amp;',
-            '<': '&lt;',
-            '>': '&gt;',
-            '"': '&quot;',
-            "'": '&#039;'
-        };
-        return String(text).replace(/[&<>"']/g, m => map[m]);
-    }
 }
 
 // Initialize app instance globally
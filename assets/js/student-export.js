@@ -0,0 +1,109 @@
+/**
+ * Student Export Manager
+ * Exports students to CSV, XLSX or JSON files in the browser
+ */
+
+class StudentExportManager {
+    /**
+     * Export students and download the file
+     * @param {array} students - Students to export, in order
+     * @param {array} columnKeys - Keys of CONFIG.EXPORT.COLUMNS to include
+     * @param {string} format - 'csv', 'xlsx' or 'json'
+     * @returns {Promise}
+     */
+    static async exportStudents(students, columnKeys, format) {
+        const columns = CONFIG.EXPORT.COLUMNS.filter(column => columnKeys.includes(column.key));
+        const fileName = `students-${Utils.formatDate(new Date())}.${format}`;
+        let blob;
+
+        if (format === 'json') {
+            const records = students.map(student => {
+                const record = {};
+                columns.forEach(column => {
+                    record[column.key] = this.getValue(student, column);
+                });
+                return record;
+            });
+            blob = new Blob([JSON.stringify(records, null, 2)], { type: 'application/json' });
+        } else {
+            // Spreadsheet formats: header row, then text cells. XLSX stores strings as
+            // text cells already; only CSV needs formula-like values escaped
+            const escape = format === 'xlsx' ? value => value : value => this.escapeSpreadsheetValue(value);
+            const rows = [columns.map(column => column.label)].concat(
+                students.map(student => columns.map(column => escape(this.getValue(student, column))))
+            );
+
+            if (format === 'xlsx') {
+                const XLSX = await StudentImportManager.loadSpreadsheetLibrary();
+                const workbook = XLSX.utils.book_new();
+                XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Students');
+                blob = new Blob([XLSX.write(workbook, { bookType: 'xlsx', type: 'array' })], {
+                    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+                });
+            } else {
+                // BOM so Excel reads the file as UTF-8
+                blob = new Blob(['\uFEFF' + this.toCSV(rows)], { type: 'text/csv;charset=utf-8' });
+            }
+        }
+
+        const url = URL.createObjectURL(blob);
+        Utils.downloadFile(url, fileName);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        Logger.info(`Exported ${students.length} students as ${format}`);
+    }
+
+    /**
+     * Read one column of a student as text
+     * @param {object} student - Student data
+     * @param {object} column - Column from CONFIG.EXPORT.COLUMNS
+     * @returns {string}
+     */
+    static getValue(student, column) {
+        if (column.type === 'status') return Utils.getStudentStatus(student).label;
+
+        const value = student[column.key];
+        if (value === null || value === undefined || value === '') return '';
+        if (column.type === 'date') return Utils.formatDate(value);
+        return String(value);
+    }
+
+    /**
+     * Stop spreadsheet apps treating a CSV value as a formula (CSV / formula injection)
+     * @param {string} value - Cell text
+     * @returns {string}
+     */
+    static escapeSpreadsheetValue(value) {
+        return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+    }
+
+    /**
+     * Build CSV text (fields quoted when needed, CRLF line endings)
+     * @param {array} rows - Rows of cells
+     * @returns {string}
+     */
+    static toCSV(rows) {
+        return rows
+            .map(row =>
+                row
+                    .map(cell => (/[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell))
+                    .join(',')
+            )
+            .join('\r\n');
+    }
+
+    /**
+     * Generate column checkboxes for the export dialog
+     * @returns {string} - HTML string
+     */
+    static generateColumnsHTML() {
+        return CONFIG.EXPORT.COLUMNS.map(
+            column => `
+                <label class="export-column">
+                    <input type="checkbox" name="exportColumn" value="${column.key}"${column.default ? ' checked' : ''}>
+                    ${Utils.escapeHTML(column.label)}
+                </label>
+            `
+        ).join('');
+    }
+}
@@ -0,0 +1,305 @@
+/**
+ * Student Import Manager
+ * Parses CSV / Excel files, maps their columns to student fields and validates rows before import
+ */
+
+class StudentImportManager {
+    /**
+     * Parse a CSV or Excel file into rows of text cells
+     * @param {File} file - CSV, XLSX or XLS file
+     * @returns {Promise<object>} - { headers, rows: [{ rowNumber, cells }] }
+     */
+    static async parseFile(file) {
+        if (file.size > CONFIG.IMPORT.MAX_FILE_SIZE) {
+            throw new Error('File is too large');
+        }
+
+        const extension = file.name.split('.').pop().toLowerCase();
+        let table;
+
+        if (extension === 'csv') {
+            table = this.parseCSV(await file.text());
+        } else if (extension === 'xlsx' || extension === 'xls') {
+            const XLSX = await this.loadSpreadsheetLibrary();
+            const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+            const sheet = workbook.Sheets[workbook.SheetNames[0]];
+            // raw: false keeps cells as displayed (phone numbers, leading zeros)
+            table = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' });
+        } else {
+            throw new Error('Please choose a CSV or Excel (.xlsx) file');
+        }
+
+        // Keep file row numbers for the report; drop blank lines
+        const rows = table
+            .map((cells, index) => ({
+                rowNumber: index + 1,
+                cells: cells.map(cell => String(cell === null || cell === undefined ? '' : cell).trim()),
+            }))
+            .filter(row => row.cells.some(cell => cell !== ''));
+
+        if (rows.length < 2) {
+            throw new Error('The file has no student rows');
+        }
+        if (rows.length - 1 > CONFIG.IMPORT.MAX_ROWS) {
+            throw new Error(`Import at most ${CONFIG.IMPORT.MAX_ROWS} students at a time`);
+        }
+
+        return {
+            headers: rows[0].cells,
+            rows: rows.slice(1),
+        };
+    }
+
+    /**
+     * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF)
+     * @param {string} text - CSV text
+     * @returns {array} - Rows of cells
+     */
+    static parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        text = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Guess which file column holds each field (by sheet header, key or label)
+     * @param {array} headers - File column headers
+     * @returns {object} - Field key -> column index (-1 when not found)
+     */
+    static autoMapColumns(headers) {
+        const normalize = text => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+        const columns = headers.map(normalize);
+
+        const mapping = {};
+        CONFIG.IMPORT.FIELDS.forEach(field => {
+            const names = [field.header, field.key, field.label].map(normalize);
+            mapping[field.key] = columns.findIndex(column => names.includes(column));
+        });
+        return mapping;
+    }
+
+    /**
+     * Validate every row as the add student form would, plus duplicate roll numbers
+     * @param {array} rows - Parsed rows
+     * @param {object} mapping - Field key -> column index
+     * @param {array} students - Existing students
+     * @returns {array} - Items { rowNumber, data, errors }
+     */
+    static validateRows(rows, mapping, students) {
+        const existing = {};
+        students.forEach(student => {
+            existing[String(student.rollNo).toUpperCase()] = true;
+        });
+        const seen = {};
+
+        return rows.map(row => {
+            const data = {};
+            CONFIG.IMPORT.FIELDS.forEach(field => {
+                const index = mapping[field.key];
+                data[field.key] = index >= 0 && row.cells[index] !== undefined ? row.cells[index] : '';
+            });
+            data.email = data.email.toLowerCase();
+            data.rollNo = data.rollNo.toUpperCase();
+            data.course = this.matchCourse(data.course);
+            data.semester = this.matchSemester(data.semester);
+            data.dob = this.matchDate(data.dob);
+            data.admissionDate = this.matchDate(data.admissionDate);
+            data.bloodGroup = this.matchBloodGroup(data.bloodGroup);
+
+            const errors = Object.values(Utils.validateStudentForm(data).errors);
+
+            if (data.course && !CONFIG.COURSES.includes(data.course)) {
+                errors.push(`Unknown course "${data.course}"`);
+            }
+            if (data.semester && !CONFIG.SEMESTERS.some(semester => semester.value === data.semester)) {
+                errors.push(`Unknown semester "${data.semester}"`);
+            }
+
+            if (data.rollNo) {
+                if (existing[data.rollNo]) {
+                    errors.push(CONFIG.ERRORS.DUPLICATE_STUDENT);
+                } else if (seen[data.rollNo]) {
+                    errors.push(`Same roll number as row ${seen[data.rollNo]}`);
+                } else {
+                    seen[data.rollNo] = row.rowNumber;
+                }
+            }
+
+            return { rowNumber: row.rowNumber, data: data, errors: errors, imported: false };
+        });
+    }
+
+    /**
+     * Match a course name to CONFIG.COURSES ignoring case and spacing
+     * @param {string} course - Course from the file
+     * @returns {string}
+     */
+    static matchCourse(course) {
+        const normalize = text => text.toLowerCase().replace(/\s+/g, '');
+        return CONFIG.COURSES.find(name => normalize(name) === normalize(course)) || course;
+    }
+
+    /**
+     * Reduce semester text such as "3rd Semester" or "Sem 3" to its number
+     * @param {string} semester - Semester from the file
+     * @returns {string}
+     */
+    static matchSemester(semester) {
+        const match = /\d+/.exec(semester);
+        return match ? String(parseInt(match[0], 10)) : semester;
+    }
+
+    /**
+     * Read dd/mm/yyyy or dd-mm-yyyy dates as yyyy-mm-dd (other text is left for validation)
+     * @param {string} date - Date from the file
+     * @returns {string}
+     */
+    static matchDate(date) {
+        const match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(date);
+        if (!match) return date;
+        return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+    }
+
+    /**
+     * Normalise blood group text such as "b +ve" to "B+"
+     * @param {string} group - Blood group from the file
+     * @returns {string}
+     */
+    static matchBloodGroup(group) {
+        return group
+            .toUpperCase()
+            .replace(/\s+/g, '')
+            .replace(/VE$/, '');
+    }
+
+    /**
+     * Generate column mapping controls
+     * @param {array} headers - File column headers
+     * @param {object} mapping - Field key -> column index
+     * @returns {string} - HTML string
+     */
+    static generateMappingHTML(headers, mapping) {
+        const fields = CONFIG.IMPORT.FIELDS.map(field => {
+            const options = headers
+                .map(
+                    (header, index) =>
+                        `<option value="${index}"${mapping[field.key] === index ? ' selected' : ''}>${Utils.escapeHTML(header || `Column ${index + 1}`)}</option>`
+                )
+                .join('');
+
+            return `
+                <div class="form-group">
+                    <label for="importMap_${field.key}" class="form-label">${Utils.escapeHTML(field.label)}</label>
+                    <select id="importMap_${field.key}" class="form-select" data-field="${field.key}">
+                        <option value="-1">Not in file</option>
+                        ${options}
+                    </select>
+                </div>
+            `;
+        }).join('');
+
+        return `<div class="import-mapping">${fields}</div>`;
+    }
+
+    /**
+     * Generate the dry-run / import report
+     * @param {array} items - Validated rows
+     * @returns {string} - HTML string
+     */
+    static generateReportHTML(items) {
+        const invalid = items.filter(item => item.errors.length > 0);
+        const imported = items.filter(item => item.imported).length;
+        const ready = items.length - invalid.length - imported;
+
+        const summary = [
+            imported ? `<span class="badge badge-success">Imported</span> ${imported}` : '',
+            ready ? `<span class="badge">Ready</span> ${ready}` : '',
+            invalid.length ? `<span class="badge badge-error">Errors</span> ${invalid.length}` : '',
+        ]
+            .filter(Boolean)
+            .join(' &nbsp; ');
+
+        if (invalid.length === 0) {
+            return `<p class="import-summary">${summary}</p>`;
+        }
+
+        const rows = invalid
+            .map(
+                item => `
+                    <tr>
+                        <td>${item.rowNumber}</td>
+                        <td>${Utils.escapeHTML(item.data.rollNo) || '&mdash;'}</td>
+                        <td>${Utils.escapeHTML(item.data.name) || '&mdash;'}</td>
+                        <td>${item.errors.map(error => Utils.escapeHTML(error)).join('<br>')}</td>
+                    </tr>
+                `
+            )
+            .join('');
+
+        return `
+            <p class="import-summary">${summary}</p>
+            <div class="table-wrapper">
+                <table class="students-table">
+                    <thead>
+                        <tr>
+                            <th>Row</th>
+                            <th>Roll Number</th>
+                            <th>Name</th>
+                            <th>Errors</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Load the spreadsheet reader / writer
+     * @returns {Promise<object>} - SheetJS XLSX
+     */
+    static async loadSpreadsheetLibrary() {
+        if (typeof XLSX === 'undefined') {
+            await IDCardManager.loadLibrary('https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js');
+        }
+        return XLSX;
+    }
+}
@@ -13,18 +13,9 @@ class StudentManager {
         try {
             UIManager.showLoading();
 
-            // Generate unique ID
-            const studentId = Utils.generateUniqueId('STU');
-
+            // The backend assigns the student ID
             const student = {
-                id: studentId,
-                name: Utils.formatName(studentData.name),
-                fatherName: Utils.formatName(studentData.fatherName),
-                email: studentData.email.toLowerCase(),
-                phone: Utils.formatPhone(studentData.phone),
-                course: studentData.course,
-                semester: studentData.semester,
-                rollNo: studentData.rollNo.toUpperCase(),
+                ...this.formatStudent(studentData),
                 createdAt: new Date().toISOString(),
             };
 
@@ -48,13 +39,76 @@ class StudentManager {
     }
 
     /**
-     * Load all students
+     * Add validated students from an import in one request
+     * @param {array} students - Student data (validated with Utils.validateStudentForm)
+     * @returns {Promise} - { added, rejected: [{ index, rollNo, message }] }
+     */
+    static async bulkAddStudents(students) {
+        try {
+            UIManager.showLoading();
+            const response = await API.bulkAddStudents(students.map(student => this.formatStudent(student)));
+            UIManager.hideLoading();
+
+            if (response.rejected.length > 0) {
+                UIManager.showWarning(`${response.message}, ${response.rejected.length} rejected`);
+            } else {
+                UIManager.showSuccess(response.message);
+            }
+            return response;
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error importing students:', error.message);
+            UIManager.showError(error.message || CONFIG.ERRORS.GENERAL_ERROR);
+            throw error;
+        }
+    }
+
+    /**
+     * Normalise student details the way they are stored
+     * @param {object} studentData - Student information
+     * @returns {object}
+     */
+    static formatStudent(studentData) {
+        return {
+            name: Utils.formatName(studentData.name),
+            fatherName: Utils.formatName(studentData.fatherName),
+            email: studentData.email.toLowerCase(),
+            phone: Utils.formatPhone(studentData.phone),
+            course: studentData.course,
+            semester: studentData.semester,
+            rollNo: studentData.rollNo.toUpperCase(),
+            ...this.formatProfile(studentData),
+        };
+    }
+
+    /**
+     * Format the optional profile fields that are present (blank clears a field)
+     * @param {object} data - Student data or updates
+     * @returns {object} - Formatted profile fields
+     */
+    static formatProfile(data) {
+        const profile = {
+            dob: data.dob,
+            bloodGroup: data.bloodGroup ? data.bloodGroup.toUpperCase() : data.bloodGroup,
+            address: data.address ? data.address.trim() : data.address,
+            admissionDate: data.admissionDate,
+            guardianPhone: data.guardianPhone ? Utils.formatPhone(data.guardianPhone) : data.guardianPhone,
+            emergencyContact: data.emergencyContact ? Utils.formatPhone(data.emergencyContact) : data.emergencyContact,
+        };
+
+        Object.keys(profile).forEach(key => profile[key] === undefined && delete profile[key]);
+        return profile;
+    }
+
+    /**
+     * Load all students, or all students matching a search and filters
+     * @param {object} params - Optional { q, filters, sort, order }
      * @returns {Promise}
      */
-    static async loadStudents() {
+    static async loadStudents(params = {}) {
         try {
             UIManager.showLoading();
-            const response = await API.getStudents();
+            const response = await API.getStudents(params);
             UIManager.hideLoading();
 
             if (response.success) {
@@ -70,6 +124,53 @@ class StudentManager {
         }
     }
 
+    /**
+     * Load the full records of students (list rows carry no card code or photo), a batch at a time
+     * @param {array} studentIds - Student IDs
+     * @returns {Promise<array>} - Records in the same order; empty when loading failed
+     */
+    static async loadFullStudents(studentIds) {
+        const batchSize = CONFIG.STUDENTS_TABLE.RECORD_BATCH_SIZE;
+
+        try {
+            UIManager.showLoading();
+            let students = [];
+            for (let start = 0; start < studentIds.length; start += batchSize) {
+                const response = await API.getStudentsByIds(studentIds.slice(start, start + batchSize));
+                students = students.concat(response.students);
+                if (response.missing.length) {
+                    Logger.warn('Students not found:', response.missing.join(', '));
+                }
+            }
+            UIManager.hideLoading();
+            return students;
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error loading students:', error.message);
+            UIManager.showError(error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Load one page of students (searched, filtered and sorted by the backend)
+     * @param {object} params - { q, filters, sort, order, page, pageSize }
+     * @returns {Promise<object>} - { students, total, count, page, pageSize, pages }
+     */
+    static async loadStudentPage(params) {
+        try {
+            UIManager.showLoading();
+            const response = await API.getStudents(params);
+            UIManager.hideLoading();
+            return response;
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error loading students:', error.message);
+            UIManager.showError(error.message);
+            return { students: [], total: 0, count: 0, page: 1, pageSize: params.pageSize, pages: 1 };
+        }
+    }
+
     /**
      * Update student
      * @param {string} studentId - Student ID
@@ -88,6 +189,7 @@ class StudentManager {
                 course: updates.course,
                 semester: updates.semester,
                 rollNo: updates.rollNo ? updates.rollNo.toUpperCase() : undefined,
+                ...this.formatProfile(updates),
             };
 
             // Remove undefined values
@@ -112,6 +214,51 @@ class StudentManager {
         }
     }
 
+    /**
+     * Upload student's photo
+     * @param {string} studentId - Student ID
+     * @param {string} photoData - JPEG data URL from the photo editor
+     * @returns {Promise}
+     */
+    static async uploadPhoto(studentId, photoData) {
+        try {
+            UIManager.showLoading();
+            const response = await API.uploadPhoto(studentId, photoData);
+            UIManager.hideLoading();
+
+            UIManager.showSuccess(CONFIG.SUCCESS.PHOTO_UPLOADED);
+            return response;
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error uploading photo:', error.message);
+            UIManager.showError(error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Change student's lifecycle status
+     * @param {string} studentId - Student ID
+     * @param {string} status - New status
+     * @param {string} reason - Why the status changes
+     * @returns {Promise}
+     */
+    static async setStudentStatus(studentId, status, reason) {
+        try {
+            UIManager.showLoading();
+            const response = await API.setStudentStatus(studentId, status, reason);
+            UIManager.hideLoading();
+
+            UIManager.showSuccess(response.message);
+            return response;
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error changing student status:', error.message);
+            UIManager.showError(error.message);
+            throw error;
+        }
+    }
+
     /**
      * Delete student
      * @param {string} studentId - Student ID
@@ -143,6 +290,75 @@ class StudentManager {
         }
     }
 
+    /**
+     * Set the same course and/or semester on many students, after one confirmation
+     * @param {array} students - Selected students
+     * @param {object} updates - { course } and/or { semester }
+     * @returns {Promise<object|null>} - { updated, results }, or null when cancelled or failed
+     */
+    static async bulkUpdateStudents(students, updates) {
+        const changes = Object.keys(updates)
+            .map(key => `${key} to "${updates[key]}"`)
+            .join(' and ');
+        const confirmed = await UIManager.confirm(`Change ${changes} for ${students.length} selected student(s)?`);
+        if (!confirmed) return null;
+
+        try {
+            UIManager.showLoading();
+            const response = await API.bulkUpdateStudents(students.map(student => student.id), updates);
+            UIManager.hideLoading();
+
+            this.showBulkOutcome(response.message, response.results);
+            return response;
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error updating students:', error.message);
+            UIManager.showError(error.message || CONFIG.ERRORS.GENERAL_ERROR);
+            return null;
+        }
+    }
+
+    /**
+     * Delete many students, after one confirmation
+     * @param {array} students - Selected students
+     * @returns {Promise<object|null>} - { deleted, results }, or null when cancelled or failed
+     */
+    static async bulkDeleteStudents(students) {
+        const confirmed = await UIManager.confirm(
+            `Are you sure you want to delete ${students.length} selected student(s)? This action cannot be undone.`
+        );
+        if (!confirmed) return null;
+
+        try {
+            UIManager.showLoading();
+            const response = await API.bulkDeleteStudents(students.map(student => student.id));
+            UIManager.hideLoading();
+
+            this.showBulkOutcome(response.message, response.results);
+            return response;
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error deleting students:', error.message);
+            UIManager.showError(error.message || CONFIG.ERRORS.GENERAL_ERROR);
+            return null;
+        }
+    }
+
+    /**
+     * Toast the outcome of a bulk action
+     * @param {string} message - Backend message
+     * @param {array} results - Per-student results
+     * @private
+     */
+    static showBulkOutcome(message, results) {
+        const failed = results.filter(result => !result.success).length;
+        if (failed > 0) {
+            UIManager.showWarning(`${message}, ${failed} failed`);
+        } else {
+            UIManager.showSuccess(message);
+        }
+    }
+
     /**
      * Get student by ID
      * @param {string} studentId - Student ID
@@ -163,45 +379,27 @@ class StudentManager {
     }
 
     /**
-     * Search students
-     * @param {string} query - Search query
-     * @param {array} students - Students to search
-     * @returns {array}
+     * Get state of a student's issued card
+     * @param {object} student - Student data
+     * @returns {string} - 'none', 'valid', 'due' (expires within the renewal window) or 'expired'
      */
-    static searchStudents(query, students) {
-        const lowerQuery = query.toLowerCase();
-        return students.filter(student => {
-            return (
-                student.name.toLowerCase().includes(lowerQuery) ||
-                student.rollNo.toLowerCase().includes(lowerQuery) ||
-                student.email.toLowerCase().includes(lowerQuery) ||
-                student.id.toLowerCase().includes(lowerQuery)
-            );
-        });
+    static getCardStatus(student) {
+        if (!student.cardIssuedAt || !student.cardValidUntil) return 'none';
+
+        const validUntil = new Date(student.cardValidUntil).getTime();
+        const now = Date.now();
+        if (validUntil < now) return 'expired';
+        if (validUntil - now <= CONFIG.ID_CARD.RENEWAL_WINDOW_DAYS * 24 * 60 * 60 * 1000) return 'due';
+        return 'valid';
     }
 
     /**
-     * Sort students
-     * @param {array} students - Students to sort
-     * @param {string} field - Field to sort by
-     * @param {string} order - 'asc' or 'desc'
-     * @returns {array}
+     * Check if a student's card is expired or about to expire
+     * @param {object} student - Student data
+     * @returns {boolean}
      */
-    static sortStudents(students, field = 'createdAt', order = 'desc') {
-        const sorted = [...students];
-        sorted.sort((a, b) => {
-            const aValue = a[field];
-            const bValue = b[field];
-
-            if (typeof aValue === 'string') {
-                return order === 'asc'
-                    ? aValue.localeCompare(bValue)
-                    : bValue.localeCompare(aValue);
-            } else {
-                return order === 'asc' ? aValue - bValue : bValue - aValue;
-            }
-        });
-
-        return sorted;
+    static isDueForRenewal(student) {
+        const status = this.getCardStatus(student);
+        return status === 'due' || status === 'expired';
     }
 }
\ No newline at end of file
@@ -0,0 +1,160 @@
+/**
+ * Template Manager
+ * Loads and saves card templates and builds the Templates tab designer controls
+ */
+
+class TemplateManager {
+    /**
+     * Load saved card templates (an empty list when they cannot be loaded)
+     * @returns {Promise<array>}
+     */
+    static async loadTemplates() {
+        try {
+            const response = await API.getCardTemplates();
+            return response.templates || [];
+        } catch (error) {
+            Logger.warn('Failed to load card templates:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Get the template a course's cards use
+     * @param {string} course - Course name
+     * @returns {Promise<object>} - Complete template
+     */
+    static async getTemplateForCourse(course) {
+        return CardTemplates.resolve(await this.loadTemplates(), course);
+    }
+
+    /**
+     * Validate a template before saving
+     * @param {object} template - Template from the designer
+     * @returns {object} - { valid, errors } keyed like the designer inputs
+     */
+    static validateTemplate(template) {
+        const errors = {};
+        const max = CONFIG.CARD_TEMPLATES.TEXT_MAX_LENGTH;
+
+        if (!template.name) {
+            errors.templateName = 'Template name is required';
+        } else if (template.name.length > max) {
+            errors.templateName = `At most ${max} characters`;
+        }
+
+        if (!template.headerText) {
+            errors.templateHeaderText = 'Header text is required';
+        } else if (template.headerText.length > max) {
+            errors.templateHeaderText = `At most ${max} characters`;
+        }
+
+        if (template.subtitle.length > max) {
+            errors.templateSubtitle = `At most ${max} characters`;
+        }
+
+        if (template.fields.length === 0) {
+            errors.templateFields = 'Choose at least one field';
+        }
+
+        return {
+            valid: Object.keys(errors).length === 0,
+            errors: errors,
+        };
+    }
+
+    /**
+     * Save a template
+     * @param {object} template - Template from the designer
+     * @returns {Promise<object|null>} - Saved template, or null when it failed
+     */
+    static async saveTemplate(template) {
+        try {
+            UIManager.showLoading();
+            const response = await API.saveCardTemplate(template);
+            UIManager.hideLoading();
+
+            UIManager.showSuccess(CONFIG.SUCCESS.TEMPLATE_SAVED);
+            return response.template;
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error saving template:', error.message);
+            UIManager.showError(error.message || CONFIG.ERRORS.GENERAL_ERROR);
+            return null;
+        }
+    }
+
+    /**
+     * Delete a template after confirmation
+     * @param {object} template - Saved template
+     * @returns {Promise<boolean>}
+     */
+    static async deleteTemplate(template) {
+        const message = template.courses.length
+            ? `Delete template "${template.name}"? ${template.courses.join(', ')} will use the default template.`
+            : `Delete template "${template.name}"?`;
+        const confirmed = await UIManager.confirm(message);
+        if (!confirmed) return false;
+
+        try {
+            UIManager.showLoading();
+            const response = await API.deleteCardTemplate(template.id);
+            UIManager.hideLoading();
+
+            UIManager.showSuccess(response.message);
+            return true;
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error deleting template:', error.message);
+            UIManager.showError(error.message || CONFIG.ERRORS.GENERAL_ERROR);
+            return false;
+        }
+    }
+
+    /**
+     * Generate the field picker: ticked fields first, in card order, each movable up or down
+     * @param {array} fields - Keys of the ticked fields, in order
+     * @returns {string} - HTML string
+     */
+    static generateFieldsHTML(fields) {
+        const unused = CONFIG.CARD_TEMPLATES.FIELDS.filter(field => !fields.includes(field.key));
+        const ordered = fields
+            .map(key => CONFIG.CARD_TEMPLATES.FIELDS.find(field => field.key === key))
+            .filter(Boolean)
+            .concat(unused);
+
+        return ordered
+            .map((field, index) => {
+                const used = fields.includes(field.key);
+                return `
+                    <div class="template-field">
+                        <label>
+                            <input type="checkbox" class="template-field-toggle" value="${field.key}"${used ? ' checked' : ''}>
+                            ${Utils.escapeHTML(field.label)}
+                        </label>
+                        <button type="button" class="btn-small btn-edit" data-move="-1" data-field="${field.key}"${used && index > 0 ? '' : ' disabled'} aria-label="Move ${Utils.escapeHTML(field.label)} up">&uarr;</button>
+                        <button type="button" class="btn-small btn-edit" data-move="1" data-field="${field.key}"${used && index < fields.length - 1 ? '' : ' disabled'} aria-label="Move ${Utils.escapeHTML(field.label)} down">&darr;</button>
+                    </div>
+                `;
+            })
+            .join('');
+    }
+
+    /**
+     * Generate course checkboxes, noting which template each course uses now
+     * @param {object} template - Template being edited
+     * @param {array} templates - Saved templates
+     * @returns {string} - HTML string
+     */
+    static generateCoursesHTML(template, templates) {
+        return CONFIG.COURSES.map(course => {
+            const owner = templates.find(t => t.id !== template.id && t.courses.includes(course));
+            return `
+                <label class="template-course">
+                    <input type="checkbox" class="template-course-toggle" value="${Utils.escapeHTML(course)}"${template.courses.includes(course) ? ' checked' : ''}>
+                    ${Utils.escapeHTML(course)}
+                    ${owner ? `<small class="form-help">now ${Utils.escapeHTML(owner.name)}</small>` : ''}
+                </label>
+            `;
+        }).join('');
+    }
+}
@@ -0,0 +1,219 @@
+/**
+ * User Manager
+ * Handles staff account operations (admin only) and password changes
+ */
+
+class UserManager {
+    /**
+     * Load all staff users
+     * @returns {Promise<array>}
+     */
+    static async loadUsers() {
+        try {
+            UIManager.showLoading();
+            const response = await API.getUsers();
+            UIManager.hideLoading();
+            return response.users || [];
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error loading users:', error.message);
+            UIManager.showError(error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Create staff user
+     * @param {object} userData - { username, password, role }
+     * @returns {Promise}
+     */
+    static async createUser(userData) {
+        try {
+            UIManager.showLoading();
+            const response = await API.createUser({
+                username: userData.username.trim(),
+                password: userData.password,
+                role: userData.role,
+            });
+            UIManager.hideLoading();
+
+            UIManager.showSuccess(CONFIG.SUCCESS.USER_CREATED);
+            return response;
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error creating user:', error.message);
+            UIManager.showError(error.message || CONFIG.ERRORS.GENERAL_ERROR);
+            throw error;
+        }
+    }
+
+    /**
+     * Enable or disable staff user
+     * @param {string} username - Username
+     * @param {boolean} active - New state
+     * @returns {Promise<boolean>}
+     */
+    static async setUserActive(username, active) {
+        try {
+            if (!active) {
+                const confirmed = await UIManager.confirm(
+                    `Disable ${username}? They will be signed out and unable to log in.`
+                );
+                if (!confirmed) return false;
+            }
+
+            UIManager.showLoading();
+            const response = await API.setUserActive(username, active);
+            UIManager.hideLoading();
+
+            UIManager.showSuccess(response.message);
+            return true;
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error updating user:', error.message);
+            UIManager.showError(error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Reset staff user's password and show the temporary password once
+     * @param {string} username - Username
+     * @returns {Promise<boolean>}
+     */
+    static async resetPassword(username) {
+        try {
+            const confirmed = await UIManager.confirm(
+                `Reset the password for ${username}? Their current password will stop working.`
+            );
+            if (!confirmed) return false;
+
+            UIManager.showLoading();
+            const response = await API.resetUserPassword(username);
+            UIManager.hideLoading();
+
+            await UIManager.alert(
+                `Temporary password for ${username}:\n\n${response.temporaryPassword}\n\n` +
+                    'Share it securely and ask them to change it after logging in.'
+            );
+            return true;
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error resetting password:', error.message);
+            UIManager.showError(error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Change current user's password
+     * @param {string} currentPassword - Current password
+     * @param {string} newPassword - New password
+     * @returns {Promise}
+     */
+    static async changePassword(currentPassword, newPassword) {
+        try {
+            UIManager.showLoading();
+            const response = await API.changePassword(currentPassword, newPassword);
+            Auth.replaceToken(response.token, response.expiresAt);
+            UIManager.hideLoading();
+
+            UIManager.showSuccess(CONFIG.SUCCESS.PASSWORD_CHANGED);
+            return response;
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error changing password:', error.message);
+            UIManager.showError(error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Begin two-factor enrollment for current user
+     * @returns {Promise<object|null>} - { secret, otpauthUrl }
+     */
+    static async startTotpEnrollment() {
+        try {
+            UIManager.showLoading();
+            const response = await API.startTotpEnrollment();
+            UIManager.hideLoading();
+            return response;
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error starting two-factor enrollment:', error.message);
+            UIManager.showError(error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Confirm two-factor enrollment
+     * @param {string} code - Code from authenticator app
+     * @returns {Promise<array|null>} - Recovery codes
+     */
+    static async confirmTotpEnrollment(code) {
+        try {
+            UIManager.showLoading();
+            const response = await API.confirmTotpEnrollment(code);
+            UIManager.hideLoading();
+
+            Auth.setTotpEnabled(true);
+            UIManager.showSuccess(response.message);
+            return response.recoveryCodes;
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error confirming two-factor enrollment:', error.message);
+            UIManager.showError(error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Disable two-factor authentication for current user
+     * @param {string} password - Current password
+     * @param {string} code - Authenticator or recovery code
+     * @returns {Promise<boolean>}
+     */
+    static async disableTotp(password, code) {
+        try {
+            UIManager.showLoading();
+            const response = await API.disableTotp(password, code);
+            UIManager.hideLoading();
+
+            Auth.setTotpEnabled(false);
+            UIManager.showSuccess(response.message);
+            return true;
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error disabling two-factor:', error.message);
+            UIManager.showError(error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Remove two-factor authentication from a staff user
+     * @param {string} username - Username
+     * @returns {Promise<boolean>}
+     */
+    static async resetTotp(username) {
+        try {
+            const confirmed = await UIManager.confirm(
+                `Remove two-factor authentication from ${username}? They can enroll again after logging in.`
+            );
+            if (!confirmed) return false;
+
+            UIManager.showLoading();
+            const response = await API.resetUserTotp(username);
+            UIManager.hideLoading();
+
+            UIManager.showSuccess(response.message);
+            return true;
+        } catch (error) {
+            UIManager.hideLoading();
+            Logger.error('Error resetting two-factor:', error.message);
+            UIManager.showError(error.message);
+            return false;
+        }
+    }
+}
@@ -45,6 +45,47 @@ class Utils {
         return CONFIG.VALIDATION.ROLL_NO_PATTERN.test(rollNo.trim());
     }
 
+    /**
+     * Validate a yyyy-MM-dd date (as sent by date inputs)
+     * @param {string} value - Date text
+     * @returns {boolean}
+     */
+    static validateDate(value) {
+        if (!CONFIG.VALIDATION.DATE_PATTERN.test(value)) return false;
+        // Rejects days that roll over, such as 2025-02-30
+        return this.formatDate(this.parseDate(value)) === value;
+    }
+
+    /**
+     * Parse a date; yyyy-MM-dd is read as local midnight rather than UTC
+     * @param {Date|string|number} value - Date value
+     * @returns {Date}
+     */
+    static parseDate(value) {
+        if (typeof value === 'string' && CONFIG.VALIDATION.DATE_PATTERN.test(value)) {
+            const [year, month, day] = value.split('-').map(Number);
+            return new Date(year, month - 1, day);
+        }
+        return new Date(value);
+    }
+
+    /**
+     * Get age in whole years on a given day
+     * @param {Date} birthDate - Date of birth
+     * @param {Date} on - Day to measure at (today by default)
+     * @returns {number}
+     */
+    static getAge(birthDate, on = new Date()) {
+        let age = on.getFullYear() - birthDate.getFullYear();
+        if (
+            on.getMonth() < birthDate.getMonth() ||
+            (on.getMonth() === birthDate.getMonth() && on.getDate() < birthDate.getDate())
+        ) {
+            age--;
+        }
+        return age;
+    }
+
     /**
      * Validate student form data
      * @param {object} data - Student data
@@ -81,6 +122,71 @@ class Utils {
             errors.rollNo = 'Invalid roll number format';
         }
 
+        // Profile fields are optional; check them only when filled in
+        if (data.dob) {
+            const age = this.validateDate(data.dob) ? this.getAge(this.parseDate(data.dob)) : NaN;
+            if (!(age >= CONFIG.VALIDATION.MIN_AGE && age <= CONFIG.VALIDATION.MAX_AGE)) {
+                errors.dob = `Age must be between ${CONFIG.VALIDATION.MIN_AGE} and ${CONFIG.VALIDATION.MAX_AGE} years`;
+            }
+        }
+
+        if (data.bloodGroup && !CONFIG.BLOOD_GROUPS.includes(data.bloodGroup)) {
+            errors.bloodGroup = 'Please select a valid blood group';
+        }
+
+        if (data.address && data.address.trim().length > CONFIG.VALIDATION.ADDRESS_MAX_LENGTH) {
+            errors.address = `Address must be at most ${CONFIG.VALIDATION.ADDRESS_MAX_LENGTH} characters`;
+        }
+
+        if (data.admissionDate) {
+            if (!this.validateDate(data.admissionDate) || this.parseDate(data.admissionDate) > new Date()) {
+                errors.admissionDate = 'Admission date must be a valid date, not in the future';
+            } else if (data.dob && !errors.dob && data.admissionDate <= data.dob) {
+                errors.admissionDate = 'Admission date must be after the date of birth';
+            }
+        }
+
+        ['guardianPhone', 'emergencyContact'].forEach(key => {
+            if (data[key] && !this.validatePhone(data[key])) {
+                errors[key] = 'Phone number must be 10 digits';
+            }
+        });
+
+        return {
+            valid: Object.keys(errors).length === 0,
+            errors: errors,
+        };
+    }
+
+    /**
+     * Validate password strength
+     * @param {string} password - Password to validate
+     * @returns {boolean}
+     */
+    static validatePassword(password) {
+        return typeof password === 'string' && password.length >= CONFIG.VALIDATION.PASSWORD_MIN_LENGTH;
+    }
+
+    /**
+     * Validate staff user form data
+     * @param {object} data - { username, password, role }
+     * @returns {object} - Validation result
+     */
+    static validateUserForm(data) {
+        const errors = {};
+
+        if (!CONFIG.VALIDATION.USERNAME_PATTERN.test(data.username.trim())) {
+            errors.username = 'Username must be 3-30 letters, digits, dots, dashes or underscores';
+        }
+
+        if (!this.validatePassword(data.password)) {
+            errors.password = `Password must be at least ${CONFIG.VALIDATION.PASSWORD_MIN_LENGTH} characters`;
+        }
+
+        if (!CONFIG.ROLES[data.role]) {
+            errors.role = 'Please select a role';
+        }
+
         return {
             valid: Object.keys(errors).length === 0,
             errors: errors,
@@ -160,6 +266,52 @@ class Utils {
             .join(' ');
     }
 
+    /**
+     * Escape HTML special characters
+     * @param {*} text - Text to escape
+     * @returns {string}
+     */
+    static escapeHTML(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#039;',
+        };
+        return String(text === null || text === undefined ? '' : text).replace(/[&<>"']/g, m => map[m]);
+    }
+
+    /**
+     * Get a student's lifecycle status (students saved before statuses existed are active)
+     * @param {object} student - Student data
+     * @returns {object} - Entry of CONFIG.STUDENT_STATUSES
+     */
+    static getStudentStatus(student) {
+        return (
+            CONFIG.STUDENT_STATUSES.find(status => status.value === student.status) || CONFIG.STUDENT_STATUSES[0]
+        );
+    }
+
+    /**
+     * Generate student photo markup, or a silhouette placeholder when there is no photo
+     * @param {string} photo - Photo data URL
+     * @param {string} alt - Alternative text
+     * @returns {string} - HTML string
+     */
+    static generatePhotoHTML(photo, alt = 'Student photo') {
+        if (typeof photo === 'string' && /^data:image\/(jpeg|png);base64,/.test(photo)) {
+            return `<img src="${this.escapeHTML(photo)}" alt="${this.escapeHTML(alt)}">`;
+        }
+
+        return `
+            <svg class="photo-placeholder" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                <circle cx="12" cy="8" r="4"></circle>
+                <path d="M4 21c0-4.4 3.6-8 8-8s8 3.6 8 8z"></path>
+            </svg>
+        `;
+    }
+
     /**
      * Truncate text
      * @param {string} text - Text to truncate